@@ -0,0 +1,368 @@
+/**
+ * Analysis Data Loader
+ * 
+ * Loads every series the analysis needs (FRED liquidity, the market asset,
+ * the Treasury's daily TGA, daily sunspots, FRED stress series) from 2015
+ * onward through the local series store and joins them into one daily time
+ * series on the asset's trading days, forward-filling the weekly series.
+ * The asset is the S&P 500 unless `options.asset` selects another (see
+ * lib/assets.js); its closes are the rows' `spx` field.
+ * 
+ * TGA comes from the Daily Treasury Statement. Weekly WTREGEN fills in when
+ * it is newer than the last DTS day (DTS unavailable or lagging); each row's
+ * `tgaSource` says which one was used.
+ * 
+ * Stress series (yield curve, credit spreads, VIX, SOFR; see
+ * lib/stress-series.js) are optional: one that fails to load is null in
+ * every row and reported in `store`.
+ * 
+ * Net liquidity and any user-defined series are derived series (see
+ * lib/derived-series.js), evaluated on the joined rows before rounding.
+ * FRED IDs that expressions name are joined in their own units, fetching
+ * the ones not loaded already; rows without net liquidity are dropped.
+ * 
+ * With `asOf`, FRED series are loaded as they were published on that date
+ * (ALFRED vintages), DTS and sunspot days are limited to those published
+ * before it, so the joined series is what was known at the time.
+ * 
+ * With `publicationLag` (backtests), weekly H.4.1 and daily DTS values are
+ * joined on the first close after their release rather than on the date
+ * they describe (see PUBLICATION_LAGS), so no row holds a figure that was
+ * unpublished at its close.
+ * 
+ * Shared by /api/analyze and /api/backtest.
+ */
+
+import { loadFredSeries } from './series-store';
+import { getSourceHealth } from './source-client';
+import { validateTimeSeries } from './data-quality';
+import { DTS_SOURCE, loadDtsTga } from './treasury-dts';
+import { loadSolarData } from './solar-data';
+import { getStressSeries, getStressSpreads } from './stress-series';
+import { resolveDerivedSeries, computeDerivedSeries, roundDerived } from './derived-series';
+import { parseAsset, loadAsset } from './assets';
+
+const FRED_SERIES = ['WALCL', 'RRPONTSYD', 'WRESBAL', 'WTREGEN'];
+
+// Business days from an observation date to its release, which lands after
+// the market close: H.4.1 Wednesday levels come out Thursday afternoon, a
+// DTS day's closing balance the next business day. ON RRP results are
+// published at midday, before the close, and need no lag.
+export const PUBLICATION_LAGS = { WALCL: 1, WRESBAL: 1, WTREGEN: 1, [DTS_SOURCE]: 1 };
+
+// Joined fields derived series can refer to, besides the stress series
+const BASE_FIELDS = ['balanceSheet', 'tga', 'rrp', 'reserves', 'spx', 'sunspots'];
+
+/**
+ * Validate an `asOf` query value
+ *
+ * @param {string} value - YYYY-MM-DD, or empty for the latest data
+ * @returns {{ asOf: string|null, error: string|null }} asOf is null for the
+ *   latest data (also when the date is today or later)
+ */
+export function parseAsOf(value) {
+  if (value === undefined || value === '') return { asOf: null, error: null };
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || date.toISOString().substring(0, 10) !== value) {
+    return { asOf: null, error: 'asOf must be a date in YYYY-MM-DD format' };
+  }
+  return { asOf: value < new Date().toISOString().split('T')[0] ? value : null, error: null };
+}
+
+// Date `days` weekdays after `date` (holidays are not skipped)
+const addBusinessDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  let left = days;
+  while (left > 0) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) left--;
+  }
+  return d.toISOString().substring(0, 10);
+};
+
+/**
+ * Re-date observations to the first trading day after their release (the
+ * release itself comes after that day's close); those released after the
+ * last trading day are left out
+ *
+ * @param {Object<string, number>} map - Value by observation date
+ * @param {number} lag - Business days to release (see PUBLICATION_LAGS)
+ * @param {string[]} calendar - Sorted trading days
+ * @returns {Object<string, number>} Value by first trading day it is known at
+ */
+const releaseMap = (map, lag, calendar) => {
+  const out = {};
+  Object.keys(map).sort().forEach(date => {
+    const released = addBusinessDays(date, lag);
+    let lo = 0;
+    let hi = calendar.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (calendar[mid] <= released) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo < calendar.length) out[calendar[lo]] = map[date];
+  });
+  return out;
+};
+
+/**
+ * Load every source from the local series store (syncing what is due) and
+ * join them
+ *
+ * @param {string} FRED_API_KEY - FRED API key
+ * @param {Object} options
+ * @param {string} options.asOf - Point-in-time date (YYYY-MM-DD), default latest
+ * @param {Object} options.quality - Data quality thresholds (see lib/data-quality.js)
+ * @param {Object|string} options.derived - Request derived series (see
+ *   lib/derived-series.js)
+ * @param {string[]} options.reserved - Names derived series cannot take
+ *   (fields the caller adds to the rows)
+ * @param {Object} options.asset - Market asset from parseAsset (default S&P 500)
+ * @param {boolean} options.publicationLag - Join H.4.1 and DTS values on the
+ *   first close after their release (default false: on their own dates)
+ * @returns {Promise<{ timeSeries: Object[], store: Object, sourceHealth: Object, dataQuality: Object, tgaSources: Object, solar: Object, stress: Object, derived: Object[], asset: Object }>}
+ *   Daily records, per-series store status ({ status, syncedAt, lastDate,
+ *   error }), upstream health (see lib/source-client.js), the data quality
+ *   report of the join's inputs, the number of rows per TGA source, the
+ *   daily sunspot data with NOAA's forecast (see lib/solar-data.js), the
+ *   joined stress series and spreads (see lib/stress-series.js) and the
+ *   derived series definitions in evaluation order, and the asset
+ * @throws {ExpressionError} On invalid derived series, before loading anything
+ */
+export async function loadAnalysisData(FRED_API_KEY, options = {}) {
+  const { asOf = null, quality = {}, derived = null, reserved = [], publicationLag = false } = options;
+  const asset = options.asset || parseAsset().asset;
+  // GO BACK 10 YEARS (TGA data starts 2015)
+  const startDate = '2015-01-01';
+
+  const stressSeries = getStressSeries();
+  const stressSpreadList = getStressSpreads(stressSeries);
+  const { definitions, fredIds } = await resolveDerivedSeries(derived, {
+    fields: [...BASE_FIELDS, ...stressSeries.map(({ key }) => key), ...stressSpreadList.map(({ key }) => key)],
+    reserved: ['tgaSource', ...reserved]
+  });
+  const extraIds = fredIds.filter(id => (
+    !FRED_SERIES.includes(id) && !stressSeries.some(s => s.id === id) && !(asset.kind === 'fred' && asset.id === id)
+  ));
+  const unavailable = error => ({ observations: [], status: 'unavailable', error: error.message, syncedAt: null });
+
+  const [walcl, rrp, wresbal, wtregen, market, solar, dts, ...optional] = await Promise.all([
+    ...FRED_SERIES.map(id => loadFredSeries(id, FRED_API_KEY, { start: startDate, asOf })),
+    loadAsset(asset, FRED_API_KEY, { start: startDate, asOf }),
+    loadSolarData({ asOf }),
+    // WTREGEN covers for the DTS, so a DTS failure alone is not fatal
+    loadDtsTga({ start: startDate, asOf }).catch(unavailable),
+    ...[...stressSeries.map(({ id }) => id), ...extraIds].map(id => (
+      loadFredSeries(id, FRED_API_KEY, { start: startDate, asOf }).catch(unavailable)
+    ))
+  ]);
+  const stress = optional.slice(0, stressSeries.length);
+  const extra = optional.slice(stressSeries.length);
+
+  const store = {};
+  [walcl, rrp, wresbal, wtregen, market].forEach((series, i) => {
+    store[i < FRED_SERIES.length ? FRED_SERIES[i] : asset.id] = {
+      status: series.status,
+      syncedAt: series.syncedAt,
+      lastDate: series.observations.length ? series.observations[series.observations.length - 1].date : null,
+      ...(series.error && { error: series.error })
+    };
+  });
+  [...stress, ...extra].forEach((series, i) => {
+    store[i < stress.length ? stressSeries[i].id : extraIds[i - stress.length]] = {
+      status: series.status,
+      syncedAt: series.syncedAt,
+      lastDate: series.observations.length ? series.observations[series.observations.length - 1].date : null,
+      ...(series.error && { error: series.error })
+    };
+  });
+  store[DTS_SOURCE] = {
+    status: dts.status,
+    syncedAt: dts.syncedAt,
+    lastDate: dts.observations.length ? dts.observations[dts.observations.length - 1].date : null,
+    ...(dts.error && { error: dts.error })
+  };
+  store[solar.source.id] = {
+    status: solar.status,
+    syncedAt: solar.syncedAt,
+    lastDate: solar.observations.length ? solar.observations[solar.observations.length - 1].date : null,
+    ...(solar.error && { error: solar.error })
+  };
+
+  // Sources the store served without a request are reported as cached
+  const sourceHealth = getSourceHealth(Object.keys(store), Object.fromEntries(
+    Object.entries(store).map(([id, { syncedAt, lastDate }]) => [id, {
+      provider: id === solar.source.id ? solar.source.provider
+        : id === DTS_SOURCE ? 'Treasury'
+          : id === asset.id && asset.kind === 'file' ? 'file' : 'FRED',
+      lastObservation: lastDate,
+      syncedAt
+    }])
+  ));
+
+  // Build lookup maps
+  const toMap = (obs, divisor = 1) => {
+    const map = {};
+    (obs || []).forEach(o => { if (o.value !== '.') map[o.date] = parseFloat(o.value) / divisor; });
+    return map;
+  };
+
+  const bsMap = toMap(walcl.observations, 1000);
+  const rrpMap = toMap(rrp.observations, 1);
+  const resMap = toMap(wresbal.observations, 1000);
+  const tgaMap = toMap(wtregen.observations, 1000);
+  const dtsMap = toMap(dts.observations, 1000);
+  const spxMap = toMap(market.observations, 1);
+  const stressMaps = stress.map(series => toMap(series.observations, 1));
+
+  // Daily sunspot numbers
+  const solarMap = {};
+  solar.observations.forEach(o => { solarMap[o.date] = Math.round(o.value); });
+
+  // Get dates where we have asset prices (most granular)
+  const allDates = Object.keys(spxMap).sort();
+
+  // Joined (possibly release-dated) copies; quality checks keep the originals
+  const released = (map, id) => (publicationLag ? releaseMap(map, PUBLICATION_LAGS[id], allDates) : map);
+  const bsJoin = released(bsMap, 'WALCL');
+  const resJoin = released(resMap, 'WRESBAL');
+  const tgaJoin = released(tgaMap, 'WTREGEN');
+  const dtsJoin = released(dtsMap, DTS_SOURCE);
+
+  // Forward fill weekly data
+  const ffill = (map, dates) => {
+    const out = {};
+    let last = null;
+    dates.forEach(d => { if (map[d] !== undefined) last = map[d]; if (last !== null) out[d] = last; });
+    return out;
+  };
+
+  // Latest observation date on or before each day
+  const lastSeen = (map, dates) => {
+    const out = {};
+    let last = null;
+    dates.forEach(d => { if (map[d] !== undefined) last = d; if (last !== null) out[d] = last; });
+    return out;
+  };
+
+  // Daily TGA from the DTS, unless the latest weekly WTREGEN is newer.
+  // Calendar includes DTS and WTREGEN dates so non-trading days still count.
+  const tgaDates = [...new Set([...allDates, ...Object.keys(dtsJoin), ...Object.keys(tgaJoin)])].sort();
+  const dtsSeen = lastSeen(dtsJoin, tgaDates);
+  const weeklySeen = lastSeen(tgaJoin, tgaDates);
+  const fTGA = {};
+  const tgaSource = {};
+  allDates.forEach(d => {
+    const daily = dtsSeen[d];
+    const weekly = weeklySeen[d];
+    if (daily && (!weekly || daily >= weekly)) {
+      fTGA[d] = dtsJoin[daily];
+      tgaSource[d] = 'DTS';
+    } else if (weekly) {
+      fTGA[d] = tgaJoin[weekly];
+      tgaSource[d] = 'WTREGEN';
+    }
+  });
+
+  const fBS = ffill(bsJoin, allDates);
+  const fRRP = ffill(rrpMap, allDates);
+  const fRes = ffill(resJoin, allDates);
+  // Sunspots are published daily, one day behind: carry the last one over
+  const solarDates = [...new Set([...allDates, ...Object.keys(solarMap)])].sort();
+  const solarSeen = lastSeen(solarMap, solarDates);
+  const fStress = stressMaps.map(map => ffill(map, allDates));
+  const stressSpreads = stressSpreadList.map(spread => ({
+    ...spread,
+    legs: spread.from.map(id => fStress[stressSeries.findIndex(s => s.id === id)])
+  }));
+
+  // FRED series named in derived series, in FRED units. The calendar
+  // includes their own dates so weekend observations still carry over.
+  const rawMaps = {
+    WALCL: released(toMap(walcl.observations), 'WALCL'),
+    RRPONTSYD: rrpMap,
+    WRESBAL: released(toMap(wresbal.observations), 'WRESBAL'),
+    WTREGEN: released(toMap(wtregen.observations), 'WTREGEN')
+  };
+  if (asset.kind === 'fred') rawMaps[asset.id] = spxMap;
+  stressSeries.forEach(({ id }, i) => { rawMaps[id] = stressMaps[i]; });
+  extraIds.forEach((id, i) => { rawMaps[id] = toMap(extra[i].observations); });
+  const fRaw = Object.fromEntries(fredIds.map(id => [
+    id,
+    ffill(rawMaps[id], [...new Set([...allDates, ...Object.keys(rawMaps[id])])].sort())
+  ]));
+
+  // Unrounded joined columns, then the derived series on top of them
+  const dates = allDates.filter(d => fBS[d] && fTGA[d] && fRRP[d] !== undefined && spxMap[d]);
+  const column = map => dates.map(d => (map[d] !== undefined ? map[d] : null));
+  const columns = {
+    balanceSheet: column(fBS),
+    tga: column(fTGA),
+    rrp: column(fRRP),
+    reserves: dates.map(d => fRes[d] || null),
+    spx: column(spxMap),
+    sunspots: dates.map(d => (solarSeen[d] ? solarMap[solarSeen[d]] : null))
+  };
+  stressSeries.forEach(({ key }, i) => { columns[key] = column(fStress[i]); });
+  stressSpreads.forEach(({ key, legs: [a, b], scale }) => {
+    columns[key] = dates.map(d => (a[d] !== undefined && b[d] !== undefined ? (a[d] - b[d]) * scale : null));
+  });
+  fredIds.forEach(id => { if (!columns[id]) columns[id] = column(fRaw[id]); });
+  computeDerivedSeries(columns, definitions, dates.length);
+
+  // Build unified time series
+  const round = (value, decimals) => (value === null ? null : Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals));
+  const timeSeries = dates
+    .map((d, i) => {
+      const stressValues = Object.fromEntries(stressSeries.map(({ key }) => [key, round(columns[key][i], 2)]));
+      stressSpreads.forEach(({ key }) => {
+        stressValues[key] = round(columns[key][i], 1);
+      });
+      const { netLiquidity, ...derivedValues } = Object.fromEntries(
+        definitions.map(({ name, precision }) => [name, roundDerived(columns[name][i], precision)])
+      );
+
+      return {
+        date: d,
+        balanceSheet: round(fBS[d], 1),
+        tga: round(fTGA[d], 1),
+        tgaSource: tgaSource[d],
+        rrp: round(fRRP[d], 1),
+        reserves: fRes[d] ? round(fRes[d], 1) : null,
+        netLiquidity,
+        spx: round(spxMap[d], 2),
+        sunspots: columns.sunspots[i],
+        ...stressValues,
+        ...derivedValues
+      };
+    })
+    .filter(d => d.netLiquidity !== null);
+
+  // Validate the join's inputs (joined units: $B, index, sunspot number)
+  const solarObservations = Object.fromEntries(Object.entries(solarMap).filter(([date]) => date >= startDate));
+  const dataQuality = validateTimeSeries({
+    calendar: allDates,
+    joinedDates: timeSeries.map(d => d.date),
+    series: [
+      { key: 'balanceSheet', id: 'WALCL', label: 'Fed Balance Sheet', frequency: 'weekly', range: [1000, 20000], observations: bsMap },
+      dts.observations.length
+        ? { key: 'tga', id: DTS_SOURCE, label: 'TGA', frequency: 'daily', range: [0, 3000], observations: dtsMap }
+        : { key: 'tga', id: 'WTREGEN', label: 'TGA', frequency: 'weekly', range: [0, 3000], observations: tgaMap },
+      { key: 'rrp', id: 'RRPONTSYD', label: 'Reverse Repo', frequency: 'daily', range: [0, 5000], observations: rrpMap },
+      { key: 'reserves', id: 'WRESBAL', label: 'Bank Reserves', frequency: 'weekly', range: [100, 10000], observations: resMap },
+      { key: 'spx', id: asset.id, label: asset.label, frequency: 'daily', range: asset.range, observations: spxMap },
+      { key: 'sunspots', id: solar.source.id, label: 'Sunspots', frequency: 'daily', range: [0, 600], observations: solarObservations },
+      ...stressSeries.map(({ id, key, label, range, anomalyScale }, i) => ({
+        key, id, label, frequency: 'daily', range, anomalyScale, observations: stressMaps[i]
+      }))
+    ]
+  }, quality);
+
+  const tgaSources = { DTS: 0, WTREGEN: 0 };
+  timeSeries.forEach(d => { tgaSources[d.tgaSource]++; });
+
+  const stressMeta = { series: stressSeries, spreads: stressSpreadList };
+
+  return { timeSeries, store, sourceHealth, dataQuality, tgaSources, solar, stress: stressMeta, derived: definitions, asset };
+}
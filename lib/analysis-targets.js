@@ -0,0 +1,145 @@
+/**
+ * CSD Analysis Targets
+ *
+ * Series that /api/analyze can feed into the CSD pipeline, selected with the
+ * `target` query parameter. Each target extracts one value per day from the
+ * joined timeSeries (null where it is undefined, e.g. the first log return).
+ * `precision` is the number of decimals kept for the target's trend, and
+ * `gapFill` what stands in for a short gap (default: the last value; returns
+ * use 0, no move). Derived series (see lib/derived-series.js) are targets too.
+ */
+
+import { BUILTIN_DERIVED } from './derived-series';
+
+export const ANALYSIS_TARGETS = {
+  spx: {
+    label: 'S&P 500',
+    precision: 2,
+    units: 'Index',
+    extract: timeSeries => timeSeries.map(d => d.spx)
+  },
+  netLiquidity: {
+    label: 'Net Liquidity',
+    precision: 1,
+    units: '$B',
+    extract: timeSeries => timeSeries.map(d => d.netLiquidity)
+  },
+  reserves: {
+    label: 'Bank Reserves',
+    precision: 1,
+    units: '$B',
+    extract: timeSeries => timeSeries.map(d => d.reserves)
+  },
+  rrp: {
+    label: 'Reverse Repo',
+    precision: 1,
+    units: '$B',
+    extract: timeSeries => timeSeries.map(d => d.rrp)
+  },
+  spxLogReturns: {
+    label: 'S&P 500 Log Returns',
+    precision: 6,
+    units: 'log return',
+    gapFill: 0,
+    extract: timeSeries => timeSeries.map((d, i) => (
+      i > 0 && d.spx > 0 && timeSeries[i - 1].spx > 0
+        ? Math.log(d.spx / timeSeries[i - 1].spx)
+        : null
+    ))
+  },
+  spxLiquidityRatio: {
+    label: 'S&P 500 / Net Liquidity',
+    precision: 4,
+    units: 'ratio',
+    extract: timeSeries => timeSeries.map(d => (
+      d.netLiquidity ? d.spx / d.netLiquidity : null
+    ))
+  }
+};
+
+export const DEFAULT_TARGET = 'spx';
+
+// Longest run of missing values bridged inside a target series (trading days)
+export const MAX_TARGET_GAP = 5;
+
+/**
+ * Built-in target keys a derived series cannot be named, since the built-in
+ * target would shadow it. Built-in derived series (netLiquidity) can still
+ * be redefined: their target reads the row field the definition fills.
+ */
+export const RESERVED_TARGET_KEYS = Object.keys(ANALYSIS_TARGETS).filter(key => !BUILTIN_DERIVED[key]);
+
+/**
+ * Built-in targets plus one per derived series
+ *
+ * @param {Object[]} definitions - From resolveDerivedSeries
+ * @returns {Object} Targets keyed like ANALYSIS_TARGETS (built-ins win)
+ */
+export function withDerivedTargets(definitions = []) {
+  const targets = { ...ANALYSIS_TARGETS };
+  definitions.forEach(({ name, label, units, precision }) => {
+    if (targets[name]) return;
+    targets[name] = { label, precision, units, extract: timeSeries => timeSeries.map(d => d[name]) };
+  });
+  return targets;
+}
+
+/**
+ * Look up a target by key
+ *
+ * @param {string} key - Target key from the query string; empty for DEFAULT_TARGET
+ * @param {Object} targets - Available targets (default ANALYSIS_TARGETS)
+ * @returns {{ target: Object|null, error: string|null }} target: { key,
+ *   label, units, extract }
+ */
+export function resolveTarget(key, targets = ANALYSIS_TARGETS) {
+  const resolved = key || DEFAULT_TARGET;
+  if (!targets[resolved]) {
+    return { target: null, error: `target must be one of ${Object.keys(targets).join(', ')}` };
+  }
+  return { target: { key: resolved, ...targets[resolved] }, error: null };
+}
+
+/**
+ * Extract a target series and find its analysable span
+ *
+ * CSD needs an unbroken series: runs of up to `maxGap` missing values are
+ * filled (see `gapFill`), and analysis starts after the last longer run (or
+ * the leading missing values). Results are aligned back onto the full
+ * timeSeries by `offset`.
+ *
+ * @param {Object[]} timeSeries - Joined daily records
+ * @param {Object} target - Resolved target
+ * @param {number} maxGap - Longest run of missing values filled (default MAX_TARGET_GAP)
+ * @returns {{ values: (number|null)[], series: number[], offset: number, filled: number }}
+ *   Raw values, the filled series from `offset` on, and how many of its
+ *   values were filled
+ */
+export function extractTarget(timeSeries, target, maxGap = MAX_TARGET_GAP) {
+  const values = target.extract(timeSeries);
+  const valid = v => v !== null && v !== undefined && Number.isFinite(v);
+
+  // Start after the leading missing values and any run too long to bridge
+  let offset = 0;
+  let runStart = null;
+  values.forEach((v, i) => {
+    if (valid(v)) {
+      runStart = null;
+      return;
+    }
+    if (runStart === null) runStart = i;
+    if (runStart <= offset || i - runStart + 1 > maxGap) offset = i + 1;
+  });
+
+  let last = null;
+  let filled = 0;
+  const series = values.slice(offset).map(v => {
+    if (valid(v)) {
+      last = v;
+      return v;
+    }
+    filled++;
+    return target.gapFill !== undefined ? target.gapFill : last;
+  });
+  return { values, series, offset, filled };
+}
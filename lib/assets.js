@@ -0,0 +1,187 @@
+/**
+ * Market Assets
+ *
+ * The price series the analysis runs on (CSD, LPPL, market regimes, the
+ * regime score and the backtest), selected with the `asset` query
+ * parameter:
+ * - A FRED daily series ID (default SP500), e.g. NASDAQCOM, DJIA, DEXUSEU.
+ *   IDs outside ASSETS are labelled with their ID, without a plausible range
+ * - `file:<name>`: the CSV price file <name>.csv in ASSET_DIR (default
+ *   assets/ in the working directory), with a date column and a close,
+ *   adjusted close, price or value column (else the second column)
+ *
+ * The asset's closes are the joined timeSeries' `spx` field and its trading
+ * days the join's calendar; the field keeps its name so clients and derived
+ * series written against it still work. Price files go through the series
+ * store like SOLAR_FILE, so the last good copy is served if a file breaks.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { loadFredSeries, SeriesStore } from './series-store';
+import { recordSourceRead } from './source-client';
+import { parseCsv } from './csv';
+
+export const ASSETS = {
+  SP500: { label: 'S&P 500', units: 'Index', range: [100, 50000], publisher: 'S&P Dow Jones Indices LLC' },
+  NASDAQCOM: { label: 'NASDAQ Composite', units: 'Index', range: [500, 100000], publisher: 'Nasdaq, Inc.' },
+  DJIA: { label: 'Dow Jones Industrial Average', units: 'Index', range: [1000, 200000], publisher: 'S&P Dow Jones Indices LLC' },
+  DEXUSEU: { label: 'US Dollars per Euro', units: 'USD', range: [0.5, 2], publisher: 'Board of Governors of the Federal Reserve System (H.10)' }
+};
+
+export const DEFAULT_ASSET = 'SP500';
+
+const FILE_PREFIX = 'file:';
+const FILE_NAME = /^[A-Za-z0-9_-]+$/;
+const FRED_ID = /^[A-Za-z0-9_]+$/;
+const DATE_COLUMNS = ['date', 'time', 'timestamp'];
+const PRICE_COLUMNS = ['close', 'adj close', 'adj_close', 'adjclose', 'price', 'value'];
+
+const assetDirectory = () => path.resolve(process.cwd(), process.env.ASSET_DIR || 'assets');
+
+/**
+ * Resolve an `asset` query value
+ *
+ * @param {string} value - FRED ID or file:<name>; empty for DEFAULT_ASSET
+ * @returns {{ asset: Object|null, error: string|null }} asset: { key, id,
+ *   kind: 'fred'|'file', label, units, range, url, publisher, file? }
+ */
+export function parseAsset(value) {
+  const key = typeof value === 'string' && value.trim() ? value.trim() : DEFAULT_ASSET;
+
+  if (key.startsWith(FILE_PREFIX)) {
+    const name = key.slice(FILE_PREFIX.length);
+    if (!FILE_NAME.test(name)) {
+      return { asset: null, error: 'asset file names may only contain letters, digits, _ and -' };
+    }
+    return {
+      asset: {
+        key,
+        id: `FILE-${name}`,
+        kind: 'file',
+        label: name,
+        units: '',
+        range: null,
+        url: null,
+        publisher: `${path.basename(assetDirectory())}/${name}.csv`,
+        file: path.join(assetDirectory(), `${name}.csv`)
+      },
+      error: null
+    };
+  }
+
+  if (!FRED_ID.test(key)) {
+    return { asset: null, error: 'asset must be a FRED series ID or file:<name>' };
+  }
+  const id = key.toUpperCase();
+  const known = ASSETS[id] || { label: id, units: '', range: null, publisher: null };
+  return {
+    asset: { key: id, id, kind: 'fred', ...known, url: `https://fred.stlouisfed.org/series/${id}` },
+    error: null
+  };
+}
+
+/**
+ * Assets the dashboard offers: ASSETS plus the price files in ASSET_DIR
+ *
+ * @returns {Promise<Array<{ key: string, label: string }>>}
+ */
+export async function listAssets() {
+  let files = [];
+  try {
+    files = (await fs.readdir(assetDirectory()))
+      .filter(file => file.endsWith('.csv') && FILE_NAME.test(file.slice(0, -4)))
+      .sort();
+  } catch {
+    // No asset directory: FRED assets only
+  }
+  return [
+    ...Object.entries(ASSETS).map(([key, { label }]) => ({ key, label })),
+    ...files.map(file => ({ key: `${FILE_PREFIX}${file.slice(0, -4)}`, label: `${file.slice(0, -4)} (file)` }))
+  ];
+}
+
+/**
+ * Daily closes from a price CSV, sorted by date
+ *
+ * @param {string} text - CSV with a header row
+ * @returns {Array<{ date: string, value: number }>}
+ */
+export function parsePriceCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const columns = Object.keys(rows[0]);
+  const find = (names, fallback) => columns.find(c => names.includes(c.trim().toLowerCase())) ?? fallback;
+  const dateColumn = find(DATE_COLUMNS, columns[0]);
+  const priceColumn = find(PRICE_COLUMNS, columns.find(c => c !== dateColumn));
+
+  const byDate = new Map();
+  rows.forEach(row => {
+    const date = String(row[dateColumn] || '').trim().slice(0, 10);
+    const value = parseFloat(row[priceColumn]);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date) && Number.isFinite(value) && value > 0) byDate.set(date, value);
+  });
+  return [...byDate.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, value]) => ({ date, value }));
+}
+
+/**
+ * Read a price file, recorded in source health
+ */
+async function readAssetFile(asset) {
+  const started = Date.now();
+  try {
+    const observations = parsePriceCsv(await fs.readFile(asset.file, 'utf8'));
+    if (!observations.length) throw new Error(`${asset.publisher} has no dated prices`);
+    recordSourceRead(asset.id, {
+      provider: 'file',
+      latencyMs: Date.now() - started,
+      lastObservation: observations[observations.length - 1].date
+    });
+    return observations;
+  } catch (error) {
+    recordSourceRead(asset.id, { provider: 'file', latencyMs: Date.now() - started, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Daily closes of an asset from the local series store, in loadFredSeries'
+ * shape. Price files have no vintages: `asOf` keeps the days before it.
+ *
+ * @param {Object} asset - From parseAsset
+ * @param {string} FRED_API_KEY - FRED API key
+ * @param {Object} options - { start, asOf }
+ * @returns {Promise<{ observations: Array<{ date, value }>, status: string, error?: string, syncedAt: string }>}
+ */
+export async function loadAsset(asset, FRED_API_KEY, options = {}) {
+  if (asset.kind === 'fred') return loadFredSeries(asset.id, FRED_API_KEY, options);
+
+  const { start = null, asOf = null } = options;
+  const { record, status, error } = await SeriesStore.syncDocument(asset.id, () => readAssetFile(asset), {
+    source: 'file',
+    maxAge: 0
+  });
+  return {
+    observations: record.observations.filter(o => (!start || o.date >= start) && (!asOf || o.date < asOf)),
+    status,
+    error,
+    syncedAt: record.syncedAt
+  };
+}
+
+/**
+ * Replace the S&P 500 in a built-in label with the asset's name
+ */
+export function assetLabel(label, asset) {
+  return asset && asset.key !== DEFAULT_ASSET ? label.replace(/S&P 500/g, asset.label) : label;
+}
+
+/**
+ * Asset as reported by the API (provenance for the dashboard header)
+ *
+ * @returns {{ key: string, id: string, kind: string, label: string, units: string, url: string|null, publisher: string|null, source: string }}
+ */
+export function describeAsset(asset) {
+  const { key, id, kind, label, units, url, publisher } = asset;
+  return { key, id, kind, label, units, url, publisher, source: kind === 'file' ? `File ${publisher}` : `FRED ${id}` };
+}
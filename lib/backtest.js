@@ -0,0 +1,250 @@
+/**
+ * Walk-Forward Regime Backtest
+ *
+ * Replays the composite regime score day by day using only data available
+ * at each close, then trades SPX exposure from the resulting signal.
+ *
+ * No look-ahead:
+ * - CSD is recomputed on a trailing slice ending at the evaluation day, so the
+ *   two-sided detrend never sees later prices (its right edge is the same
+ *   local-linear fit the live dashboard uses for today)
+ * - LPPL confidence and bubble calls come from confidenceHistory(), which
+ *   fits only on prices up to each evaluation day
+ * - Liquidity inputs are joined on the first close after their release
+ *   (loadAnalysisData's `publicationLag`: H.4.1 levels and DTS balances are
+ *   published after the close of the day after the date they describe)
+ * - Liquidity z-score, percentile and rate of change use trailing windows;
+ *   the HMM drain probability is refitted on data up to each month
+ * - Stress components read the day's (forward-filled) stress series
+ * - The signal at day t's close sets the exposure for the t → t+1 return
+ *
+ * Metrics: CAGR, max drawdown, annualized Sharpe (rf = 0) and hit rate
+ * (risk-off days followed by a falling market, risk-on days by a rising one,
+ * over the next `hitHorizon` trading days; HOLD days are not counted).
+ */
+
+import { StatisticalEngine } from './statistical-engine';
+import { lpplConfidenceHistory } from './lppl-model';
+import { scoreRegime, lpplInputs, DEFAULT_PROFILE } from './regime-score';
+import { stressInputs } from './stress-series';
+import { LiquidityRegime } from './liquidity-regime';
+
+// SPX exposure held for each signal
+export const DEFAULT_EXPOSURES = {
+  'STRONG SELL': 0,
+  'REDUCE RISK': 0.25,
+  'HOLD': 0.5,
+  'ACCUMULATE': 0.75,
+  'STRONG BUY': 1
+};
+
+// Side of the market each signal calls (HOLD makes no call)
+const SIGNAL_SIDES = {
+  'STRONG SELL': -1,
+  'REDUCE RISK': -1,
+  'HOLD': 0,
+  'ACCUMULATE': 1,
+  'STRONG BUY': 1
+};
+
+const TRADING_DAYS = 252;
+
+export class RegimeBacktest {
+  /**
+   * Current AR(1) and Kendall's Tau as seen at each day's close
+   *
+   * @param {number[]} prices - Daily prices
+   * @param {Object} config - detrendBandwidth, csdWindow, tauLookback, step
+   * @returns {{ ar1: (number|null)[], kendallTau: (number|null)[] }}
+   */
+  static causalCSD(prices, config = {}) {
+    const { detrendBandwidth = 50, csdWindow = 250, tauLookback = 100, step = 1 } = config;
+    const n = prices.length;
+    const ar1 = new Array(n).fill(null);
+    const kendallTau = new Array(n).fill(null);
+
+    // Enough history for a full tau lookback of AR(1) values, plus one kernel
+    // radius so the slice's left edge doesn't distort the residuals used
+    const radius = Math.ceil(4 * detrendBandwidth);
+    const sliceLength = csdWindow + tauLookback + radius;
+    const first = csdWindow + tauLookback;
+
+    // Align evaluation days to the latest day, filling forward in between
+    const start = first + ((n - 1 - first) % step);
+    for (let end = start; end < n; end += step) {
+      const slice = prices.slice(Math.max(0, end + 1 - sliceLength), end + 1);
+      const { residuals } = StatisticalEngine.detrend(slice, detrendBandwidth);
+      const ar1Series = StatisticalEngine.rollingAR1(residuals, csdWindow);
+      const current = ar1Series[ar1Series.length - 1];
+      const tau = StatisticalEngine.kendallTau(ar1Series, tauLookback);
+
+      for (let i = end; i < Math.min(n, end + step); i++) {
+        ar1[i] = current;
+        kendallTau[i] = tau;
+      }
+    }
+
+    return { ar1, kendallTau };
+  }
+
+  /**
+   * Liquidity measures per day from trailing data only. The HMM drain
+   * probability is only replayed when the profile scores on it.
+   *
+   * @param {number[]} values - Net liquidity per day
+   * @param {Object} config - liquidityWindow, profile
+   * @returns {Object[]} Measures keyed like LIQUIDITY_MEASURES
+   */
+  static causalLiquidity(values, config = {}) {
+    const { liquidityWindow = 252, profile = DEFAULT_PROFILE } = config;
+    const trailing = LiquidityRegime.trailingMeasures(values, liquidityWindow);
+    const drainProbability = profile.liquidityMeasure === 'drainProbability'
+      ? LiquidityRegime.causalDrainProbability(values, { minHistory: liquidityWindow })
+      : null;
+
+    return values.map((level, i) => ({
+      level,
+      ...Object.fromEntries(Object.entries(trailing).map(([key, series]) => [key, series[i]])),
+      drainProbability: drainProbability ? drainProbability[i] : null
+    }));
+  }
+
+  /**
+   * Composite score and signal per day from causal inputs
+   *
+   * @param {Object[]} timeSeries - Joined daily records (date, spx, netLiquidity)
+   * @param {Object} config - CSD config plus lppl* options, scoring profile and
+   *   asset (key, separates LPPL cache entries)
+   * @returns {Object[]} { date, score, status, signal, components, used } (null
+   *   score while warming up; `used` lists the components that had a reading)
+   */
+  static walkForwardScores(timeSeries, config = {}) {
+    const prices = timeSeries.map(d => d.spx);
+    const dates = timeSeries.map(d => d.date);
+    const { ar1, kendallTau } = this.causalCSD(prices, config);
+    const lpplHistory = lpplConfidenceHistory(prices, dates, {
+      step: config.lpplHistoryStep ?? 21,
+      minWindow: config.lpplMinWindow,
+      maxWindow: config.lpplMaxWindow,
+      cache: config.lpplCache,
+      series: config.asset
+    });
+    const liquidity = this.causalLiquidity(timeSeries.map(d => d.netLiquidity), config);
+
+    return timeSeries.map((d, i) => {
+      if (ar1[i] === null) {
+        return { date: d.date, score: null, status: null, signal: null, components: null, used: null };
+      }
+      const regime = scoreRegime({
+        ar1: ar1[i],
+        kendallTau: kendallTau[i],
+        ...lpplInputs(lpplHistory[i]),
+        liquidity: liquidity[i],
+        stress: stressInputs(d)
+      }, config.profile);
+      return {
+        date: d.date,
+        score: regime.composite,
+        status: regime.status,
+        signal: regime.signal,
+        components: regime.components,
+        used: regime.used
+      };
+    });
+  }
+
+  /**
+   * Trade SPX exposure from daily signals against buy-and-hold
+   *
+   * @param {number[]} prices - Daily prices
+   * @param {Object[]} scores - Output of walkForwardScores
+   * @param {Object} options
+   * @param {Object} options.exposures - Exposure per signal (default DEFAULT_EXPOSURES)
+   * @param {number} options.hitHorizon - Forward days for the hit rate (default 21)
+   */
+  static simulate(prices, scores, options = {}) {
+    const { exposures = DEFAULT_EXPOSURES, hitHorizon = 21 } = options;
+    const first = scores.findIndex(s => s.score !== null);
+    if (first < 0 || first >= prices.length - 1) return null;
+
+    const strategyReturns = [];
+    const buyHoldReturns = [];
+    let signal = scores[first].signal;
+    // Each row holds the signal at that close and the exposure it sets for the next day
+    const equityCurve = [{ index: first, strategy: 1, buyHold: 1, signal, exposure: exposures[signal] }];
+    let strategy = 1;
+    let buyHold = 1;
+    let hits = 0;
+    let calls = 0;
+
+    for (let i = first; i < prices.length - 1; i++) {
+      const held = signal;
+      const exposure = exposures[held];
+      const marketReturn = prices[i + 1] / prices[i] - 1;
+      const strategyReturn = exposure * marketReturn;
+      strategy *= 1 + strategyReturn;
+      buyHold *= 1 + marketReturn;
+      strategyReturns.push(strategyReturn);
+      buyHoldReturns.push(marketReturn);
+
+      // Days without a score keep the previous signal and exposure
+      if (scores[i + 1].signal) signal = scores[i + 1].signal;
+      equityCurve.push({ index: i + 1, strategy, buyHold, signal, exposure: exposures[signal] });
+
+      // Hits are judged on the signal's side, whatever exposure it maps to
+      const side = SIGNAL_SIDES[held] || 0;
+      if (i + hitHorizon < prices.length && side !== 0) {
+        const forward = prices[i + hitHorizon] / prices[i] - 1;
+        calls++;
+        if ((side < 0 && forward < 0) || (side > 0 && forward > 0)) hits++;
+      }
+    }
+
+    return {
+      equityCurve,
+      strategy: this.metrics(strategyReturns),
+      buyHold: this.metrics(buyHoldReturns),
+      hitRate: calls > 0 ? hits / calls : null,
+      signalDays: calls
+    };
+  }
+
+  /**
+   * CAGR, max drawdown and annualized Sharpe of daily returns
+   */
+  static metrics(returns) {
+    let equity = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    for (const r of returns) {
+      equity *= 1 + r;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, 1 - equity / peak);
+    }
+
+    const n = returns.length;
+    const mean = n > 0 ? returns.reduce((a, b) => a + b, 0) / n : 0;
+    const variance = n > 1 ? returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (n - 1) : 0;
+    const sd = Math.sqrt(variance);
+
+    return {
+      totalReturn: equity - 1,
+      cagr: n > 0 ? Math.pow(equity, TRADING_DAYS / n) - 1 : 0,
+      maxDrawdown,
+      sharpe: sd > 0 ? (mean / sd) * Math.sqrt(TRADING_DAYS) : null,
+      volatility: sd * Math.sqrt(TRADING_DAYS)
+    };
+  }
+}
+
+/**
+ * Walk-forward scores plus simulated strategy vs buy-and-hold
+ *
+ * @param {Object[]} timeSeries - Joined daily records
+ * @param {Object} config - See walkForwardScores and simulate
+ */
+export function runBacktest(timeSeries, config = {}) {
+  const scores = RegimeBacktest.walkForwardScores(timeSeries, config);
+  const result = RegimeBacktest.simulate(timeSeries.map(d => d.spx), scores, config);
+  return result ? { ...result, scores } : null;
+}
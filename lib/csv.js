@@ -0,0 +1,78 @@
+/**
+ * CSV Input and Output
+ *
+ * RFC 4180 text for spreadsheet exports: a header row of column names, one
+ * line per record, fields quoted when they contain a comma, quote or line
+ * break. null and undefined are written as empty fields. The parser reads
+ * the same format (e.g. price files, see lib/assets.js).
+ */
+
+const escapeField = value => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Records as CSV
+ *
+ * @param {Object[]} rows - Records
+ * @param {string[]} columns - Fields to write, in order (default the first row's keys)
+ * @returns {string}
+ */
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const lines = [columns.map(escapeField).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Records from CSV text with a header row
+ *
+ * @param {string} text
+ * @returns {Object[]} One object per line, keyed by the (trimmed) header
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.some(value => value.trim()));
+  const columns = header.map(name => name.trim());
+  return records.map(values => Object.fromEntries(columns.map((name, i) => [name, values[i] ?? ''])));
+}
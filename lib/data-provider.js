@@ -0,0 +1,300 @@
+/**
+ * Data Providers
+ *
+ * Every upstream request (FRED / ALFRED, Treasury Fiscal Data, NOAA SWPC,
+ * SILSO) goes through the provider selected by the DATA_PROVIDER env var:
+ *
+ * - live (default): HTTP requests to the upstream APIs
+ * - fixture: Recorded JSON responses from FIXTURE_DIR/<FIXTURE_DATASET>
+ *   (default fixtures/baseline); no network access or FRED key needed
+ * - record: Live requests whose responses are also saved as fixtures
+ *
+ * Fixture layout, one file per upstream resource in the API's own format:
+ *   fred/<SERIES_ID>.json      { observations: [{ date, value, realtime_start?, realtime_end? }] }
+ *   treasury/<table>.json      { data: [{ record_date, ... }] }
+ *   noaa/<file>.json           NOAA SWPC JSON as published
+ *   silso/<file>.csv           SILSO CSV as published (';'-separated)
+ *
+ * The fixture backend applies the filters the upstream API would
+ * (observation and real-time periods, record_date, paging), so routes
+ * behave the same on either backend.
+ *
+ * Live requests go through the shared client (lib/source-client.js) for
+ * retries, rate limiting and per-source health. Health keys are the FRED
+ * series ID, the Treasury table name or `options.source` for NOAA and
+ * SILSO files.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fetchJSON, fetchText, recordSourceRead } from './source-client';
+
+const FRED_URL = 'https://api.stlouisfed.org/fred/series/observations';
+const TREASURY_URL = 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service/v1';
+const NOAA_URL = 'https://services.swpc.noaa.gov/json/solar-cycle';
+const SILSO_URL = 'https://www.sidc.be/SILSO/DATA';
+const OPEN_END = '9999-12-31';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Latest date in each kind of response, for source health
+const lastFredDate = data => {
+  const obs = data?.observations || [];
+  return obs.length ? obs.reduce((max, o) => (o.date > max ? o.date : max), obs[0].date) : null;
+};
+const lastRecordDate = data => {
+  const rows = data?.data || [];
+  return rows.length ? rows.reduce((max, r) => (r.record_date > max ? r.record_date : max), rows[0].record_date) : null;
+};
+const lastTimeTag = data => {
+  if (!Array.isArray(data) || !data.length) return null;
+  const tag = r => r['time-tag'] || r.Obsdate?.split('T')[0] || '';
+  return data.reduce((max, r) => (tag(r) > max ? tag(r) : max), tag(data[0])) || null;
+};
+// SILSO CSV rows start 'YYYY;MM;DD' (daily) or 'YYYY;MM' (monthly), oldest first
+const lastCsvDate = text => {
+  const last = String(text || '').trim().split('\n').pop() || '';
+  const [year, month, day] = last.split(';').map(part => part.trim());
+  if (!/^\d{4}$/.test(year || '')) return null;
+  return [year, month, /^\d{1,2}$/.test(day || '') ? day : null].filter(Boolean).map(p => p.padStart(2, '0')).join('-');
+};
+
+export class LiveProvider {
+  constructor() {
+    this.name = 'live';
+    this.requiresApiKey = true;
+  }
+
+  /**
+   * FRED observations (ALFRED vintages when a real-time period is given)
+   *
+   * @param {string} seriesId - FRED series ID
+   * @param {Object} options
+   * @param {string} options.apiKey - FRED API key
+   * @param {string} options.start - observation_start (YYYY-MM-DD)
+   * @param {string} options.end - observation_end (default today)
+   * @param {string} options.realtimeStart - realtime_start (default today)
+   * @param {string} options.realtimeEnd - realtime_end (default today)
+   * @returns {Promise<{ observations: Object[] }>}
+   */
+  async fredObservations(seriesId, options = {}) {
+    const { apiKey, start, end = today(), realtimeStart, realtimeEnd } = options;
+    const params = new URLSearchParams({ series_id: seriesId, api_key: apiKey, file_type: 'json', observation_end: end });
+    if (start) params.set('observation_start', start);
+    if (realtimeStart) params.set('realtime_start', realtimeStart);
+    if (realtimeEnd) params.set('realtime_end', realtimeEnd);
+    const data = await fetchJSON(`${FRED_URL}?${params}`, {
+      source: seriesId,
+      provider: 'FRED',
+      lastObservation: lastFredDate
+    });
+    return { observations: data.observations || [] };
+  }
+
+  /**
+   * One page of a Treasury Fiscal Data table, newest first
+   *
+   * @param {string} endpoint - Table path, e.g. 'accounting/dts/dts_table_1'
+   * @param {Object} options
+   * @param {string} options.start - Earliest record_date (YYYY-MM-DD)
+   * @param {number} options.pageSize - Rows per page (default 750)
+   * @param {number} options.page - Page number, from 1
+   * @returns {Promise<{ data: Object[], meta: Object }>}
+   */
+  async treasuryTable(endpoint, options = {}) {
+    const { start, pageSize = 750, page = 1 } = options;
+    const filter = start ? `filter=record_date:gte:${start}&` : '';
+    return fetchJSON(`${TREASURY_URL}/${endpoint}?${filter}sort=-record_date&page[size]=${pageSize}&page[number]=${page}`, {
+      source: path.basename(endpoint),
+      provider: 'Treasury',
+      lastObservation: lastRecordDate
+    });
+  }
+
+  /**
+   * A NOAA SWPC solar-cycle JSON file
+   *
+   * @param {string} file - e.g. 'predicted-solar-cycle.json'
+   * @param {Object} options - { source } health key (default the file name)
+   */
+  async noaaDocument(file, options = {}) {
+    return fetchJSON(`${NOAA_URL}/${file}`, {
+      source: options.source || file,
+      provider: 'NOAA',
+      lastObservation: lastTimeTag
+    });
+  }
+
+  /**
+   * A SILSO (Royal Observatory of Belgium) sunspot CSV file, as text
+   *
+   * @param {string} file - e.g. 'SN_d_tot_V2.0.csv'
+   * @param {Object} options - { source } health key (default the file name)
+   */
+  async silsoDocument(file, options = {}) {
+    return fetchText(`${SILSO_URL}/${file}`, {
+      source: options.source || file,
+      provider: 'SILSO',
+      lastObservation: lastCsvDate
+    });
+  }
+}
+
+export class FixtureProvider {
+  /**
+   * @param {string} directory - Dataset directory
+   */
+  constructor(directory) {
+    this.name = 'fixture';
+    this.requiresApiKey = false;
+    this.directory = directory;
+    this.dataset = path.basename(directory);
+  }
+
+  async read(file) {
+    const full = path.join(this.directory, file);
+    try {
+      const raw = await fs.readFile(full, 'utf8');
+      return file.endsWith('.json') ? JSON.parse(raw) : raw;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No fixture ${file} in dataset ${this.dataset} (generate the canned datasets with npm run fixtures)`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a fixture and apply the request's filters (`select`), recording it
+   * in source health like a live request
+   */
+  async load(file, { source, provider, lastObservation, select = data => data }) {
+    const started = Date.now();
+    try {
+      const data = select(await this.read(file));
+      recordSourceRead(source, { provider, latencyMs: Date.now() - started, lastObservation: lastObservation(data) });
+      return data;
+    } catch (error) {
+      recordSourceRead(source, { provider, latencyMs: Date.now() - started, error: error.message });
+      throw error;
+    }
+  }
+
+  async fredObservations(seriesId, options = {}) {
+    const { start = '', end = today(), realtimeStart = today(), realtimeEnd = realtimeStart } = options;
+    return this.load(`fred/${seriesId}.json`, {
+      source: seriesId,
+      provider: 'FRED',
+      lastObservation: lastFredDate,
+      select: ({ observations = [] }) => ({
+        observations: observations.filter(o => (
+          o.date >= start && o.date <= end &&
+          (o.realtime_start || '') <= realtimeEnd && (o.realtime_end || OPEN_END) >= realtimeStart
+        ))
+      })
+    });
+  }
+
+  async treasuryTable(endpoint, options = {}) {
+    const { start = '', pageSize = 750, page = 1 } = options;
+    const source = path.basename(endpoint);
+    return this.load(`treasury/${source}.json`, {
+      source,
+      provider: 'Treasury',
+      lastObservation: lastRecordDate,
+      select: ({ data = [] }) => {
+        const rows = data
+          .filter(row => row.record_date >= start && row.record_date <= today())
+          .sort((a, b) => b.record_date.localeCompare(a.record_date));
+        return {
+          data: rows.slice((page - 1) * pageSize, page * pageSize),
+          meta: { 'total-count': rows.length, 'total-pages': Math.max(1, Math.ceil(rows.length / pageSize)) }
+        };
+      }
+    });
+  }
+
+  async noaaDocument(file, options = {}) {
+    return this.load(`noaa/${file}`, { source: options.source || file, provider: 'NOAA', lastObservation: lastTimeTag });
+  }
+
+  async silsoDocument(file, options = {}) {
+    return this.load(`silso/${file}`, { source: options.source || file, provider: 'SILSO', lastObservation: lastCsvDate });
+  }
+}
+
+/**
+ * Live provider that saves every response under a fixture dataset, merged
+ * with what is already recorded there
+ */
+export class RecordingProvider extends LiveProvider {
+  constructor(directory) {
+    super();
+    this.name = 'record';
+    this.fixtures = new FixtureProvider(directory);
+  }
+
+  async save(file, merge) {
+    const full = path.join(this.fixtures.directory, file);
+    const existing = await this.fixtures.read(file).catch(() => null);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    const body = merge(existing);
+    await fs.writeFile(full, typeof body === 'string' ? body : JSON.stringify(body));
+  }
+
+  async fredObservations(seriesId, options = {}) {
+    const result = await super.fredObservations(seriesId, options);
+    // Keyed by vintage too, so point-in-time requests can be replayed
+    const key = o => `${o.date}|${o.realtime_start || ''}`;
+    await this.save(`fred/${seriesId}.json`, existing => {
+      const byKey = new Map((existing?.observations || []).map(o => [key(o), o]));
+      result.observations.forEach(({ date, value, realtime_start, realtime_end }) => {
+        byKey.set(key({ date, realtime_start }), { date, value, realtime_start, realtime_end });
+      });
+      return { observations: Array.from(byKey.values()).sort((a, b) => key(a).localeCompare(key(b))) };
+    });
+    return result;
+  }
+
+  async treasuryTable(endpoint, options = {}) {
+    const result = await super.treasuryTable(endpoint, options);
+    const key = row => `${row.record_date}|${row.account_type || ''}`;
+    await this.save(`treasury/${path.basename(endpoint)}.json`, existing => {
+      const byKey = new Map((existing?.data || []).map(row => [key(row), row]));
+      (result.data || []).forEach(row => byKey.set(key(row), row));
+      return { data: Array.from(byKey.values()).sort((a, b) => a.record_date.localeCompare(b.record_date)) };
+    });
+    return result;
+  }
+
+  async noaaDocument(file, options = {}) {
+    const result = await super.noaaDocument(file, options);
+    await this.save(`noaa/${file}`, () => result);
+    return result;
+  }
+
+  async silsoDocument(file, options = {}) {
+    const result = await super.silsoDocument(file, options);
+    await this.save(`silso/${file}`, () => result);
+    return result;
+  }
+}
+
+let provider = null;
+
+/**
+ * The provider selected by DATA_PROVIDER (created once per process)
+ */
+export function getDataProvider() {
+  if (provider) return provider;
+  const mode = (process.env.DATA_PROVIDER || 'live').toLowerCase();
+  const directory = path.resolve(
+    process.env.FIXTURE_DIR || path.join(process.cwd(), 'fixtures'),
+    process.env.FIXTURE_DATASET || 'baseline'
+  );
+
+  if (mode === 'fixture') provider = new FixtureProvider(directory);
+  else if (mode === 'record') provider = new RecordingProvider(directory);
+  else provider = new LiveProvider();
+  return provider;
+}
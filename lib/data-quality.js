@@ -0,0 +1,368 @@
+/**
+ * Data Quality Validation
+ *
+ * Checks the inputs of the joined daily time series and reports what the
+ * forward-filling join would otherwise hide:
+ *
+ * - Stale forward-fills: a value carried forward longer than the series'
+ *   release spacing plus `maxFillAge` calendar days (a source that stopped
+ *   updating)
+ * - Dropped days: market asset trading days left out of the join for lack of a
+ *   liquidity value
+ * - Missing business days: weekdays with no market asset close that are not
+ *   NYSE holidays
+ * - Outliers: isolated spikes against the median of the surrounding
+ *   observations of the same series, in robust (MAD) units
+ * - Jumps: single-step changes far outside the series' usual changes
+ * - Unit changes: consecutive observations a factor of ~1000 apart, and
+ *   values outside the series' plausible range (e.g. millions read as
+ *   billions)
+ *
+ * Series status: 'warning' (stale now, unit problems, or an outlier / jump
+ * in the last `recentDays`), 'info' (historical findings only) or 'ok'. The
+ * report is a 'warning' when any series is, or when days were dropped or
+ * are missing within the last `recentDays`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar days between releases, by frequency
+const RELEASE_SPACING = { daily: 3, weekly: 7, monthly: 31 };
+
+// Entries kept per finding list in the report (most recent)
+const REPORT_LIMIT = 10;
+
+export const QUALITY_DEFAULTS = {
+  maxFillAge: 4,
+  outlierThreshold: 8,
+  jumpThreshold: 10,
+  recentDays: 30
+};
+
+const daysBetween = (a, b) => Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / DAY_MS);
+
+const isoDate = d => d.toISOString().split('T')[0];
+
+const median = values => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Robust scale: 1.4826·MAD, falling back to the mean absolute deviation
+// when more than half the values are identical (e.g. RRP at zero)
+const robustScale = values => {
+  const center = median(values);
+  const deviations = values.map(v => Math.abs(v - center));
+  const mad = 1.4826 * median(deviations);
+  if (mad > 0) return mad;
+  const mean = deviations.reduce((sum, v) => sum + v, 0) / (deviations.length || 1);
+  return 1.2533 * mean;
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+export class DataQuality {
+  /**
+   * NYSE full-day closures for a year (weekend holidays observed on the
+   * nearest weekday, Good Friday from the Gregorian Easter date)
+   */
+  static nyseHolidays(year) {
+    const date = (m, d) => new Date(Date.UTC(year, m - 1, d));
+    const observed = d => {
+      const day = d.getUTCDay();
+      if (day === 6) return new Date(d.getTime() - DAY_MS);
+      if (day === 0) return new Date(d.getTime() + DAY_MS);
+      return d;
+    };
+    const nthWeekday = (m, weekday, n) => {
+      const first = date(m, 1);
+      const offset = (weekday - first.getUTCDay() + 7) % 7;
+      return date(m, 1 + offset + (n - 1) * 7);
+    };
+    const lastWeekday = (m, weekday) => {
+      const last = new Date(Date.UTC(year, m, 0));
+      const offset = (last.getUTCDay() - weekday + 7) % 7;
+      return new Date(last.getTime() - offset * DAY_MS);
+    };
+
+    // Anonymous Gregorian algorithm
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const easterMonth = Math.floor((h + l - 7 * m + 114) / 31);
+    const easterDay = ((h + l - 7 * m + 114) % 31) + 1;
+    const goodFriday = new Date(date(easterMonth, easterDay).getTime() - 2 * DAY_MS);
+
+    const holidays = [
+      observed(date(1, 1)),
+      nthWeekday(1, 1, 3),         // Martin Luther King Jr. Day
+      nthWeekday(2, 1, 3),         // Washington's Birthday
+      goodFriday,
+      lastWeekday(5, 1),           // Memorial Day
+      observed(date(7, 4)),
+      nthWeekday(9, 1, 1),         // Labor Day
+      nthWeekday(11, 4, 4),        // Thanksgiving
+      observed(date(12, 25))
+    ];
+    if (year >= 2022) holidays.push(observed(date(6, 19))); // Juneteenth
+
+    // Unscheduled closures (national days of mourning)
+    const special = { 2018: ['2018-12-05'], 2025: ['2025-01-09'] };
+    return new Set([...holidays.map(isoDate), ...(special[year] || [])]);
+  }
+
+  /**
+   * Weekdays between the first and last date with no entry in `dates` that
+   * are not NYSE holidays
+   */
+  static missingBusinessDays(dates) {
+    if (dates.length < 2) return [];
+    const present = new Set(dates);
+    const holidays = new Map();
+    const missing = [];
+    for (let d = new Date(`${dates[0]}T00:00:00Z`); isoDate(d) <= dates[dates.length - 1]; d = new Date(d.getTime() + DAY_MS)) {
+      const day = d.getUTCDay();
+      const key = isoDate(d);
+      if (day === 0 || day === 6 || present.has(key)) continue;
+      const year = d.getUTCFullYear();
+      if (!holidays.has(year)) holidays.set(year, this.nyseHolidays(year));
+      if (!holidays.get(year).has(key)) missing.push(key);
+    }
+    return missing;
+  }
+
+  /**
+   * Age in calendar days of the value in use on each calendar date, and the
+   * runs where it exceeded `limit`
+   *
+   * @param {string[]} obsDates - Observation dates, sorted (monthly: YYYY-MM-01)
+   * @param {string[]} calendar - Dates the joined series is built on
+   * @param {number} limit - Maximum acceptable age
+   * @param {string} frequency - 'daily' | 'weekly' | 'monthly'
+   */
+  static fillAges(obsDates, calendar, limit, frequency) {
+    const ages = [];
+    const spans = [];
+    let j = -1;
+    calendar.forEach(date => {
+      while (j + 1 < obsDates.length && obsDates[j + 1] <= date) j++;
+      if (j < 0) {
+        ages.push(null);
+        return;
+      }
+      // A monthly value covers its whole month
+      let anchor = obsDates[j];
+      if (frequency === 'monthly') {
+        const d = new Date(`${anchor}T00:00:00Z`);
+        anchor = isoDate(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)));
+      }
+      const age = Math.max(0, daysBetween(anchor, date));
+      ages.push(age);
+      if (age > limit) {
+        const open = spans[spans.length - 1];
+        if (open && open.obsDate === obsDates[j]) {
+          open.end = date;
+          open.maxAge = age;
+        } else {
+          spans.push({ start: date, end: date, obsDate: obsDates[j], maxAge: age });
+        }
+      }
+    });
+    return { ages, spans };
+  }
+
+  /**
+   * Spikes and jumps among a series' own observations
+   *
+   * @param {Array<{ date: string, value: number }>} points - Sorted observations
+   * @param {Object} options - { outlierThreshold, jumpThreshold, scale }
+   *   scale: 'auto' (log when every value is positive), 'level', or 'none'
+   *   to skip the checks
+   */
+  static anomalies(points, options = {}) {
+    const { outlierThreshold = QUALITY_DEFAULTS.outlierThreshold, jumpThreshold = QUALITY_DEFAULTS.jumpThreshold, scale = 'auto' } = options;
+    const n = points.length;
+    if (n < 12 || scale === 'none') return { outliers: [], jumps: [] };
+
+    const positive = scale !== 'level' && points.every(p => p.value > 0);
+    const values = points.map(p => (positive ? Math.log(p.value) : p.value));
+
+    // Spikes: residual from the median of the 10 surrounding observations
+    // (the point itself left out, so a trending stretch doesn't give zero
+    // residuals and collapse the scale)
+    const half = 5;
+    const residuals = values.map((v, i) => v - median([
+      ...values.slice(Math.max(0, i - half), i),
+      ...values.slice(i + 1, Math.min(n, i + half + 1))
+    ]));
+    const residualScale = robustScale(residuals);
+    const outlierIndex = new Set();
+    const outliers = [];
+    residuals.forEach((r, i) => {
+      if (residualScale > 0 && Math.abs(r) > outlierThreshold * residualScale) {
+        outlierIndex.add(i);
+        outliers.push({
+          date: points[i].date,
+          value: round(points[i].value),
+          expected: round(positive ? Math.exp(values[i] - r) : values[i] - r),
+          score: round(Math.abs(r) / residualScale, 1)
+        });
+      }
+    });
+
+    // Jumps: step changes, skipping steps into or out of a spike
+    const changes = values.slice(1).map((v, i) => v - values[i]);
+    const center = median(changes);
+    const changeScale = robustScale(changes);
+    const jumps = [];
+    changes.forEach((change, k) => {
+      const i = k + 1;
+      if (outlierIndex.has(i) || outlierIndex.has(i - 1)) return;
+      if (changeScale > 0 && Math.abs(change - center) > jumpThreshold * changeScale) {
+        jumps.push({
+          date: points[i].date,
+          from: round(points[i - 1].value),
+          to: round(points[i].value),
+          change: positive ? round((Math.exp(change) - 1) * 100, 1) : round(change),
+          changeUnits: positive ? '%' : 'level',
+          score: round(Math.abs(change - center) / changeScale, 1)
+        });
+      }
+    });
+
+    return { outliers, jumps };
+  }
+
+  /**
+   * Consecutive observations ~1000x apart, and values outside `range`
+   */
+  static unitChecks(points, range) {
+    const unitChanges = [];
+    points.forEach((p, i) => {
+      if (i === 0) return;
+      const prev = points[i - 1].value;
+      if (Math.abs(prev) < 1 || Math.abs(p.value) < 1) return;
+      const ratio = p.value / prev;
+      if (Math.abs(Math.log10(Math.abs(ratio))) >= 2.5) {
+        unitChanges.push({ date: p.date, from: round(prev), to: round(p.value), ratio: round(ratio, ratio < 1 ? 6 : 1) });
+      }
+    });
+    const outOfRange = range ? points.filter(p => p.value < range[0] || p.value > range[1]) : [];
+    return { unitChanges, outOfRange };
+  }
+
+  /**
+   * Validate the inputs of a joined time series
+   *
+   * @param {Object} input
+   * @param {string[]} input.calendar - Base calendar (market asset trading days)
+   * @param {string[]} input.joinedDates - Dates kept by the join
+   * @param {Object[]} input.series - [{ key, id, label, frequency, range,
+   *   anomalyScale, observations: { [date]: value }, required }] in joined
+   *   units. anomalyScale is the outlier/jump scale (see anomalies):
+   *   'level' for rates near zero, 'none' for administered rates that only
+   *   move in steps
+   * @param {Object} options - See QUALITY_DEFAULTS
+   * @returns {Object} Report: { status, config, summary, droppedDays, missingBusinessDays, series }
+   */
+  static validate({ calendar, joinedDates, series }, options = {}) {
+    const config = { ...QUALITY_DEFAULTS };
+    Object.keys(QUALITY_DEFAULTS).forEach(key => {
+      const value = Number(options[key]);
+      if (Number.isFinite(value) && value >= 0) config[key] = value;
+    });
+    const lastDate = calendar[calendar.length - 1];
+    const isRecent = date => lastDate && daysBetween(date, lastDate) <= config.recentDays;
+
+    const report = {};
+    series.forEach(({ key, id, label, frequency, range, anomalyScale, observations }) => {
+      const points = Object.keys(observations).sort()
+        .map(date => ({ date, value: observations[date] }))
+        .filter(p => Number.isFinite(p.value));
+      const obsDates = points.map(p => p.date);
+      const limit = RELEASE_SPACING[frequency] + config.maxFillAge;
+      const { ages, spans } = this.fillAges(obsDates, calendar, limit, frequency);
+      const { outliers, jumps } = this.anomalies(points, { ...config, scale: anomalyScale });
+      const { unitChanges, outOfRange } = this.unitChecks(points, range);
+      const currentAge = ages.length ? ages[ages.length - 1] : null;
+
+      const issues = [];
+      if (!points.length) issues.push('No observations');
+      if (currentAge !== null && currentAge > limit) {
+        issues.push(`Last observation ${obsDates[obsDates.length - 1]} is ${currentAge} days old (limit ${limit})`);
+      }
+      if (unitChanges.length) issues.push(`${unitChanges.length} possible unit change(s), last ${unitChanges[unitChanges.length - 1].date}`);
+      if (outOfRange.length) issues.push(`${outOfRange.length} value(s) outside ${range[0]}-${range[1]}`);
+      const recentOutliers = outliers.filter(o => isRecent(o.date));
+      const recentJumps = jumps.filter(j => isRecent(j.date));
+      if (recentOutliers.length) issues.push(`Outlier on ${recentOutliers[recentOutliers.length - 1].date}`);
+      if (recentJumps.length) issues.push(`Jump on ${recentJumps[recentJumps.length - 1].date}`);
+
+      const historical = spans.length || outliers.length || jumps.length;
+      report[key] = {
+        id,
+        label,
+        frequency,
+        status: issues.length ? 'warning' : historical ? 'info' : 'ok',
+        issues,
+        lastObservation: obsDates.length ? obsDates[obsDates.length - 1] : null,
+        fillAge: currentAge,
+        maxFillAge: limit,
+        staleDays: ages.filter(age => age !== null && age > limit).length,
+        staleSpans: spans.slice(-REPORT_LIMIT).map(({ start, end, obsDate, maxAge }) => ({ start, end, lastObservation: obsDate, maxAge })),
+        outliers: outliers.slice(-REPORT_LIMIT),
+        outlierCount: outliers.length,
+        jumps: jumps.slice(-REPORT_LIMIT),
+        jumpCount: jumps.length,
+        unitChanges: unitChanges.slice(-REPORT_LIMIT),
+        outOfRange: outOfRange.length
+      };
+    });
+
+    const kept = new Set(joinedDates);
+    const dropped = calendar.filter(date => !kept.has(date));
+    const missing = this.missingBusinessDays(calendar);
+    const statuses = Object.values(report).map(s => s.status);
+    const recentGaps = dropped.some(isRecent) || missing.some(isRecent);
+
+    return {
+      status: statuses.includes('warning') || recentGaps ? 'warning' : 'ok',
+      config,
+      summary: {
+        warnings: statuses.filter(s => s === 'warning').length,
+        info: statuses.filter(s => s === 'info').length,
+        droppedDays: dropped.length,
+        missingBusinessDays: missing.length
+      },
+      droppedDays: {
+        count: dropped.length,
+        first: dropped[0] || null,
+        last: dropped[dropped.length - 1] || null,
+        recent: dropped.slice(-REPORT_LIMIT)
+      },
+      missingBusinessDays: {
+        count: missing.length,
+        recent: missing.slice(-REPORT_LIMIT)
+      },
+      series: report
+    };
+  }
+}
+
+/**
+ * Data quality report for the inputs of a joined time series
+ */
+export function validateTimeSeries(input, options = {}) {
+  return DataQuality.validate(input, options);
+}
@@ -0,0 +1,250 @@
+/**
+ * Derived Series
+ *
+ * Named series computed from other series with the expression language in
+ * lib/expression.js, e.g.
+ *   netLiquidity: balanceSheet - tga - rrp
+ *   liquidityExRepo: WALCL/1000 - WTREGEN/1000 - RRPONTSYD - WLRRAL
+ *   spxPerLiquidity: SP500 / netLiquidity
+ *
+ * Expressions can refer to:
+ * - Fields of the joined timeSeries (balanceSheet, tga, spx, vix, ...)
+ * - FRED series IDs (upper case), in FRED's own units and forward-filled onto
+ *   the timeSeries dates; series that are not loaded already are fetched
+ * - Other derived series (evaluated in dependency order, cycles rejected)
+ *
+ * Definitions come from, in increasing priority: BUILTIN_DERIVED, the JSON
+ * file named by DERIVED_SERIES_FILE (default derived-series.json in the
+ * working directory, optional) and the `derived` query parameter. A later
+ * definition replaces an earlier one with the same name, so netLiquidity
+ * itself can be redefined. Names start with a lower-case letter (upper-case
+ * identifiers are FRED IDs) and cannot shadow a joined field.
+ *
+ * A definition is an expression string or an object:
+ * - expression: The expression
+ * - label: Human-readable name (default the name)
+ * - units: Units for axes and CSV headers (default '')
+ * - precision: Decimal places kept (default 4; values below 1 keep as many
+ *   significant digits instead)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ExpressionError, parseExpression, expressionIdentifiers, evaluateExpression } from './expression';
+
+export const BUILTIN_DERIVED = {
+  netLiquidity: { expression: 'balanceSheet - tga - rrp', label: 'Net Liquidity', units: '$B', precision: 1 }
+};
+
+const NAME = /^[a-z][A-Za-z0-9_]*$/;
+const FRED_ID = /^[A-Z][A-Z0-9_]*$/;
+const MAX_DEFINITIONS = 20;
+const MAX_FRED_SERIES = 10;
+const DEFAULT_PRECISION = 4;
+
+/**
+ * Normalize definitions given as an object, JSON or `name=expression`
+ * pairs separated by semicolons
+ *
+ * @param {Object|string} input
+ * @returns {Object<string, { expression: string, label: string, units: string, precision: number }>}
+ */
+export function parseDerivedDefinitions(input) {
+  if (input === undefined || input === null || input === '') return {};
+
+  let entries;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('{')) {
+      try {
+        entries = Object.entries(JSON.parse(text));
+      } catch (error) {
+        throw new ExpressionError(`Derived series JSON is invalid: ${error.message}`);
+      }
+    } else {
+      entries = text.split(';').filter(part => part.trim()).map(part => {
+        const separator = part.indexOf('=');
+        if (separator < 0) throw new ExpressionError(`Expected name=expression, got '${part.trim()}'`);
+        return [part.slice(0, separator).trim(), part.slice(separator + 1).trim()];
+      });
+    }
+  } else if (typeof input === 'object' && !Array.isArray(input)) {
+    entries = Object.entries(input);
+  } else {
+    throw new ExpressionError('Derived series must be an object of name: expression');
+  }
+
+  if (entries.length > MAX_DEFINITIONS) {
+    throw new ExpressionError(`At most ${MAX_DEFINITIONS} derived series can be defined`);
+  }
+  return Object.fromEntries(entries.map(([name, definition]) => {
+    const { expression, label = name, units = '', precision = DEFAULT_PRECISION } = typeof definition === 'string'
+      ? { expression: definition }
+      : definition || {};
+    if (typeof expression !== 'string') {
+      throw new ExpressionError(`Derived series '${name}' has no expression`);
+    }
+    const decimals = parseInt(precision);
+    return [name, {
+      expression,
+      label: String(label),
+      units: String(units),
+      precision: Number.isFinite(decimals) ? Math.min(10, Math.max(0, decimals)) : DEFAULT_PRECISION
+    }];
+  }));
+}
+
+/**
+ * Definitions from the config file (none if it does not exist)
+ *
+ * @param {string} file - Path, default DERIVED_SERIES_FILE or derived-series.json
+ * @returns {Promise<Object>} As parseDerivedDefinitions
+ */
+export async function loadDerivedConfig(file = process.env.DERIVED_SERIES_FILE) {
+  const full = path.resolve(process.cwd(), file || 'derived-series.json');
+  let raw;
+  try {
+    raw = await fs.readFile(full, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  try {
+    return parseDerivedDefinitions(JSON.parse(raw));
+  } catch (error) {
+    throw new ExpressionError(`${path.basename(full)}: ${error.message}`);
+  }
+}
+
+/**
+ * Merge, parse and order the derived series for one request
+ *
+ * @param {Object|string} input - Request definitions (see parseDerivedDefinitions)
+ * @param {Object} options
+ * @param {string[]} options.fields - Fields expressions can refer to
+ * @param {string[]} options.reserved - Further names a derived series cannot take
+ * @param {boolean} options.partial - Leave out definitions that refer to a
+ *   field outside `fields` (and those depending on them) instead of failing
+ * @returns {Promise<{ definitions: Object[], fredIds: string[], omitted: string[] }>}
+ *   Definitions in evaluation order ({ name, expression, label, units,
+ *   precision, builtin, ast, dependencies }), the FRED IDs they read and
+ *   the names left out
+ * @throws {ExpressionError} On invalid names, expressions or cycles
+ */
+export async function resolveDerivedSeries(input, options = {}) {
+  const { fields = [], reserved = [], partial = false } = options;
+  const fieldSet = new Set(fields);
+  const reservedSet = new Set(['date', ...reserved]);
+  const merged = {
+    ...parseDerivedDefinitions(BUILTIN_DERIVED),
+    ...await loadDerivedConfig(),
+    ...parseDerivedDefinitions(input)
+  };
+
+  const parsed = new Map();
+  Object.entries(merged).forEach(([name, definition]) => {
+    if (!NAME.test(name)) {
+      throw new ExpressionError(`Derived series name '${name}' must start with a lower-case letter and contain only letters, digits and _`);
+    }
+    if (fieldSet.has(name) || reservedSet.has(name)) {
+      throw new ExpressionError(`Derived series name '${name}' is already a field`);
+    }
+    let ast;
+    try {
+      ast = parseExpression(definition.expression);
+    } catch (error) {
+      error.message = `${name}: ${error.message}`;
+      throw error;
+    }
+    parsed.set(name, { name, ...definition, builtin: Boolean(BUILTIN_DERIVED[name]), ast, identifiers: expressionIdentifiers(ast) });
+  });
+
+  // Missing fields, then everything that depends on them
+  const missing = new Map();
+  parsed.forEach(({ name, identifiers }) => {
+    const unknown = identifiers.find(id => !fieldSet.has(id) && !parsed.has(id) && !FRED_ID.test(id));
+    if (unknown) missing.set(name, unknown);
+  });
+  if (missing.size && !partial) {
+    const [name, unknown] = missing.entries().next().value;
+    throw new ExpressionError(`${name}: Unknown series '${unknown}'`);
+  }
+  let spreading = true;
+  while (spreading) {
+    spreading = false;
+    parsed.forEach(({ name, identifiers }) => {
+      const dependency = identifiers.find(id => missing.has(id));
+      if (!missing.has(name) && dependency) {
+        missing.set(name, dependency);
+        spreading = true;
+      }
+    });
+  }
+
+  // Depth-first topological order
+  const ordered = [];
+  const state = new Map();
+  const visit = (name, trail) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      throw new ExpressionError(`Circular derived series: ${[...trail, name].join(' -> ')}`);
+    }
+    state.set(name, 'visiting');
+    const definition = parsed.get(name);
+    const dependencies = definition.identifiers.filter(id => parsed.has(id));
+    dependencies.forEach(dependency => visit(dependency, [...trail, name]));
+    state.set(name, 'done');
+    const { identifiers, ...rest } = definition;
+    ordered.push({ ...rest, dependencies });
+  };
+  [...parsed.keys()].filter(name => !missing.has(name)).forEach(name => visit(name, []));
+
+  const fredIds = [...new Set(ordered.flatMap(({ ast }) => (
+    expressionIdentifiers(ast).filter(id => !fieldSet.has(id) && FRED_ID.test(id))
+  )))];
+  if (fredIds.length > MAX_FRED_SERIES) {
+    throw new ExpressionError(`Derived series can read at most ${MAX_FRED_SERIES} FRED series`);
+  }
+
+  return { definitions: ordered, fredIds, omitted: [...missing.keys()] };
+}
+
+/**
+ * Evaluate derived series into `columns`
+ *
+ * @param {Object<string, (number|null)[]>} columns - Field and FRED ID arrays,
+ *   one value per row; derived series are added under their names
+ * @param {Object[]} definitions - From resolveDerivedSeries, in order
+ * @param {number} length - Rows
+ * @returns {Object} columns
+ */
+export function computeDerivedSeries(columns, definitions, length) {
+  definitions.forEach(({ name, ast }) => {
+    columns[name] = evaluateExpression(ast, id => columns[id], length);
+  });
+  return columns;
+}
+
+/**
+ * Round a derived value to `precision` decimals, keeping that many
+ * significant digits below 1 (ratios would otherwise round to zero)
+ */
+export function roundDerived(value, precision) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  if (value === 0 || Math.abs(value) >= 1) {
+    const factor = Math.pow(10, precision);
+    return Math.round(value * factor) / factor;
+  }
+  return Number(value.toPrecision(Math.max(precision, 1)));
+}
+
+/**
+ * Definitions as reported by the API
+ *
+ * @returns {Array<{ key: string, label: string, units: string, expression: string, precision: number, builtin: boolean }>}
+ */
+export function describeDerivedSeries(definitions) {
+  return definitions.map(({ name, label, units, expression, precision, builtin }) => ({
+    key: name, label, units, expression, precision, builtin
+  }));
+}
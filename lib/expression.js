@@ -0,0 +1,371 @@
+/**
+ * Series Expression Language
+ *
+ * A small arithmetic language for derived series, evaluated without `eval`:
+ * the text is tokenized, parsed into an AST by recursive descent and the AST
+ * is walked over whole series at once.
+ *
+ * Grammar (lowest precedence first):
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := ('-' | '+') unary | power
+ *   power      := primary ('^' unary)?          right-associative, -2^2 = -4
+ *   primary    := number | identifier | identifier '(' arguments ')' | '(' expression ')'
+ *
+ * Identifiers name series; the caller resolves them to arrays of one value
+ * per row. Values are numbers or null: null propagates through every
+ * operation, and results that are not finite (division by zero, log of a
+ * non-positive number) become null rather than NaN or Infinity.
+ *
+ * Functions (`n` must be a number literal, in rows, at most 10000):
+ * - abs(x), log(x), exp(x), sqrt(x): Element-wise (log is natural)
+ * - min(a, b, ...), max(a, b, ...): Element-wise over the arguments
+ * - lag(x, n): x n rows earlier
+ * - diff(x, n = 1): x - lag(x, n)
+ * - pctChange(x, n = 1): Percent change over n rows
+ * - mean(x, n), std(x, n): Rolling mean and sample standard deviation of the
+ *   last n rows (null until the window is full or if it holds a null)
+ */
+
+const MAX_LENGTH = 500;
+
+// Longest window argument, in rows (about 40 years of trading days)
+const MAX_WINDOW = 10000;
+
+const OPERATORS = '+-*/^(),';
+
+/**
+ * Invalid expression, with the character offset it was found at
+ */
+export class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+const finite = value => (value === null || !Number.isFinite(value) ? null : value);
+
+// Element-wise function of one argument
+const unaryFunction = fn => ({ arity: [1, 1], apply: ([x], length) => Expression.map([x], length, fn) });
+
+// Function of a series and a window length (the second argument)
+const windowFunction = (fn, { min = 1, optional = false } = {}) => ({
+  arity: [optional ? 1 : 2, 2],
+  window: { min, fallback: optional ? 1 : null },
+  apply: ([x, n], length) => fn(Expression.broadcast(x, length), n)
+});
+
+// Rolling statistic of the last n rows from running sums about a reference,
+// re-centred every n rows; fn(mean, sum of squared deviations)
+const rolling = (values, n, fn) => {
+  const out = new Array(values.length).fill(null);
+  if (n > values.length) return out;
+  let reference = 0, sum = 0, sumSq = 0, nulls = 0;
+  const shift = (v, sign) => {
+    if (v === null) {
+      nulls += sign;
+      return;
+    }
+    const d = v - reference;
+    sum += sign * d;
+    sumSq += sign * d * d;
+  };
+  for (let i = 0; i < values.length; i++) {
+    shift(values[i], 1);
+    if (i >= n) shift(values[i - n], -1);
+    if (i < n - 1) continue;
+    if (nulls === 0) out[i] = finite(fn(reference + sum / n, Math.max(0, sumSq - sum * sum / n)));
+    if ((i + 1) % n === 0) {
+      reference += sum / n;
+      sum = sumSq = nulls = 0;
+      for (let k = i - n + 1; k <= i; k++) shift(values[k], 1);
+    }
+  }
+  return out;
+};
+
+const FUNCTIONS = {
+  abs: unaryFunction(Math.abs),
+  log: unaryFunction(Math.log),
+  exp: unaryFunction(Math.exp),
+  sqrt: unaryFunction(Math.sqrt),
+  min: { arity: [1, Infinity], apply: (args, length) => Expression.map(args, length, Math.min) },
+  max: { arity: [1, Infinity], apply: (args, length) => Expression.map(args, length, Math.max) },
+  lag: windowFunction((x, n) => x.map((_, i) => (i >= n ? x[i - n] : null)), { min: 0 }),
+  diff: windowFunction((x, n) => x.map((v, i) => (
+    i >= n && v !== null && x[i - n] !== null ? finite(v - x[i - n]) : null
+  )), { optional: true }),
+  pctChange: windowFunction((x, n) => x.map((v, i) => (
+    i >= n && v !== null && x[i - n] !== null ? finite((v / x[i - n] - 1) * 100) : null
+  )), { optional: true }),
+  mean: windowFunction((x, n) => rolling(x, n, mean => mean)),
+  std: windowFunction((x, n) => rolling(x, n, (mean, squares) => Math.sqrt(squares / (n - 1))), { min: 2 })
+};
+
+export const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
+
+export class Expression {
+  /**
+   * Split an expression into number, identifier and operator tokens
+   *
+   * @param {string} text
+   * @returns {Array<{ type: 'number'|'identifier'|'operator', value: string|number, position: number }>}
+   */
+  static tokenize(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new ExpressionError('Expression is empty');
+    }
+    if (text.length > MAX_LENGTH) {
+      throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`);
+    }
+
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i));
+      if (number) {
+        tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+        i += number[0].length;
+        continue;
+      }
+      const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+      if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier[0], position: i });
+        i += identifier[0].length;
+        continue;
+      }
+      if (OPERATORS.includes(char)) {
+        tokens.push({ type: 'operator', value: char, position: i });
+        i++;
+        continue;
+      }
+      throw new ExpressionError(`Unexpected character '${char}'`, i);
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse an expression into an AST
+   *
+   * Nodes: { type: 'number', value }, { type: 'identifier', name },
+   * { type: 'unary', operator, argument }, { type: 'binary', operator, left, right },
+   * { type: 'call', name, args }; each with its source `position`.
+   *
+   * @param {string} text
+   * @returns {Object} Root node
+   */
+  static parse(text) {
+    const tokens = this.tokenize(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+    const expect = value => {
+      const token = peek();
+      if (!token || token.type !== 'operator' || token.value !== value) {
+        throw new ExpressionError(`Expected '${value}'`, token ? token.position : text.length);
+      }
+      index++;
+      return token;
+    };
+
+    const binary = (next, operators) => () => {
+      let left = next();
+      while (isOperator(...operators)) {
+        const { value: operator, position } = tokens[index++];
+        left = { type: 'binary', operator, left, right: next(), position };
+      }
+      return left;
+    };
+
+    let expression;
+    const primary = () => {
+      const token = peek();
+      if (!token) throw new ExpressionError('Unexpected end of expression', text.length);
+      index++;
+
+      if (token.type === 'number') {
+        return { type: 'number', value: token.value, position: token.position };
+      }
+      if (token.type === 'identifier') {
+        if (!isOperator('(')) {
+          return { type: 'identifier', name: token.value, position: token.position };
+        }
+        const fn = FUNCTIONS[token.value];
+        if (!fn) throw new ExpressionError(`Unknown function '${token.value}'`, token.position);
+        index++;
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(expression());
+          while (isOperator(',')) {
+            index++;
+            args.push(expression());
+          }
+        }
+        expect(')');
+        return this.checkCall({ type: 'call', name: token.value, args, position: token.position });
+      }
+      if (token.value === '(') {
+        const inner = expression();
+        expect(')');
+        return inner;
+      }
+      throw new ExpressionError(`Unexpected '${token.value}'`, token.position);
+    };
+
+    const unary = () => {
+      if (isOperator('-', '+')) {
+        const { value: operator, position } = tokens[index++];
+        const argument = unary();
+        return operator === '-' ? { type: 'unary', operator, argument, position } : argument;
+      }
+      const base = primary();
+      if (!isOperator('^')) return base;
+      const { position } = tokens[index++];
+      return { type: 'binary', operator: '^', left: base, right: unary(), position };
+    };
+    const term = binary(unary, ['*', '/']);
+    expression = binary(term, ['+', '-']);
+
+    const ast = expression();
+    if (index < tokens.length) {
+      throw new ExpressionError(`Unexpected '${tokens[index].value}'`, tokens[index].position);
+    }
+    return ast;
+  }
+
+  /**
+   * Check a call's argument count and window argument
+   */
+  static checkCall(node) {
+    const fn = FUNCTIONS[node.name];
+    const [minArgs, maxArgs] = fn.arity;
+    if (node.args.length < minArgs || node.args.length > maxArgs) {
+      const expected = minArgs === maxArgs ? minArgs : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}-${maxArgs}`;
+      throw new ExpressionError(`${node.name}() takes ${expected} argument${expected === 1 ? '' : 's'}`, node.position);
+    }
+    if (fn.window) {
+      const window = node.args[1];
+      if (!window) {
+        node.args.push({ type: 'number', value: fn.window.fallback, position: node.position });
+      } else if (window.type !== 'number' || !Number.isInteger(window.value)
+        || window.value < fn.window.min || window.value > MAX_WINDOW) {
+        throw new ExpressionError(`${node.name}() window must be an integer from ${fn.window.min} to ${MAX_WINDOW}`, window.position);
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Series names an AST refers to, in order of first use
+   *
+   * @param {Object} ast - From parse
+   * @returns {string[]}
+   */
+  static identifiers(ast) {
+    const names = new Set();
+    const visit = node => {
+      if (node.type === 'identifier') names.add(node.name);
+      if (node.type === 'unary') visit(node.argument);
+      if (node.type === 'binary') { visit(node.left); visit(node.right); }
+      if (node.type === 'call') node.args.forEach(visit);
+    };
+    visit(ast);
+    return [...names];
+  }
+
+  /**
+   * Expand a constant to a series of `length` values
+   */
+  static broadcast(value, length) {
+    return Array.isArray(value) ? value : new Array(length).fill(finite(value));
+  }
+
+  /**
+   * Apply `fn` element-wise; null if any argument is null
+   *
+   * @param {Array<number|Array>} args - Constants or series
+   * @returns {number|null|Array} A constant when every argument is one
+   */
+  static map(args, length, fn) {
+    const apply = values => (values.some(v => v === null) ? null : finite(fn(...values)));
+    if (!args.some(Array.isArray)) return apply(args);
+    const series = args.map(arg => this.broadcast(arg, length));
+    return Array.from({ length }, (_, i) => apply(series.map(s => s[i])));
+  }
+
+  /**
+   * Evaluate an AST over `length` rows
+   *
+   * @param {Object} ast - From parse
+   * @param {Function} resolve - name => array of `length` values (number|null),
+   *   or undefined for an unknown name
+   * @param {number} length - Rows
+   * @returns {(number|null)[]}
+   */
+  static evaluate(ast, resolve, length) {
+    const visit = node => {
+      switch (node.type) {
+        case 'number':
+          return node.value;
+        case 'identifier': {
+          const values = resolve(node.name);
+          if (!values) throw new ExpressionError(`Unknown series '${node.name}'`, node.position);
+          return values;
+        }
+        case 'unary':
+          return this.map([visit(node.argument)], length, x => -x);
+        case 'binary': {
+          const operation = {
+            '+': (a, b) => a + b,
+            '-': (a, b) => a - b,
+            '*': (a, b) => a * b,
+            '/': (a, b) => a / b,
+            '^': Math.pow
+          }[node.operator];
+          return this.map([visit(node.left), visit(node.right)], length, operation);
+        }
+        case 'call': {
+          const fn = FUNCTIONS[node.name];
+          const args = fn.window
+            ? [visit(node.args[0]), node.args[1].value]
+            : node.args.map(visit);
+          return fn.apply(args, length);
+        }
+        default:
+          throw new ExpressionError(`Unknown node '${node.type}'`);
+      }
+    };
+    return this.broadcast(visit(ast), length);
+  }
+}
+
+/**
+ * Parse an expression (see Expression.parse)
+ *
+ * @throws {ExpressionError}
+ */
+export function parseExpression(text) {
+  return Expression.parse(text);
+}
+
+/**
+ * Series names an expression refers to
+ */
+export function expressionIdentifiers(ast) {
+  return Expression.identifiers(ast);
+}
+
+/**
+ * Evaluate a parsed expression over `length` rows (see Expression.evaluate)
+ */
+export function evaluateExpression(ast, resolve, length) {
+  return Expression.evaluate(ast, resolve, length);
+}
@@ -0,0 +1,354 @@
+/**
+ * Gaussian Hidden Markov Model
+ *
+ * Implements methods from:
+ * - Rabiner (1989) "A Tutorial on Hidden Markov Models and Selected
+ *   Applications in Speech Recognition" (scaled forward-backward, Baum-Welch,
+ *   Viterbi)
+ * - Hamilton (1989) "A New Approach to the Economic Analysis of Nonstationary
+ *   Time Series and the Business Cycle" (regime-switching interpretation)
+ *
+ * Observations are vectors of D features with one full-covariance Gaussian
+ * emission per state (scalar observations are treated as D = 1).
+ *
+ * Model: { initial: number[K], transition: number[K][K], means: number[K][D],
+ *          covariances: number[K][D][D], logLikelihood, iterations }
+ */
+
+const LOG_2PI = Math.log(2 * Math.PI);
+
+const toVectors = observations => observations.map(x => (Array.isArray(x) ? x : [x]));
+
+/**
+ * Cholesky factor L (lower triangular, A = L Lᵀ), or null if A is not
+ * numerically positive definite
+ */
+const cholesky = A => {
+  const D = A.length;
+  const L = Array.from({ length: D }, () => new Array(D).fill(0));
+  for (let i = 0; i < D; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(sum > 1e-12 * Math.abs(A[i][i]))) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+/**
+ * Cholesky factor of a covariance. If it isn't positive definite, load the
+ * diagonal with growing fractions of its mean variance; if that never works
+ * (NaN entries, a badly indefinite matrix) use the diagonal alone.
+ */
+const factorCovariance = cov => {
+  const D = cov.length;
+  const variances = cov.map((row, d) => (row[d] > 0 ? row[d] : 0));
+  const scale = Math.max(variances.reduce((a, b) => a + b, 0) / D, 1e-12);
+  for (const loading of [0, 1e-9, 1e-6, 1e-3, 1]) {
+    const L = cholesky(cov.map((row, a) => row.map((v, b) => (a === b ? v + loading * scale : v))));
+    if (L) return L;
+  }
+  return variances.map((v, a) => variances.map((_, b) => (a === b ? Math.sqrt(v || scale) : 0)));
+};
+
+export class HiddenMarkovModel {
+  /**
+   * Mean vector and covariance matrix of a set of vectors (with weights)
+   */
+  static weightedMoments(vectors, weights = null) {
+    const D = vectors[0].length;
+    const mean = new Array(D).fill(0);
+    let total = 0;
+    vectors.forEach((x, t) => {
+      const w = weights ? weights[t] : 1;
+      total += w;
+      for (let d = 0; d < D; d++) mean[d] += w * x[d];
+    });
+    for (let d = 0; d < D; d++) mean[d] = total > 0 ? mean[d] / total : 0;
+    const cov = Array.from({ length: D }, () => new Array(D).fill(0));
+    vectors.forEach((x, t) => {
+      const w = weights ? weights[t] : 1;
+      for (let a = 0; a < D; a++) {
+        for (let b = 0; b <= a; b++) cov[a][b] += w * (x[a] - mean[a]) * (x[b] - mean[b]);
+      }
+    });
+    for (let a = 0; a < D; a++) {
+      for (let b = 0; b <= a; b++) {
+        cov[a][b] = total > 0 ? cov[a][b] / total : 0;
+        cov[b][a] = cov[a][b];
+      }
+    }
+    return { mean, cov, total };
+  }
+
+  /**
+   * Starting model: states split the observations, sorted by `order`
+   * (default the first feature), into equal-count groups; sticky
+   * transitions (0.95 stay probability)
+   *
+   * @param {Array} observations - Scalars or vectors
+   * @param {number} states - Number of states
+   * @param {Function} order - Sort key for a vector
+   */
+  static initialize(observations, states = 2, order = x => x[0]) {
+    const vectors = toVectors(observations);
+    const sorted = [...vectors].sort((a, b) => order(a) - order(b));
+    const means = [];
+    const covariances = [];
+    for (let k = 0; k < states; k++) {
+      const group = sorted.slice(Math.floor(k * sorted.length / states), Math.floor((k + 1) * sorted.length / states));
+      const { mean, cov } = this.weightedMoments(group);
+      means.push(mean);
+      covariances.push(cov);
+    }
+    const stay = states > 1 ? 0.95 : 1;
+    const move = states > 1 ? (1 - stay) / (states - 1) : 0;
+    return {
+      initial: new Array(states).fill(1 / states),
+      transition: Array.from({ length: states }, (_, j) => Array.from({ length: states }, (_, k) => (j === k ? stay : move))),
+      means,
+      covariances: this.regularize(covariances, vectors)
+    };
+  }
+
+  /**
+   * Add a small ridge (a fraction of each feature's overall variance) to
+   * every state's covariance so a state can't collapse onto repeated values
+   */
+  static regularize(covariances, vectors) {
+    const { cov } = this.weightedMoments(vectors);
+    const ridge = cov.map((row, d) => Math.max(row[d] * 1e-3, 1e-12));
+    return covariances.map(c => c.map((row, a) => row.map((v, b) => (a === b ? v + ridge[a] : v))));
+  }
+
+  /**
+   * Log emission densities per observation and state (T x K)
+   */
+  static logEmissions(observations, model) {
+    const vectors = toVectors(observations);
+    const factors = model.covariances.map(cov => {
+      const L = factorCovariance(cov);
+      const logDet = 2 * L.reduce((s, row, d) => s + Math.log(row[d]), 0);
+      return { L, logDet };
+    });
+
+    return vectors.map(x => model.means.map((mu, k) => {
+      const { L, logDet } = factors[k];
+      const D = mu.length;
+      // Mahalanobis distance via forward substitution L z = x - mu
+      const z = new Array(D);
+      let distance = 0;
+      for (let i = 0; i < D; i++) {
+        let sum = x[i] - mu[i];
+        for (let j = 0; j < i; j++) sum -= L[i][j] * z[j];
+        z[i] = sum / L[i][i];
+        distance += z[i] * z[i];
+      }
+      return -0.5 * (D * LOG_2PI + logDet + distance);
+    }));
+  }
+
+  /**
+   * Emission densities per observation and state (T x K), each row scaled by
+   * its largest entry to avoid underflow. The scale cancels in filtered and
+   * smoothed probabilities; logOffsets restores the likelihood.
+   */
+  static emissionProbabilities(observations, model) {
+    const logB = this.logEmissions(observations, model);
+    const logOffsets = logB.map(row => Math.max(...row));
+    return {
+      B: logB.map((row, t) => row.map(v => Math.exp(v - logOffsets[t]))),
+      logOffsets
+    };
+  }
+
+  /**
+   * Scaled forward pass
+   *
+   * @returns {{ filtered: number[][], scales: number[], logLikelihood: number }}
+   *   filtered[t][k] = P(state_t = k | observations up to t)
+   */
+  static forward(observations, model, emissions = null) {
+    const { B, logOffsets } = emissions || this.emissionProbabilities(observations, model);
+    const K = model.means.length;
+    const filtered = [];
+    const scales = [];
+    let logLikelihood = 0;
+
+    for (let t = 0; t < B.length; t++) {
+      const alpha = new Array(K);
+      let scale = 0;
+      for (let k = 0; k < K; k++) {
+        let prior = 0;
+        if (t === 0) {
+          prior = model.initial[k];
+        } else {
+          for (let j = 0; j < K; j++) prior += filtered[t - 1][j] * model.transition[j][k];
+        }
+        alpha[k] = prior * B[t][k];
+        scale += alpha[k];
+      }
+      // Every state ruled out (zero prior where the data points): restart flat
+      if (!(scale > 0)) {
+        alpha.fill(1 / K);
+        scale = Number.MIN_VALUE;
+      } else {
+        for (let k = 0; k < K; k++) alpha[k] /= scale;
+      }
+      filtered.push(alpha);
+      scales.push(scale);
+      logLikelihood += Math.log(scale) + logOffsets[t];
+    }
+
+    return { filtered, scales, logLikelihood };
+  }
+
+  /**
+   * Scaled backward pass (same scales as forward)
+   */
+  static backward(B, model, scales) {
+    const K = model.means.length;
+    const T = B.length;
+    const beta = new Array(T);
+    beta[T - 1] = new Array(K).fill(1);
+
+    for (let t = T - 2; t >= 0; t--) {
+      beta[t] = new Array(K);
+      for (let j = 0; j < K; j++) {
+        let sum = 0;
+        for (let k = 0; k < K; k++) sum += model.transition[j][k] * B[t + 1][k] * beta[t + 1][k];
+        beta[t][j] = sum / scales[t + 1];
+      }
+    }
+
+    return beta;
+  }
+
+  /**
+   * Posterior state probabilities from forward and backward passes
+   */
+  static posteriors(filtered, beta) {
+    return filtered.map((alpha, t) => {
+      const gamma = alpha.map((a, k) => a * beta[t][k]);
+      const total = gamma.reduce((a, b) => a + b, 0) || 1;
+      return gamma.map(g => g / total);
+    });
+  }
+
+  /**
+   * Smoothed state probabilities P(state_t = k | all observations)
+   */
+  static smooth(observations, model) {
+    const emissions = this.emissionProbabilities(observations, model);
+    const { filtered, scales } = this.forward(observations, model, emissions);
+    return this.posteriors(filtered, this.backward(emissions.B, model, scales));
+  }
+
+  /**
+   * Baum-Welch (EM) fit
+   *
+   * @param {Array} observations - Scalars or D-dimensional vectors
+   * @param {Object} options
+   * @param {number} options.states - Number of hidden states (default 2)
+   * @param {number} options.iterations - Max EM iterations (default 100)
+   * @param {number} options.tolerance - Stop when log-likelihood gains less (default 1e-6)
+   * @param {Object} options.initial - Starting model (default initialize())
+   * @param {Function} options.order - Sort key for initialize() (default first feature)
+   * @returns {Object} Fitted model
+   */
+  static fit(observations, options = {}) {
+    const { states = 2, iterations = 100, tolerance = 1e-6, initial = null, order } = options;
+    const vectors = toVectors(observations);
+    const T = vectors.length;
+    let model = initial || this.initialize(vectors, states, order);
+    const K = model.means.length;
+    let previous = -Infinity;
+    let iteration = 0;
+
+    for (; iteration < iterations; iteration++) {
+      const emissions = this.emissionProbabilities(vectors, model);
+      const { B } = emissions;
+      const { filtered, scales, logLikelihood } = this.forward(vectors, model, emissions);
+      const beta = this.backward(B, model, scales);
+
+      // E-step: state and transition posteriors
+      const gamma = this.posteriors(filtered, beta);
+      const xiSum = Array.from({ length: K }, () => new Array(K).fill(0));
+      for (let t = 0; t < T - 1; t++) {
+        for (let j = 0; j < K; j++) {
+          for (let k = 0; k < K; k++) {
+            xiSum[j][k] += filtered[t][j] * model.transition[j][k] * B[t + 1][k] * beta[t + 1][k] / scales[t + 1];
+          }
+        }
+      }
+
+      // M-step
+      const means = [];
+      const covariances = [];
+      for (let k = 0; k < K; k++) {
+        const { mean, cov, total } = this.weightedMoments(vectors, gamma.map(g => g[k]));
+        means.push(total > 0 ? mean : model.means[k]);
+        covariances.push(total > 0 ? cov : model.covariances[k]);
+      }
+      const transition = xiSum.map((row, j) => {
+        const total = row.reduce((a, b) => a + b, 0);
+        return total > 0 ? row.map(v => v / total) : model.transition[j];
+      });
+
+      model = {
+        initial: gamma[0],
+        transition,
+        means,
+        covariances: this.regularize(covariances, vectors)
+      };
+
+      if (logLikelihood - previous < tolerance) break;
+      previous = logLikelihood;
+    }
+
+    return { ...model, logLikelihood: this.forward(vectors, model).logLikelihood, iterations: iteration };
+  }
+
+  /**
+   * Most likely state path (log-space Viterbi)
+   *
+   * @returns {number[]} State index per observation
+   */
+  static viterbi(observations, model) {
+    const K = model.means.length;
+    const T = observations.length;
+    if (T === 0) return [];
+    const logB = this.logEmissions(observations, model);
+    const logA = model.transition.map(row => row.map(p => Math.log(p)));
+    let delta = model.initial.map((p, k) => Math.log(p) + logB[0][k]);
+    const backpointers = [];
+
+    for (let t = 1; t < T; t++) {
+      const pointers = new Array(K);
+      const next = new Array(K);
+      for (let k = 0; k < K; k++) {
+        let best = -Infinity;
+        let arg = 0;
+        for (let j = 0; j < K; j++) {
+          const v = delta[j] + logA[j][k];
+          if (v > best) { best = v; arg = j; }
+        }
+        next[k] = best + logB[t][k];
+        pointers[k] = arg;
+      }
+      backpointers.push(pointers);
+      delta = next;
+    }
+
+    const path = new Array(T);
+    path[T - 1] = delta.indexOf(Math.max(...delta));
+    for (let t = T - 2; t >= 0; t--) path[t] = backpointers[t][path[t + 1]];
+    return path;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Early-Warning Indicator Registry
+ *
+ * Every registered indicator is computed by analyzeCSD() on the detrended
+ * residuals, written per day into the /api/analyze timeSeries under its key,
+ * and described in the response's `indicators` block so the dashboard can
+ * chart it without any route or component changes.
+ *
+ * Indicator definition:
+ * - key: Field name used in timeSeries (e.g. 'ar1')
+ * - label: Human-readable name for charts and tooltips
+ * - compute(residuals, config, context): Returns a rolling series aligned with
+ *   residuals (null for insufficient data). context = { data, trend } for
+ *   indicators that need the raw series.
+ * - precision: Decimal places kept in the API response (default 3)
+ * - color: Chart stroke color (default '#94a3b8')
+ * - chart: Whether the dashboard draws a generic chart for it (default true)
+ * - warningDirection: 1 if a rising trend warns, -1 if falling, 0 if either
+ *   (default 1)
+ */
+
+const registry = new Map();
+
+/**
+ * Register an indicator. Re-registering a key replaces the previous definition.
+ *
+ * @param {Object} definition - Indicator definition (see module docs)
+ * @returns {Object} The normalized definition
+ */
+export function registerIndicator(definition) {
+  const { key, label, compute } = definition || {};
+
+  if (!key || typeof key !== 'string') {
+    throw new Error('Indicator requires a string key');
+  }
+  if (typeof compute !== 'function') {
+    throw new Error(`Indicator "${key}" requires a compute function`);
+  }
+
+  const normalized = {
+    precision: 3,
+    color: '#94a3b8',
+    chart: true,
+    warningDirection: 1,
+    ...definition,
+    label: label || key
+  };
+
+  registry.set(key, normalized);
+  return normalized;
+}
+
+/**
+ * All registered indicators, in registration order
+ */
+export function getIndicators() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Serializable indicator metadata (everything except compute)
+ */
+export function describeIndicators() {
+  return getIndicators().map(({ compute, ...meta }) => meta);
+}
+
+/**
+ * Compute every registered indicator on a residual series
+ *
+ * @param {number[]} residuals - Detrended residuals
+ * @param {Object} config - Analysis config (csdWindow, etc.)
+ * @param {Object} context - { data, trend } from the detrend step, and an
+ *   optional StreamingCSD `stream` the caller keeps across calls
+ * @returns {Object<string, (number|null)[]>} Series keyed by indicator key
+ */
+export function computeIndicators(residuals, config = {}, context = {}) {
+  const series = {};
+  for (const indicator of registry.values()) {
+    series[indicator.key] = indicator.compute(residuals, config, context);
+  }
+  return series;
+}
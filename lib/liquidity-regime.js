@@ -0,0 +1,179 @@
+/**
+ * Adaptive Liquidity Regime Model
+ *
+ * Scores net liquidity against its own history instead of a fixed dollar
+ * anchor, so readings stay meaningful as the Fed balance sheet grows or shrinks.
+ *
+ * Implements methods from:
+ * - Hamilton (1989) two-state Markov-switching model, here a Gaussian HMM
+ *   on weekly net-liquidity changes: the lower-mean state is "draining",
+ *   the higher-mean state "adding"
+ *
+ * Per-day measures (null until enough history):
+ * - zScore: (value - rolling mean) / rolling std over `window` days
+ * - percentile: Percentile rank (0-100) of today within the trailing window
+ * - roc4w / roc13w / roc26w: % change over 4, 13 and 26 weeks
+ * - drainProbability: Filtered probability (0-1) of the draining state
+ * - regime: 'draining' | 'adding' from the Viterbi path
+ */
+
+import { HiddenMarkovModel } from './hmm';
+
+// Trading days per week, for rate-of-change horizons and HMM observations
+const WEEK = 5;
+
+export const ROC_WEEKS = { roc4w: 4, roc13w: 13, roc26w: 26 };
+
+export class LiquidityRegime {
+  /**
+   * Rolling z-score of each value against the trailing window (inclusive)
+   */
+  static rollingZScore(values, window = 252) {
+    let sum = 0;
+    let sumSq = 0;
+    return values.map((v, i) => {
+      sum += v;
+      sumSq += v * v;
+      if (i >= window) {
+        sum -= values[i - window];
+        sumSq -= values[i - window] ** 2;
+      }
+      if (i < window - 1) return null;
+      const mean = sum / window;
+      const sd = Math.sqrt(Math.max(0, sumSq / window - mean * mean));
+      return sd > 0 ? (v - mean) / sd : 0;
+    });
+  }
+
+  /**
+   * Percentile rank (0-100) of each value within its trailing window
+   */
+  static rollingPercentile(values, window = 252) {
+    return values.map((v, i) => {
+      if (i < window - 1) return null;
+      let below = 0;
+      let equal = 0;
+      for (let j = i - window + 1; j <= i; j++) {
+        if (values[j] < v) below++;
+        else if (values[j] === v) equal++;
+      }
+      return (below + 0.5 * equal) / window * 100;
+    });
+  }
+
+  /**
+   * Percent change over `lag` days
+   */
+  static rateOfChange(values, lag) {
+    return values.map((v, i) => (
+      i >= lag && values[i - lag] ? (v / values[i - lag] - 1) * 100 : null
+    ));
+  }
+
+  /**
+   * Weekly changes used as HMM observations (null for the first week)
+   */
+  static weeklyChanges(values) {
+    return values.map((v, i) => (i >= WEEK ? v - values[i - WEEK] : null));
+  }
+
+  /**
+   * Order a fitted two-state model as [draining, adding]
+   */
+  static drainingState(model) {
+    return model.means[0][0] <= model.means[1][0] ? 0 : 1;
+  }
+
+  /**
+   * Fit the two-state HMM on the full history
+   *
+   * @returns {{ model, drainingState, drainProbability: (number|null)[], regime: (string|null)[] }}
+   */
+  static classify(values, options = {}) {
+    const changes = this.weeklyChanges(values);
+    const observations = changes.slice(WEEK);
+    const n = values.length;
+    if (observations.length < 2 * WEEK) {
+      return { model: null, drainingState: null, drainProbability: new Array(n).fill(null), regime: new Array(n).fill(null) };
+    }
+
+    const model = HiddenMarkovModel.fit(observations, { states: 2, iterations: options.iterations || 100 });
+    const draining = this.drainingState(model);
+    const { filtered } = HiddenMarkovModel.forward(observations, model);
+    const path = HiddenMarkovModel.viterbi(observations, model);
+    const pad = new Array(WEEK).fill(null);
+
+    return {
+      model,
+      drainingState: draining,
+      drainProbability: [...pad, ...filtered.map(p => p[draining])],
+      regime: [...pad, ...path.map(s => (s === draining ? 'draining' : 'adding'))]
+    };
+  }
+
+  /**
+   * Drain probability as it would have read each day: the HMM is refitted on
+   * data up to every `refitStep`-th day and filtered forward until the next
+   * refit, so no day sees parameters estimated from later data
+   *
+   * @param {number[]} values - Net liquidity per day
+   * @param {Object} options
+   * @param {number} options.refitStep - Days between refits (default 21)
+   * @param {number} options.minHistory - Days before the first fit (default 252)
+   * @returns {(number|null)[]}
+   */
+  static causalDrainProbability(values, options = {}) {
+    const { refitStep = 21, minHistory = 252 } = options;
+    const n = values.length;
+    const observations = this.weeklyChanges(values).slice(WEEK);
+    const out = new Array(n).fill(null);
+    let model = null;
+
+    for (let end = Math.max(minHistory, 2 * WEEK + WEEK) - 1; end < n; end += refitStep) {
+      const known = observations.slice(0, end - WEEK + 1);
+      // Warm start from the previous fit; parameters drift slowly
+      model = HiddenMarkovModel.fit(known, { states: 2, iterations: model ? 20 : 100, initial: model });
+      const draining = this.drainingState(model);
+      const last = Math.min(n, end + refitStep);
+      const { filtered } = HiddenMarkovModel.forward(observations.slice(0, last - WEEK), model);
+      for (let i = end; i < last; i++) out[i] = filtered[i - WEEK][draining];
+    }
+
+    return out;
+  }
+
+  /**
+   * Measures that only use trailing data: z-score, percentile, rates of change
+   */
+  static trailingMeasures(values, window = 252) {
+    const result = {
+      zScore: this.rollingZScore(values, window),
+      percentile: this.rollingPercentile(values, window)
+    };
+    Object.entries(ROC_WEEKS).forEach(([key, weeks]) => {
+      result[key] = this.rateOfChange(values, weeks * WEEK);
+    });
+    return result;
+  }
+
+  /**
+   * All liquidity measures per day
+   *
+   * @param {number[]} values - Net liquidity per day ($B)
+   * @param {Object} options
+   * @param {number} options.window - Rolling window for z-score/percentile (default 252)
+   * @returns {{ zScore, percentile, roc4w, roc13w, roc26w, drainProbability, regime, model }}
+   */
+  static analyze(values, options = {}) {
+    const { window = 252 } = options;
+    const { model, drainingState, drainProbability, regime } = this.classify(values, options);
+    return { ...this.trailingMeasures(values, window), drainProbability, regime, model, drainingState };
+  }
+}
+
+/**
+ * Adaptive liquidity measures and HMM regime labels for a net-liquidity series
+ */
+export function analyzeLiquidity(values, options = {}) {
+  return LiquidityRegime.analyze(values, options);
+}
@@ -18,8 +18,21 @@
  * Key constraints:
  * - B < 0 (finite-time singularity)
  * - |C| < |B| (oscillations subordinate to power law)
+ * 
+ * Fitting follows Filimonov & Sornette (2013) "A stable and robust calibration
+ * scheme of the log-periodic power law model": writing
+ * C·cos(ω ln(tc - t) + φ) = C1·cos(ω ln(tc - t)) + C2·sin(ω ln(tc - t))
+ * makes A, B, C1, C2 linear, leaving only tc, m, ω nonlinear. A coarse grid
+ * over (tc, m, ω) seeds Levenberg-Marquardt refinement from its best cells.
  */
 
+const M_BOUNDS = [0.1, 0.9];
+const OMEGA_BOUNDS = [5, 15];
+
+// Bubble call: qualified reference fit, enough qualifying windows, tc ahead
+const BUBBLE_CONFIDENCE = 0.3;
+const BUBBLE_TC_DAYS = [5, 200];
+
 export class LPPLModel {
   /**
    * LPPL function value at time t
@@ -33,166 +46,555 @@ export class LPPLModel {
   }
 
   /**
-   * Fit LPPL model using grid search over nonlinear parameters
-   * and OLS for linear parameters (A, B, C)
+   * ln(tc - t) and (tc - t)^m for t = 0..n-1, shared across grid cells
+   */
+  static basis(n, tc, m) {
+    const logDt = new Float64Array(n);
+    const f = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      logDt[i] = Math.log(tc - i);
+      f[i] = Math.exp(m * logDt[i]);
+    }
+    return { logDt, f };
+  }
+
+  /**
+   * Solve for the linear parameters at fixed (tc, m, ω)
+   * 
+   * @param {number[]} logPrices - ln(price) series, t = 0..n-1
+   * @param {Object} basis - Precomputed basis(n, tc, m) (optional)
+   * @param {boolean} withResiduals - Keep the residual vector (default true);
+   *   without it ssRes comes from the normal equations, which is enough for
+   *   ranking grid cells
+   * @returns {Object|null} { A, B, C1, C2, C, phi, residuals, ssRes, XtX } or null
+   */
+  static fitLinear(logPrices, tc, m, omega, basis = null, withResiduals = true) {
+    const n = logPrices.length;
+    if (tc <= n - 1) return null;
+    
+    const { logDt, f } = basis || this.basis(n, tc, m);
+    const g = new Float64Array(n);
+    const h = new Float64Array(n);
+    
+    // Accumulate the 4x4 normal equations directly (no design matrix)
+    let sf = 0, sg = 0, sh = 0, sff = 0, sfg = 0, sfh = 0, sgg = 0, sgh = 0, shh = 0;
+    let sy = 0, sfy = 0, sgy = 0, shy = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+      const fi = f[i];
+      const gi = fi * Math.cos(omega * logDt[i]);
+      const hi = fi * Math.sin(omega * logDt[i]);
+      const y = logPrices[i];
+      g[i] = gi;
+      h[i] = hi;
+      
+      sf += fi; sg += gi; sh += hi;
+      sff += fi * fi; sfg += fi * gi; sfh += fi * hi;
+      sgg += gi * gi; sgh += gi * hi; shh += hi * hi;
+      sy += y; sfy += fi * y; sgy += gi * y; shy += hi * y; syy += y * y;
+    }
+    
+    const XtX = [
+      [n, sf, sg, sh],
+      [sf, sff, sfg, sfh],
+      [sg, sfg, sgg, sgh],
+      [sh, sfh, sgh, shh]
+    ];
+    const Xty = [sy, sfy, sgy, shy];
+    
+    const coefficients = this.solveLinear(XtX, Xty);
+    if (!coefficients) return null;
+    
+    const [A, B, C1, C2] = coefficients;
+    let residuals = null;
+    let ssRes;
+    if (withResiduals) {
+      residuals = new Float64Array(n);
+      ssRes = 0;
+      for (let i = 0; i < n; i++) {
+        const e = logPrices[i] - (A + B * f[i] + C1 * g[i] + C2 * h[i]);
+        residuals[i] = e;
+        ssRes += e * e;
+      }
+    } else {
+      ssRes = Math.max(0, syy - (A * sy + B * sfy + C1 * sgy + C2 * shy));
+    }
+    
+    // C·cos(x + φ) = C·cos φ·cos x - C·sin φ·sin x
+    const C = Math.sqrt(C1 * C1 + C2 * C2);
+    const phi = Math.atan2(-C2, C1);
+    
+    return { A, B, C1, C2, C, phi, residuals, ssRes, XtX };
+  }
+
+  /**
+   * LPPL constraints on a fit
+   */
+  static satisfiesConstraints(fit, m, omega) {
+    return fit.B < 0
+      && Math.abs(fit.C) < Math.abs(fit.B)
+      && m >= M_BOUNDS[0] && m <= M_BOUNDS[1]
+      && omega >= OMEGA_BOUNDS[0] && omega <= OMEGA_BOUNDS[1];
+  }
+
+  /**
+   * Levenberg-Marquardt refinement of (tc, m, ω)
+   * 
+   * Minimizes the variable-projection residual (linear parameters re-solved
+   * at every step) with a forward-difference Jacobian. Steps are clamped to
+   * the m, ω bounds and to tc in (n - 1, tcMax].
+   * 
+   * @param {number[]} logPrices - ln(price) series
+   * @param {{ tc: number, m: number, omega: number }} start - Seed from the grid
+   * @param {Object} options - { tcMax, maxIterations }
+   * @returns {Object|null} Refined { tc, m, omega, fit, jacobian } or null
+   */
+  static refineLM(logPrices, start, options = {}) {
+    const n = logPrices.length;
+    const { tcMax = n + 250, maxIterations = 100 } = options;
+    const lower = [n - 1 + 1e-3, M_BOUNDS[0], OMEGA_BOUNDS[0]];
+    const upper = [tcMax, M_BOUNDS[1], OMEGA_BOUNDS[1]];
+    const clamp = theta => theta.map((v, k) => Math.min(upper[k], Math.max(lower[k], v)));
+    const evaluate = theta => this.fitLinear(logPrices, theta[0], theta[1], theta[2]);
+    const steps = [1e-3, 1e-5, 1e-5];
+    
+    const jacobianAt = (theta, fit) => {
+      const J = Array.from({ length: n }, () => [0, 0, 0]);
+      for (let k = 0; k < 3; k++) {
+        const shifted = theta.slice();
+        // Step away from the nearest bound so the shifted point stays feasible
+        const h = steps[k] * Math.max(1, Math.abs(theta[k]));
+        const sign = theta[k] + h > upper[k] ? -1 : 1;
+        shifted[k] += sign * h;
+        const shiftedFit = evaluate(shifted);
+        if (!shiftedFit) return null;
+        for (let i = 0; i < n; i++) {
+          J[i][k] = (shiftedFit.residuals[i] - fit.residuals[i]) / (sign * h);
+        }
+      }
+      return J;
+    };
+    
+    let theta = clamp([start.tc, start.m, start.omega]);
+    let fit = evaluate(theta);
+    if (!fit) return null;
+    let lambda = 1e-3;
+    let J = null;
+    
+    for (let iter = 0; iter < maxIterations; iter++) {
+      J = jacobianAt(theta, fit);
+      if (!J) break;
+      
+      const JtJ = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+      const Jtr = [0, 0, 0];
+      for (let i = 0; i < n; i++) {
+        for (let a = 0; a < 3; a++) {
+          Jtr[a] += J[i][a] * fit.residuals[i];
+          for (let b = 0; b < 3; b++) JtJ[a][b] += J[i][a] * J[i][b];
+        }
+      }
+      
+      let improved = false;
+      while (lambda < 1e10) {
+        const damped = JtJ.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) + 1e-12 : v)));
+        const delta = this.solveLinear(damped, Jtr.map(v => -v));
+        if (!delta) { lambda *= 10; continue; }
+        
+        const candidate = clamp(theta.map((v, k) => v + delta[k]));
+        const candidateFit = evaluate(candidate);
+        if (candidateFit && candidateFit.ssRes < fit.ssRes) {
+          const gain = (fit.ssRes - candidateFit.ssRes) / fit.ssRes;
+          theta = candidate;
+          fit = candidateFit;
+          lambda = Math.max(1e-12, lambda / 10);
+          improved = gain > 1e-10;
+          break;
+        }
+        lambda *= 10;
+      }
+      if (!improved) break;
+    }
+    
+    // Jacobian at the final point for standard errors
+    J = jacobianAt(theta, fit) || J;
+    return { tc: theta[0], m: theta[1], omega: theta[2], fit, jacobian: J };
+  }
+
+  /**
+   * Standard errors from the Gauss-Newton covariance σ²(JᵀJ)⁻¹ for
+   * (tc, m, ω) and σ²(XᵀX)⁻¹ for the linear parameters, σ² = SSR / (n - 7)
+   */
+  static standardErrors(refined, n) {
+    const { fit, jacobian } = refined;
+    const dof = n - 7;
+    if (!jacobian || dof <= 0) return null;
+    const sigma2 = fit.ssRes / dof;
+    
+    const JtJ = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (const row of jacobian) {
+      for (let a = 0; a < 3; a++) {
+        for (let b = 0; b < 3; b++) JtJ[a][b] += row[a] * row[b];
+      }
+    }
+    const cov = this.invert(JtJ);
+    const XtXinv = this.invert(fit.XtX);
+    const se = v => (v !== null && v >= 0 ? Math.sqrt(v * sigma2) : null);
+    
+    return {
+      tc: cov ? se(cov[0][0]) : null,
+      m: cov ? se(cov[1][1]) : null,
+      omega: cov ? se(cov[2][2]) : null,
+      A: XtXinv ? se(XtXinv[0][0]) : null,
+      B: XtXinv ? se(XtXinv[1][1]) : null,
+      C1: XtXinv ? se(XtXinv[2][2]) : null,
+      C2: XtXinv ? se(XtXinv[3][3]) : null
+    };
+  }
+
+  /**
+   * Fit LPPL model: coarse grid over (tc, m, ω) with OLS for the linear
+   * parameters, then Levenberg-Marquardt refinement from the best cells
    * 
    * @param {number[]} prices - Price series
    * @param {string[]} dates - Date labels for reference
+   * @param {Object} options
+   * @param {number} options.starts - Grid cells used to seed refinement (default 5)
+   * @param {boolean} options.refine - Run Levenberg-Marquardt (default true)
+   * @param {number} options.tcStep - Grid spacing of tc in days (default 10)
+   * @param {number[]} options.mRange - Grid values of m
+   * @param {number[]} options.omegaRange - Grid values of ω
    * @returns {Object|null} Fitted model parameters or null if no valid fit
    */
-  static optimize(prices, dates) {
+  static optimize(prices, dates, options = {}) {
+    const {
+      starts = 5,
+      refine = true,
+      tcStep = 10,
+      mRange = [0.15, 0.2, 0.25, 0.33, 0.4, 0.5, 0.6, 0.7, 0.8],
+      omegaRange = [5, 6, 7, 8, 9, 10, 11, 12, 13]
+    } = options;
     const n = prices.length;
     if (n < 100) return { isBubble: false, confidence: 0, r2: 0 };
     
     const logPrices = prices.map(p => Math.log(p));
-    const t = Array.from({ length: n }, (_, i) => i);
-    
-    let bestFit = null;
-    let bestR2 = -Infinity;
+    const meanY = logPrices.reduce((a, b) => a + b, 0) / n;
+    const ssTot = logPrices.reduce((sum, yi) => sum + Math.pow(yi - meanY, 2), 0);
+    const rSquared = ssRes => (ssTot > 0 ? 1 - ssRes / ssTot : 0);
     
     // Grid search ranges based on empirical bubble characteristics
     const tcRange = [];
-    for (let tc = n + 5; tc <= n + 200; tc += 10) tcRange.push(tc);
-    
-    const mRange = [0.15, 0.2, 0.25, 0.33, 0.4, 0.5, 0.6, 0.7, 0.8];
-    const omegaRange = [5, 6, 7, 8, 9, 10, 11, 12, 13];
-    const phiRange = [0, Math.PI/4, Math.PI/2, 3*Math.PI/4, Math.PI, 5*Math.PI/4, 3*Math.PI/2, 7*Math.PI/4];
+    for (let tc = n + 5; tc <= n + 200; tc += tcStep) tcRange.push(tc);
     
+    const candidates = [];
     for (const tc of tcRange) {
       for (const m of mRange) {
+        const basis = this.basis(n, tc, m);
         for (const omega of omegaRange) {
-          for (const phi of phiRange) {
-            // Build design matrix for linear regression
-            const X = [];
-            const y = [];
-            
-            let valid = true;
-            for (let i = 0; i < n; i++) {
-              const dt = tc - t[i];
-              if (dt <= 0) { valid = false; break; }
-              
-              const dtm = Math.pow(dt, m);
-              const cosVal = Math.cos(omega * Math.log(dt) + phi);
-              
-              X.push([1, dtm, dtm * cosVal]);
-              y.push(logPrices[i]);
-            }
-            
-            if (!valid) continue;
-            
-            // Solve OLS for [A, B, C]
-            const result = this.linearRegression(X, y);
-            if (!result) continue;
-            
-            const [A, B, C] = result.coefficients;
-            
-            // Apply LPPL constraints
-            if (B >= 0) continue;           // Must have singularity
-            if (Math.abs(C) > Math.abs(B)) continue;  // Oscillations subordinate
-            if (m < 0.1 || m > 0.9) continue;
-            if (omega < 5 || omega > 15) continue;
-            
-            // Calculate R²
-            const predicted = t.map(ti => this.lpplFunction(ti, tc, A, B, C, m, omega, phi));
-            const ssRes = logPrices.reduce((sum, yi, i) => sum + Math.pow(yi - predicted[i], 2), 0);
-            const meanY = logPrices.reduce((a, b) => a + b, 0) / n;
-            const ssTot = logPrices.reduce((sum, yi) => sum + Math.pow(yi - meanY, 2), 0);
-            const r2 = ssTot > 0 ? 1 - ssRes / ssTot : 0;
-            
-            if (r2 > bestR2 && r2 > 0.75) {
-              bestR2 = r2;
-              bestFit = { tc, A, B, C, m, omega, phi, r2 };
-            }
-          }
+          const fit = this.fitLinear(logPrices, tc, m, omega, basis, false);
+          if (!fit || !this.satisfiesConstraints(fit, m, omega)) continue;
+          candidates.push({ tc, m, omega, fit, r2: rSquared(fit.ssRes) });
+        }
+      }
+    }
+    candidates.sort((a, b) => b.r2 - a.r2);
+    
+    // Refine from the best grid cells; keep whichever constrained fit is best
+    let best = candidates[0] || null;
+    let bestRefined = null;
+    if (refine) {
+      for (const seed of candidates.slice(0, starts)) {
+        const refined = this.refineLM(logPrices, seed);
+        if (!refined || !this.satisfiesConstraints(refined.fit, refined.m, refined.omega)) continue;
+        const r2 = rSquared(refined.fit.ssRes);
+        if (!best || r2 > best.r2) {
+          best = { tc: refined.tc, m: refined.m, omega: refined.omega, fit: refined.fit, r2 };
+          bestRefined = refined;
         }
       }
     }
     
-    if (!bestFit || bestFit.r2 < 0.75) {
+    if (!best || best.r2 < 0.75) {
       return { 
         isBubble: false, 
         confidence: 0, 
-        r2: bestFit?.r2 || 0,
+        r2: best?.r2 || 0,
         tcDays: null
       };
     }
     
+    const { A, B, C, C1, C2, phi } = best.fit;
+    const bestFit = { tc: best.tc, A, B, C, C1, C2, m: best.m, omega: best.omega, phi, r2: best.r2 };
+    
     // Calculate confidence based on R² quality
     const confidence = Math.min(1, Math.max(0, (bestFit.r2 - 0.75) / 0.2));
     const tcDays = Math.round(bestFit.tc - n + 1);
     
     return {
       ...bestFit,
+      refined: bestRefined !== null,
+      standardErrors: bestRefined ? this.standardErrors(bestRefined, n) : null,
       confidence,
       tcDays,
-      isBubble: confidence > 0.3 && tcDays > 5 && tcDays < 200
+      // Same rule as a window scan, with this fit as the reference
+      isBubble: this.isBubble({ qualified: this.qualifies(bestFit, n), confidence, tcDays })
+    };
+  }
+
+  /**
+   * DS LPPLS-style qualification of a fit on a window of `windowLength` days
+   * (Sornette et al. 2015, "Real-time prediction and post-mortem analysis of
+   * the Shanghai 2015 stock market bubble and crash")
+   * 
+   * On top of the fit constraints (B < 0, |C| < |B|, m and ω bounds):
+   * - R² ≥ 0.75
+   * - tc ahead of the window end, at most half a window away
+   * - Damping m|B| / (ω|C|) ≥ 0.8
+   * - Oscillations (ω/π) ln((tc - t1) / (tc - t2)) ≥ 2.5
+   */
+  static qualifies(fit, windowLength) {
+    if (!fit || fit.B === undefined || !(fit.r2 >= 0.75)) return false;
+    if (!this.satisfiesConstraints(fit, fit.m, fit.omega)) return false;
+    
+    const tcAhead = fit.tc - (windowLength - 1);
+    if (tcAhead <= 0 || tcAhead > windowLength / 2) return false;
+    
+    const damping = fit.C > 0 ? (fit.m * Math.abs(fit.B)) / (fit.omega * fit.C) : Infinity;
+    if (damping < 0.8) return false;
+    
+    const oscillations = (fit.omega / Math.PI) * Math.log(fit.tc / (fit.tc - (windowLength - 1)));
+    return oscillations >= 2.5;
+  }
+
+  /**
+   * Multi-window LPPL scan with a DS LPPLS-style confidence indicator
+   * 
+   * Fits every window ending on the latest day, from minWindow to maxWindow
+   * days long, and reports the fraction of fits that qualify. The reference
+   * fit is the best qualifying one (or the best overall when none qualify).
+   * Windows use a coarser grid than a single fit to keep the scan fast.
+   * 
+   * @param {number[]} prices - Price series
+   * @param {string[]} dates - Date labels
+   * @param {Object} options
+   * @param {number} options.minWindow - Shortest window in days (default 125)
+   * @param {number} options.maxWindow - Longest window in days (default 750)
+   * @param {number} options.step - Window length increment (default 25)
+   * @returns {Object} Reference fit with confidence, tc distribution and per-window results
+   */
+  static scanWindows(prices, dates = [], options = {}) {
+    const { minWindow = 125, maxWindow = 750, step = 25, ...fitOptions } = options;
+    const n = prices.length;
+    const windows = [];
+    
+    for (let w = minWindow; w <= Math.min(maxWindow, n); w += step) {
+      const fit = this.optimize(prices.slice(-w), dates.slice(-w), {
+        starts: 2,
+        tcStep: 20,
+        mRange: [0.2, 0.35, 0.5, 0.65, 0.8],
+        omegaRange: [6, 8, 10, 12, 14],
+        ...fitOptions
+      });
+      windows.push({ window: w, fit, qualified: this.qualifies(fit, w) });
+    }
+    
+    if (windows.length === 0) {
+      return { isBubble: false, confidence: 0, r2: 0, tcDays: null, scan: null };
+    }
+    
+    const qualifying = windows.filter(w => w.qualified);
+    const confidence = qualifying.length / windows.length;
+    
+    // tc distribution across qualifying fits, in days after the last observation
+    const tcDaysList = qualifying.map(w => w.fit.tc - w.window + 1).sort((a, b) => a - b);
+    const quantile = q => {
+      if (tcDaysList.length === 0) return null;
+      const pos = q * (tcDaysList.length - 1);
+      const lo = Math.floor(pos);
+      const hi = Math.ceil(pos);
+      return tcDaysList[lo] + (tcDaysList[hi] - tcDaysList[lo]) * (pos - lo);
+    };
+    
+    const byR2 = (a, b) => (b.fit.r2 || 0) - (a.fit.r2 || 0);
+    const reference = (qualifying.length ? [...qualifying] : [...windows]).sort(byR2)[0];
+    const tcDays = reference.fit.tc !== undefined ? Math.round(reference.fit.tc - reference.window + 1) : null;
+    
+    return {
+      ...reference.fit,
+      tcDays,
+      window: reference.window,
+      startIndex: n - reference.window,
+      confidence,
+      isBubble: this.isBubble({ qualified: reference.qualified, confidence, tcDays }),
+      scan: {
+        windows: windows.length,
+        qualifying: qualifying.length,
+        tcDistribution: tcDaysList.length ? {
+          min: tcDaysList[0],
+          p10: quantile(0.1),
+          median: quantile(0.5),
+          p90: quantile(0.9),
+          max: tcDaysList[tcDaysList.length - 1]
+        } : null,
+        fits: windows.map(({ window, fit, qualified }) => ({
+          window,
+          qualified,
+          r2: fit.r2 || 0,
+          tcDays: fit.tc !== undefined ? fit.tc - window + 1 : null,
+          m: fit.m ?? null,
+          omega: fit.omega ?? null
+        }))
+      }
     };
   }
 
   /**
-   * Solve 3x3 linear system using Cramer's rule
+   * Bubble call, shared by single fits, the live scan and the history
+   *
+   * @param {Object} reading
+   * @param {boolean} reading.qualified - Reference fit passes the DS LPPLS filters
+   * @param {number} reading.confidence - Share of qualifying windows, or a single fit's R² score (0-1)
+   * @param {number|null} reading.tcDays - Reference tc, days after the last observation
    */
-  static linearRegression(X, y) {
-    const n = X.length;
-    const p = X[0].length;
-    
-    // X'X
-    const XtX = Array(p).fill(null).map(() => Array(p).fill(0));
-    for (let i = 0; i < p; i++) {
-      for (let j = 0; j < p; j++) {
-        for (let k = 0; k < n; k++) {
-          XtX[i][j] += X[k][i] * X[k][j];
-        }
+  static isBubble({ qualified, confidence, tcDays }) {
+    return Boolean(qualified) && confidence > BUBBLE_CONFIDENCE
+      && tcDays > BUBBLE_TC_DAYS[0] && tcDays < BUBBLE_TC_DAYS[1];
+  }
+
+  /**
+   * Historical DS LPPLS confidence, computed on a rolling basis
+   * 
+   * Runs a lighter scan (fewer windows, coarser grid, no refinement) at every
+   * `step`-th day using only prices up to that day, so there is no
+   * look-ahead. Days in between carry the most recent reading forward.
+   * Each reading's bubble call follows the live scan's rule (isBubble).
+   * 
+   * Past readings never change for the same prices, so callers can pass a
+   * Map as `cache` to reuse them across requests. Keys hash every price up
+   * to the evaluation day, so a revised or point-in-time history, or another
+   * asset ending on the same close, never reuses a stale reading.
+   * 
+   * @param {number[]} prices - Price series
+   * @param {string[]} dates - Date labels (used in cache keys)
+   * @param {Object} options
+   * @param {number} options.step - Days between evaluations (default 21)
+   * @param {number} options.minWindow - Shortest window (default 125)
+   * @param {number} options.maxWindow - Longest window (default 750)
+   * @param {number} options.windowStep - Window length increment (default 125)
+   * @param {Map} options.cache - Memo of readings keyed by date, price
+   *   history and window
+   * @param {string} options.series - Name of the price series in cache keys,
+   *   so one cache can serve several assets (default '')
+   * @returns {({ confidence: number, isBubble: boolean }|null)[]} Confidence
+   *   (0-1) and bubble call per day, null before the first reading
+   */
+  static confidenceHistory(prices, dates = [], options = {}) {
+    const { step = 21, minWindow = 125, maxWindow = 750, windowStep = 125, cache = null, series = '' } = options;
+    const n = prices.length;
+    const history = new Array(n).fill(null);
+    if (step <= 0 || n < minWindow) return history;
+    
+    // Align evaluation days to the latest day so today is always computed
+    const firstEnd = minWindow - 1 + ((n - minWindow) % step);
+    const hashes = cache ? this.prefixHashes(prices) : null;
+    let current = null;
+    
+    for (let end = firstEnd; end < n; end += step) {
+      const key = cache
+        ? `${series}@${dates[end] ?? end}:${hashes[end]}:${minWindow}-${maxWindow}/${windowStep}`
+        : null;
+      let reading = cache ? cache.get(key) : undefined;
+      
+      if (reading === undefined) {
+        const scan = this.scanWindows(prices.slice(0, end + 1), [], {
+          minWindow,
+          maxWindow,
+          step: windowStep,
+          refine: false,
+          mRange: [0.25, 0.45, 0.65, 0.85],
+          omegaRange: [6, 9, 12, 15]
+        });
+        reading = { confidence: scan.confidence, isBubble: scan.isBubble };
+        if (cache) cache.set(key, reading);
       }
+      
+      // Fill forward from this evaluation to the next
+      current = reading;
+      for (let i = end; i < Math.min(n, end + step); i++) history[i] = current;
     }
     
-    // X'y
-    const Xty = Array(p).fill(0);
-    for (let i = 0; i < p; i++) {
-      for (let k = 0; k < n; k++) {
-        Xty[i] += X[k][i] * y[k];
+    return history;
+  }
+
+  /**
+   * Hash of prices[0..i] for every i (two 32-bit FNV-1a style lanes over the
+   * prices' text), so cache keys identify a whole price history
+   *
+   * @returns {string[]}
+   */
+  static prefixHashes(prices) {
+    let a = 0x811c9dc5;
+    let b = 0x01000193;
+    return prices.map(price => {
+      const text = `${price};`;
+      for (let k = 0; k < text.length; k++) {
+        const code = text.charCodeAt(k);
+        a = Math.imul(a ^ code, 0x01000193) >>> 0;
+        b = Math.imul(b ^ code, 0x5bd1e995) >>> 0;
       }
-    }
+      return a.toString(36) + b.toString(36);
+    });
+  }
+
+  /**
+   * Solve a general linear system by Gaussian elimination with partial pivoting
+   */
+  static solveLinear(A, b) {
+    const p = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
     
-    const coefficients = this.solve3x3(XtX, Xty);
-    if (!coefficients) return null;
+    for (let col = 0; col < p; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < p; r++) {
+        if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+      }
+      if (Math.abs(M[pivot][col]) < 1e-14) return null;
+      [M[col], M[pivot]] = [M[pivot], M[col]];
+      
+      for (let r = col + 1; r < p; r++) {
+        const factor = M[r][col] / M[col][col];
+        for (let c = col; c <= p; c++) M[r][c] -= factor * M[col][c];
+      }
+    }
     
-    return { coefficients };
+    const x = Array(p).fill(0);
+    for (let r = p - 1; r >= 0; r--) {
+      let sum = M[r][p];
+      for (let c = r + 1; c < p; c++) sum -= M[r][c] * x[c];
+      x[r] = sum / M[r][r];
+    }
+    return x;
   }
 
-  static solve3x3(A, b) {
-    const det = A[0][0] * (A[1][1] * A[2][2] - A[1][2] * A[2][1])
-              - A[0][1] * (A[1][0] * A[2][2] - A[1][2] * A[2][0])
-              + A[0][2] * (A[1][0] * A[2][1] - A[1][1] * A[2][0]);
-    
-    if (Math.abs(det) < 1e-10) return null;
-    
-    const invDet = 1 / det;
-    
-    const inv = [
-      [(A[1][1] * A[2][2] - A[1][2] * A[2][1]) * invDet,
-       (A[0][2] * A[2][1] - A[0][1] * A[2][2]) * invDet,
-       (A[0][1] * A[1][2] - A[0][2] * A[1][1]) * invDet],
-      [(A[1][2] * A[2][0] - A[1][0] * A[2][2]) * invDet,
-       (A[0][0] * A[2][2] - A[0][2] * A[2][0]) * invDet,
-       (A[0][2] * A[1][0] - A[0][0] * A[1][2]) * invDet],
-      [(A[1][0] * A[2][1] - A[1][1] * A[2][0]) * invDet,
-       (A[0][1] * A[2][0] - A[0][0] * A[2][1]) * invDet,
-       (A[0][0] * A[1][1] - A[0][1] * A[1][0]) * invDet]
-    ];
-    
-    return [
-      inv[0][0] * b[0] + inv[0][1] * b[1] + inv[0][2] * b[2],
-      inv[1][0] * b[0] + inv[1][1] * b[1] + inv[1][2] * b[2],
-      inv[2][0] * b[0] + inv[2][1] * b[1] + inv[2][2] * b[2]
-    ];
+  /**
+   * Matrix inverse, column by column
+   */
+  static invert(A) {
+    const p = A.length;
+    const columns = [];
+    for (let j = 0; j < p; j++) {
+      const column = this.solveLinear(A, A.map((_, i) => (i === j ? 1 : 0)));
+      if (!column) return null;
+      columns.push(column);
+    }
+    return A.map((_, i) => columns.map(column => column[i]));
   }
 
   /**
    * Generate LPPL fitted curve for plotting
+   * Works for any fitted parameter set, bubble or not, so fit quality can be
+   * judged by eye. t is in the fit window's coordinates (0 = first day).
    */
   static generateFittedCurve(params, startT, endT) {
-    if (!params || !params.isBubble) return [];
+    if (!params || params.tc === undefined || params.A === undefined) return [];
     
     const { tc, A, B, C, m, omega, phi } = params;
     const curve = [];
@@ -206,8 +608,16 @@ export class LPPLModel {
   }
 }
 
-export function optimizeLPPL(prices, dates) {
-  return LPPLModel.optimize(prices, dates);
+export function optimizeLPPL(prices, dates, options) {
+  return LPPLModel.optimize(prices, dates, options);
+}
+
+export function scanLPPL(prices, dates, options) {
+  return LPPLModel.scanWindows(prices, dates, options);
+}
+
+export function lpplConfidenceHistory(prices, dates, options) {
+  return LPPLModel.confidenceHistory(prices, dates, options);
 }
 
 export function generateFittedCurve(params, startT, endT) {
@@ -0,0 +1,118 @@
+/**
+ * Market Regime Classifier
+ *
+ * Multivariate Gaussian HMM on daily SPX log returns and weekly
+ * net-liquidity log changes, fitted with Baum-Welch (see lib/hmm.js).
+ *
+ * Implements methods from:
+ * - Hamilton (1989) Markov-switching regimes
+ * - Ang & Bekaert (2002) "Regime Switches in Interest Rates" (regimes
+ *   identified by their volatility)
+ *
+ * States are ordered by SPX volatility and labelled from calm to stressed.
+ * Features are standardized before fitting; state summaries are reported in
+ * original units.
+ */
+
+import { HiddenMarkovModel } from './hmm';
+
+// Trading days per week, for the net-liquidity change horizon
+const WEEK = 5;
+const TRADING_DAYS = 252;
+
+export const REGIME_LABELS = {
+  2: ['calm', 'stressed'],
+  3: ['calm', 'choppy', 'stressed'],
+  4: ['calm', 'choppy', 'stressed', 'crisis']
+};
+
+export class MarketRegime {
+  /**
+   * Feature vectors [SPX log return, net-liquidity weekly log change] from
+   * day `WEEK` on, with their standardized form
+   *
+   * @param {Object[]} timeSeries - Joined daily records (spx, netLiquidity)
+   * @returns {{ raw: number[][], standardized: number[][], offset: number }}
+   */
+  static features(timeSeries) {
+    const raw = [];
+    for (let i = WEEK; i < timeSeries.length; i++) {
+      raw.push([
+        Math.log(timeSeries[i].spx / timeSeries[i - 1].spx),
+        Math.log(timeSeries[i].netLiquidity / timeSeries[i - WEEK].netLiquidity)
+      ]);
+    }
+    const { mean, cov } = raw.length ? HiddenMarkovModel.weightedMoments(raw) : { mean: [0, 0], cov: [[1, 0], [0, 1]] };
+    const sd = cov.map((row, d) => Math.sqrt(row[d]) || 1);
+    const standardized = raw.map(x => x.map((v, d) => (v - mean[d]) / sd[d]));
+    return { raw, standardized, offset: WEEK };
+  }
+
+  /**
+   * Fit the HMM and decode every day
+   *
+   * @param {Object[]} timeSeries - Joined daily records (spx, netLiquidity)
+   * @param {Object} options
+   * @param {number} options.states - Number of regimes, 2-4 (default 3)
+   * @param {number} options.iterations - Max Baum-Welch iterations (default 200)
+   * @returns {{ labels: string[], path: (string|null)[], filtered: (number[]|null)[], states: Object[], logLikelihood: number, iterations: number }|null}
+   */
+  static classify(timeSeries, options = {}) {
+    const states = Math.min(4, Math.max(2, options.states || 3));
+    const { iterations = 200 } = options;
+    const { raw, standardized, offset } = this.features(timeSeries);
+    if (standardized.length < states * 50) return null;
+
+    // Seed states by SPX move size, so they split by volatility
+    const model = HiddenMarkovModel.fit(standardized, {
+      states,
+      iterations,
+      order: x => Math.abs(x[0])
+    });
+
+    // Relabel states from lowest to highest SPX volatility
+    const smoothed = HiddenMarkovModel.smooth(standardized, model);
+    const stateVol = smoothed[0].map((_, k) => {
+      const { cov } = HiddenMarkovModel.weightedMoments(raw, smoothed.map(p => p[k]));
+      return cov[0][0];
+    });
+    const rank = stateVol.map((v, k) => k).sort((a, b) => stateVol[a] - stateVol[b]);
+    const labels = REGIME_LABELS[states];
+
+    const { filtered } = HiddenMarkovModel.forward(standardized, model);
+    const path = HiddenMarkovModel.viterbi(standardized, model);
+    const pad = new Array(offset).fill(null);
+    const occupancy = new Array(states).fill(0);
+    path.forEach(k => { occupancy[k]++; });
+
+    return {
+      labels,
+      path: [...pad, ...path.map(k => labels[rank.indexOf(k)])],
+      filtered: [...pad, ...filtered.map(p => rank.map(k => p[k]))],
+      states: rank.map((k, i) => {
+        const { mean, cov } = HiddenMarkovModel.weightedMoments(raw, smoothed.map(p => p[k]));
+        const persistence = model.transition[k][k];
+        return {
+          label: labels[i],
+          meanReturn: mean[0] * TRADING_DAYS * 100,
+          volatility: Math.sqrt(cov[0][0] * TRADING_DAYS) * 100,
+          meanLiquidityChange: mean[1] * 100,
+          correlation: cov[0][0] > 0 && cov[1][1] > 0 ? cov[0][1] / Math.sqrt(cov[0][0] * cov[1][1]) : 0,
+          persistence,
+          expectedDuration: persistence < 1 ? 1 / (1 - persistence) : null,
+          share: occupancy[k] / path.length
+        };
+      }),
+      logLikelihood: model.logLikelihood,
+      iterations: model.iterations
+    };
+  }
+}
+
+/**
+ * Regime path, filtered probabilities and state summaries for a joined
+ * time series (null when there is too little data)
+ */
+export function classifyMarketRegimes(timeSeries, options = {}) {
+  return MarketRegime.classify(timeSeries, options);
+}
@@ -0,0 +1,311 @@
+/**
+ * Composite Regime Score
+ *
+ * Blends CSD, LPPL and liquidity readings into one 0-100 score (higher =
+ * closer to a critical transition) and maps it to a regime and signal.
+ * Optional stress components (yield curve, credit spread, VIX, SOFR-IORB
+ * funding spread; see lib/stress-series.js) carry no weight unless a profile
+ * gives them one.
+ * Shared by /api/analyze, /api/backtest and (through the API) the dashboard.
+ *
+ * A scoring profile sets:
+ * - weights: Component weights (normalized to sum to 1). A component with no
+ *   reading on a day (stress series before they start, liquidity before its
+ *   window fills) is left out and the others are rescaled to sum to 1
+ * - ranges: [input at score 0, input at score 100] per component, linear and
+ *   clamped in between. lppl applies only when a bubble is detected.
+ * - liquidityMeasure: Which adaptive liquidity measure (LIQUIDITY_MEASURES)
+ *   feeds the liquidity component
+ * - thresholds: Composite score a regime must exceed, checked top-down
+ *
+ * Profiles are picked by name (`profile=liquidity`), passed whole as JSON
+ * (`profile={"weights":{...}}`), and/or overridden per field with query
+ * parameters (see resolveScoringProfile).
+ */
+
+export const STRESS_COMPONENTS = ['curve', 'credit', 'volatility', 'funding'];
+
+export const COMPONENTS = ['ar1', 'tau', 'lppl', 'liquidity', ...STRESS_COMPONENTS];
+
+// Liquidity measures (see lib/liquidity-regime.js) and their default
+// [score 0, score 100] ranges; `level` is the raw net liquidity in $B
+export const LIQUIDITY_MEASURES = {
+  zScore: [1, -2],
+  percentile: [100, 0],
+  roc4w: [2, -4],
+  roc13w: [4, -8],
+  roc26w: [6, -12],
+  drainProbability: [0, 1],
+  level: [6500, 4500]
+};
+
+export const DEFAULT_PROFILE = {
+  weights: { ar1: 0.35, tau: 0.2, lppl: 0.25, liquidity: 0.2, curve: 0, credit: 0, volatility: 0, funding: 0 },
+  ranges: {
+    ar1: [0.3, 0.8],          // AR(1)
+    tau: [-0.5, 0.5],         // Kendall's Tau of AR(1)
+    lppl: [0, 100],           // LPPL confidence (%)
+    liquidity: LIQUIDITY_MEASURES.zScore,
+    curve: [1, -1],           // 10Y-3M Treasury spread (%), inverted = stress
+    credit: [3, 8],           // High-yield OAS (%)
+    volatility: [12, 40],     // VIX
+    funding: [-10, 15]        // SOFR - IORB (bp)
+  },
+  liquidityMeasure: 'zScore',
+  thresholds: { CRITICAL: 70, ELEVATED: 55, CAUTION: 40, NORMAL: 25 }
+};
+
+export const REGIME_PROFILES = {
+  default: DEFAULT_PROFILE,
+  // Leans on CSD; liquidity only confirms
+  csd: {
+    ...DEFAULT_PROFILE,
+    weights: { ...DEFAULT_PROFILE.weights, ar1: 0.45, tau: 0.3, lppl: 0.15, liquidity: 0.1 }
+  },
+  // Leans on the Fed liquidity drain
+  liquidity: {
+    ...DEFAULT_PROFILE,
+    weights: { ...DEFAULT_PROFILE.weights, ar1: 0.2, tau: 0.15, lppl: 0.15, liquidity: 0.5 }
+  },
+  // Adds funding and market stress to CSD and liquidity
+  stress: {
+    ...DEFAULT_PROFILE,
+    weights: { ar1: 0.2, tau: 0.1, lppl: 0.15, liquidity: 0.2, curve: 0.05, credit: 0.1, volatility: 0.1, funding: 0.1 }
+  }
+};
+
+// Ordered most to least severe; the last regime has no threshold
+export const REGIMES = [
+  { status: 'CRITICAL', color: 'rose', signal: 'STRONG SELL' },
+  { status: 'ELEVATED', color: 'amber', signal: 'REDUCE RISK' },
+  { status: 'CAUTION', color: 'yellow', signal: 'HOLD' },
+  { status: 'NORMAL', color: 'emerald', signal: 'ACCUMULATE' },
+  { status: 'FAVORABLE', color: 'cyan', signal: 'STRONG BUY' }
+];
+
+const clamp = value => Math.min(100, Math.max(0, value));
+
+const scale = (value, [zero, full]) => (
+  full === zero ? 0 : clamp((value - zero) / (full - zero) * 100)
+);
+
+const parseList = value => (
+  typeof value === 'string' ? value.split(',').map(parseFloat) : null
+);
+
+const capitalize = key => key[0].toUpperCase() + key.slice(1);
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a JSON profile's fields, returning an error message or null
+ */
+const checkCustomProfile = custom => {
+  if (!isObject(custom)) return 'profile must be a JSON object';
+  const fields = {
+    weights: { keys: COMPONENTS, valid: v => Number.isFinite(v) && v >= 0, expected: 'a number of at least 0' },
+    ranges: {
+      keys: COMPONENTS,
+      valid: v => Array.isArray(v) && v.length === 2 && v.every(Number.isFinite) && v[0] !== v[1],
+      expected: 'a [zero, full] pair of distinct numbers'
+    },
+    thresholds: { keys: REGIMES.slice(0, -1).map(({ status }) => status), valid: Number.isFinite, expected: 'a number' }
+  };
+  for (const [field, { keys, valid, expected }] of Object.entries(fields)) {
+    if (custom[field] === undefined) continue;
+    if (!isObject(custom[field])) return `profile ${field} must be an object`;
+    for (const [key, value] of Object.entries(custom[field])) {
+      if (!keys.includes(key)) return `profile ${field}.${key} is not one of ${keys.join(', ')}`;
+      if (!valid(value)) return `profile ${field}.${key} must be ${expected}`;
+    }
+  }
+  if (custom.liquidityMeasure !== undefined && !LIQUIDITY_MEASURES[custom.liquidityMeasure]) {
+    return `profile liquidityMeasure must be one of ${Object.keys(LIQUIDITY_MEASURES).join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Build a scoring profile from request query parameters
+ *
+ * - profile: Named profile (REGIME_PROFILES) or a JSON profile object
+ * - weightAr1 / weightTau / weightLppl / weightLiquidity (and weightCurve /
+ *   weightCredit / weightVolatility / weightFunding): Component weights
+ * - ar1Range / tauRange / lpplRange / liquidityRange (curveRange, ...):
+ *   "zero,full" inputs
+ * - thresholds: "critical,elevated,caution,normal" composite cut-offs
+ * - liquidityMeasure: Key of LIQUIDITY_MEASURES (its default range applies
+ *   unless liquidityRange is also given)
+ *
+ * An unknown profile name, or a JSON profile that does not parse or whose
+ * weights, ranges, thresholds or liquidityMeasure are invalid, is an error;
+ * invalid per-field overrides fall back to the base profile.
+ *
+ * @param {Object} query - Request query
+ * @returns {{ profile: Object|null, error: string|null }} Resolved profile
+ *   (plus `name`)
+ */
+export function resolveScoringProfile(query = {}) {
+  let name = 'default';
+  let base = DEFAULT_PROFILE;
+  const requested = typeof query.profile === 'string' ? query.profile.trim() : '';
+
+  if (REGIME_PROFILES[requested]) {
+    name = requested;
+    base = REGIME_PROFILES[requested];
+  } else if (requested.startsWith('{')) {
+    let custom;
+    try {
+      custom = JSON.parse(requested);
+    } catch (error) {
+      return { profile: null, error: `profile is not valid JSON: ${error.message}` };
+    }
+    const invalid = checkCustomProfile(custom);
+    if (invalid) return { profile: null, error: invalid };
+    name = 'custom';
+    const liquidityMeasure = LIQUIDITY_MEASURES[custom.liquidityMeasure]
+      ? custom.liquidityMeasure
+      : DEFAULT_PROFILE.liquidityMeasure;
+    base = {
+      weights: { ...DEFAULT_PROFILE.weights, ...custom.weights },
+      ranges: { ...DEFAULT_PROFILE.ranges, liquidity: LIQUIDITY_MEASURES[liquidityMeasure], ...custom.ranges },
+      liquidityMeasure,
+      thresholds: { ...DEFAULT_PROFILE.thresholds, ...custom.thresholds }
+    };
+  } else if (requested) {
+    return { profile: null, error: `profile must be one of ${Object.keys(REGIME_PROFILES).join(', ')} or a JSON object` };
+  }
+
+  const weights = { ...base.weights };
+  const ranges = { ...base.ranges };
+  const thresholds = { ...base.thresholds };
+  let { liquidityMeasure } = base;
+  let overridden = false;
+
+  if (LIQUIDITY_MEASURES[query.liquidityMeasure] && query.liquidityMeasure !== liquidityMeasure) {
+    liquidityMeasure = query.liquidityMeasure;
+    ranges.liquidity = LIQUIDITY_MEASURES[liquidityMeasure];
+    overridden = true;
+  }
+
+  COMPONENTS.forEach(key => {
+    const weight = parseFloat(query[`weight${capitalize(key)}`]);
+    if (Number.isFinite(weight) && weight >= 0) {
+      weights[key] = weight;
+      overridden = true;
+    }
+    const range = parseList(query[`${key}Range`]);
+    if (range && range.length === 2 && range.every(Number.isFinite) && range[0] !== range[1]) {
+      ranges[key] = range;
+      overridden = true;
+    }
+  });
+
+  const cutoffs = parseList(query.thresholds);
+  if (cutoffs && cutoffs.length === REGIMES.length - 1 && cutoffs.every(Number.isFinite)) {
+    REGIMES.slice(0, -1).forEach(({ status }, i) => { thresholds[status] = cutoffs[i]; });
+    overridden = true;
+  }
+
+  // Keep the composite on 0-100 whatever the weights add up to
+  const total = COMPONENTS.reduce((sum, key) => sum + (Number(weights[key]) || 0), 0);
+  COMPONENTS.forEach(key => {
+    weights[key] = total > 0 ? (Number(weights[key]) || 0) / total : DEFAULT_PROFILE.weights[key];
+  });
+
+  return {
+    profile: { name: overridden ? `${name}+overrides` : name, weights, ranges, liquidityMeasure, thresholds },
+    error: null
+  };
+}
+
+/**
+ * LPPL scoring inputs from a scan result or confidence-history reading
+ * (confidence 0-1, or null), shared by /api/analyze and the backtest so
+ * both score a day alike
+ *
+ * @param {Object|null} reading - { confidence, isBubble }
+ * @returns {{ isBubble: boolean, lpplConfidence: number }} Confidence in
+ *   whole percent
+ */
+export function lpplInputs(reading) {
+  return {
+    isBubble: Boolean(reading?.isBubble),
+    lpplConfidence: Math.round((reading?.confidence || 0) * 100)
+  };
+}
+
+/**
+ * Score each component on 0-100
+ *
+ * @param {Object} inputs
+ * @param {number} inputs.ar1 - Current AR(1)
+ * @param {number} inputs.kendallTau - Kendall's Tau of AR(1)
+ * @param {boolean} inputs.isBubble - LPPL bubble detected
+ * @param {number} inputs.lpplConfidence - LPPL confidence (0-100)
+ * @param {Object} inputs.liquidity - Liquidity measures keyed like
+ *   LIQUIDITY_MEASURES (missing measure scores null)
+ * @param {Object} inputs.stress - Stress readings keyed like
+ *   STRESS_COMPONENTS (missing reading scores null)
+ * @param {Object} profile - Scoring profile (default DEFAULT_PROFILE)
+ * @returns {{ ar1, tau, lppl, liquidity, curve, credit, volatility, funding }}
+ *   Scores, null where there is no reading
+ */
+export function componentScores({ ar1, kendallTau, isBubble, lpplConfidence, liquidity, stress }, profile = DEFAULT_PROFILE) {
+  const { ranges, liquidityMeasure } = profile;
+  const liquidityValue = liquidity ? liquidity[liquidityMeasure] : null;
+  const scores = {
+    ar1: scale(ar1, ranges.ar1),
+    tau: scale(kendallTau, ranges.tau),
+    lppl: isBubble ? scale(lpplConfidence, ranges.lppl) : 0,
+    liquidity: liquidityValue === null || liquidityValue === undefined ? null : scale(liquidityValue, ranges.liquidity)
+  };
+  STRESS_COMPONENTS.forEach(key => {
+    const value = stress ? stress[key] : null;
+    scores[key] = value === null || value === undefined ? null : scale(value, ranges[key]);
+  });
+  return scores;
+}
+
+/**
+ * Map a composite score to its regime
+ */
+export function classifyRegime(composite, profile = DEFAULT_PROFILE) {
+  const regime = REGIMES.find(({ status }) => (
+    profile.thresholds[status] !== undefined && composite > profile.thresholds[status]
+  )) || REGIMES[REGIMES.length - 1];
+  const { status, color, signal } = regime;
+  return { status, color, signal };
+}
+
+/**
+ * Weights of the components with a reading, rescaled to sum to 1
+ *
+ * @param {Object} components - From componentScores
+ * @param {Object} weights - Profile weights
+ * @returns {Object} Weight per component (0 for those without a reading)
+ */
+export function effectiveWeights(components, weights) {
+  const total = COMPONENTS.reduce((sum, key) => sum + (components[key] === null ? 0 : weights[key]), 0);
+  return Object.fromEntries(COMPONENTS.map(key => [
+    key,
+    components[key] === null || total <= 0 ? 0 : weights[key] / total
+  ]));
+}
+
+/**
+ * Composite score, regime and component scores
+ *
+ * @param {Object} inputs - See componentScores
+ * @param {Object} profile - Scoring profile (default DEFAULT_PROFILE)
+ * @returns {{ composite, status, color, signal, components, weights, used }}
+ *   `weights` are the day's effective weights and `used` the weighted
+ *   components that had a reading
+ */
+export function scoreRegime(inputs, profile = DEFAULT_PROFILE) {
+  const components = componentScores(inputs, profile);
+  const weights = effectiveWeights(components, profile.weights);
+  const composite = COMPONENTS.reduce((sum, key) => sum + (components[key] ?? 0) * weights[key], 0);
+  const used = COMPONENTS.filter(key => weights[key] > 0);
+  return { composite, ...classifyRegime(composite, profile), components, weights, used };
+}
@@ -0,0 +1,583 @@
+/**
+ * Lead-Lag Relationships Between Series
+ *
+ * Pairwise tests between two series from the joined timeSeries:
+ * - Lagged cross-correlation: corr(x[t], y[t + k]) for k = -maxLag..maxLag
+ *   (positive k: x leads y)
+ * - Rolling correlation of y against x lagged by a fixed number of periods
+ * - Granger causality: F-test of whether x's lags improve an autoregression
+ *   of y, in both directions
+ *
+ * Implements methods from:
+ * - Granger (1969) "Investigating Causal Relations by Econometric Models
+ *   and Cross-spectral Methods"
+ * - Künsch (1989) "The Jackknife and the Bootstrap for General Stationary
+ *   Observations" (moving-block bootstrap)
+ *
+ * The parametric F p-value assumes i.i.d. Gaussian errors, which daily
+ * market data rarely has. The bootstrap p-value regenerates y under the null
+ * (its own autoregression, x held fixed) from blocks of the restricted
+ * model's residuals, so volatility clusters survive resampling.
+ *
+ * Series are sampled daily or every WEEK trading days (ending on the last
+ * day) and transformed before testing: levels of trending series give
+ * spurious correlations, so liquidity series default to weekly changes.
+ */
+
+// Trading days per week, for weekly sampling
+const WEEK = 5;
+const TRADING_DAYS = 252;
+const VOLATILITY_WINDOW = 21;
+
+/**
+ * Seeded PRNG (mulberry32) so bootstrap p-values are reproducible
+ */
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Log-gamma (Lanczos approximation)
+ */
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  c.forEach(coef => { ser += coef / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (Lentz's method)
+ */
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Daily S&P 500 log returns (null on the first day)
+ */
+const spxLogReturns = timeSeries => timeSeries.map((d, i) => (
+  i > 0 && d.spx > 0 && timeSeries[i - 1].spx > 0 ? Math.log(d.spx / timeSeries[i - 1].spx) : null
+));
+
+/**
+ * Series available to /api/relationships. `extract` gives one value per day
+ * of the joined timeSeries; `transform` is the default applied after
+ * sampling and `aggregate` how a week's days are combined ('last' or 'mean').
+ */
+export const RELATIONSHIP_SERIES = {
+  spx: {
+    label: 'S&P 500',
+    units: 'Index',
+    transform: 'logChange',
+    aggregate: 'last',
+    extract: timeSeries => timeSeries.map(d => d.spx)
+  },
+  spxVolatility: {
+    label: 'S&P 500 Volatility',
+    units: '% annualized',
+    transform: 'level',
+    aggregate: 'last',
+    // Realized volatility of the trailing month's daily returns
+    extract: timeSeries => {
+      const returns = spxLogReturns(timeSeries);
+      return returns.map((_, i) => {
+        if (i < VOLATILITY_WINDOW) return null;
+        const window = returns.slice(i - VOLATILITY_WINDOW + 1, i + 1);
+        const mean = window.reduce((a, b) => a + b, 0) / window.length;
+        const variance = window.reduce((a, r) => a + (r - mean) * (r - mean), 0) / (window.length - 1);
+        return Math.sqrt(variance * TRADING_DAYS) * 100;
+      });
+    }
+  },
+  netLiquidity: {
+    label: 'Net Liquidity',
+    units: '$B',
+    transform: 'change',
+    aggregate: 'last',
+    extract: timeSeries => timeSeries.map(d => d.netLiquidity)
+  },
+  balanceSheet: {
+    label: 'Fed Balance Sheet',
+    units: '$B',
+    transform: 'change',
+    aggregate: 'last',
+    extract: timeSeries => timeSeries.map(d => d.balanceSheet)
+  },
+  reserves: {
+    label: 'Bank Reserves',
+    units: '$B',
+    transform: 'change',
+    aggregate: 'last',
+    extract: timeSeries => timeSeries.map(d => d.reserves)
+  },
+  tga: {
+    label: 'Treasury General Account',
+    units: '$B',
+    transform: 'change',
+    aggregate: 'last',
+    extract: timeSeries => timeSeries.map(d => d.tga)
+  },
+  rrp: {
+    label: 'Reverse Repo',
+    units: '$B',
+    transform: 'change',
+    aggregate: 'last',
+    extract: timeSeries => timeSeries.map(d => d.rrp)
+  },
+  sunspots: {
+    label: 'Sunspot Number',
+    units: 'SSN',
+    transform: 'level',
+    aggregate: 'mean',
+    extract: timeSeries => timeSeries.map(d => d.sunspots)
+  }
+};
+
+export const RELATIONSHIP_TRANSFORMS = ['level', 'change', 'logChange'];
+
+// Pairs the dashboard offers as presets (x is the candidate leader)
+export const RELATIONSHIP_PAIRS = [
+  { x: 'netLiquidity', y: 'spx' },
+  { x: 'sunspots', y: 'spxVolatility' }
+];
+
+// Per-frequency defaults: lags and rolling window in sampled periods
+export const RELATIONSHIP_DEFAULTS = {
+  weekly: { maxLag: 26, window: 52, grangerLags: 4 },
+  daily: { maxLag: 60, window: 252, grangerLags: 5 }
+};
+
+export class Relationships {
+  /**
+   * Sample a daily series every `step` days, ending on the last day
+   *
+   * @param {(number|null)[]} values - One value per day
+   * @param {number} step - Days per period (1 = daily)
+   * @param {'last'|'mean'} aggregate - Value kept for each period
+   * @returns {{ values: (number|null)[], indices: number[] }} indices are the
+   *   day each period ends on
+   */
+  static sample(values, step, aggregate = 'last') {
+    const indices = [];
+    for (let i = values.length - 1; i >= 0; i -= step) indices.unshift(i);
+    const sampled = indices.map(end => {
+      if (aggregate !== 'mean' || step === 1) return values[end] ?? null;
+      const period = values.slice(Math.max(0, end - step + 1), end + 1).filter(v => v !== null && v !== undefined);
+      return period.length ? period.reduce((a, b) => a + b, 0) / period.length : null;
+    });
+    return { values: sampled, indices };
+  }
+
+  /**
+   * Level, change or log change from one period to the next
+   */
+  static transform(values, transform) {
+    if (transform === 'level') return values.map(v => v ?? null);
+    return values.map((v, i) => {
+      const prev = i > 0 ? values[i - 1] : null;
+      if (v === null || v === undefined || prev === null || prev === undefined) return null;
+      if (transform === 'logChange') return v > 0 && prev > 0 ? Math.log(v / prev) : null;
+      return v - prev;
+    });
+  }
+
+  /**
+   * Pearson correlation of two equal-length arrays
+   */
+  static correlation(a, b) {
+    const n = a.length;
+    if (n < 3) return null;
+    let meanA = 0, meanB = 0;
+    for (let i = 0; i < n; i++) { meanA += a[i]; meanB += b[i]; }
+    meanA /= n;
+    meanB /= n;
+    let cov = 0, varA = 0, varB = 0;
+    for (let i = 0; i < n; i++) {
+      cov += (a[i] - meanA) * (b[i] - meanB);
+      varA += (a[i] - meanA) * (a[i] - meanA);
+      varB += (b[i] - meanB) * (b[i] - meanB);
+    }
+    return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : null;
+  }
+
+  /**
+   * Correlation of x[t] with y[t + lag] for every lag in -maxLag..maxLag
+   *
+   * @returns {Array<{ lag: number, correlation: number|null, n: number }>}
+   */
+  static crossCorrelation(x, y, maxLag) {
+    const result = [];
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+      const from = Math.max(0, -lag);
+      const to = Math.min(x.length, y.length - lag);
+      const xs = x.slice(from, to);
+      const ys = y.slice(from + lag, to + lag);
+      result.push({ lag, correlation: this.correlation(xs, ys), n: xs.length });
+    }
+    return result;
+  }
+
+  /**
+   * Trailing-window correlation of y[t] with x[t - lag]
+   *
+   * @returns {(number|null)[]} One value per y index (null until a full window)
+   */
+  static rollingCorrelation(x, y, window, lag = 0) {
+    return y.map((_, t) => {
+      if (t - lag - window + 1 < 0) return null;
+      return this.correlation(x.slice(t - lag - window + 1, t - lag + 1), y.slice(t - window + 1, t + 1));
+    });
+  }
+
+  /**
+   * Ordinary least squares via the normal equations
+   *
+   * @param {number[]} y - Response
+   * @param {number[][]} X - Design matrix rows (include a constant column)
+   * @returns {{ coefficients: number[], rss: number }|null} null if X'X is singular
+   */
+  static ols(y, X) {
+    const k = X[0].length;
+    const xtx = Array.from({ length: k }, () => new Array(k + 1).fill(0));
+    for (let r = 0; r < X.length; r++) {
+      const row = X[r];
+      for (let i = 0; i < k; i++) {
+        for (let j = i; j < k; j++) xtx[i][j] += row[i] * row[j];
+        xtx[i][k] += row[i] * y[r];
+      }
+    }
+    for (let i = 0; i < k; i++) for (let j = 0; j < i; j++) xtx[i][j] = xtx[j][i];
+
+    // Gaussian elimination with partial pivoting on [X'X | X'y]
+    for (let col = 0; col < k; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < k; r++) if (Math.abs(xtx[r][col]) > Math.abs(xtx[pivot][col])) pivot = r;
+      if (Math.abs(xtx[pivot][col]) < 1e-12) return null;
+      [xtx[col], xtx[pivot]] = [xtx[pivot], xtx[col]];
+      for (let r = col + 1; r < k; r++) {
+        const f = xtx[r][col] / xtx[col][col];
+        for (let c = col; c <= k; c++) xtx[r][c] -= f * xtx[col][c];
+      }
+    }
+    const coefficients = new Array(k).fill(0);
+    for (let i = k - 1; i >= 0; i--) {
+      let sum = xtx[i][k];
+      for (let j = i + 1; j < k; j++) sum -= xtx[i][j] * coefficients[j];
+      coefficients[i] = sum / xtx[i][i];
+    }
+
+    let rss = 0;
+    for (let r = 0; r < X.length; r++) {
+      let fit = 0;
+      for (let i = 0; i < k; i++) fit += X[r][i] * coefficients[i];
+      rss += (y[r] - fit) * (y[r] - fit);
+    }
+    return { coefficients, rss };
+  }
+
+  /**
+   * Restricted (y lags) and unrestricted (y and x lags) regressions of y[t]
+   * for t = lags..n-1, and the F statistic comparing them
+   */
+  static grangerF(x, y, lags) {
+    const target = [];
+    const restricted = [];
+    const unrestricted = [];
+    for (let t = lags; t < y.length; t++) {
+      const own = [1];
+      const cross = [];
+      for (let l = 1; l <= lags; l++) {
+        own.push(y[t - l]);
+        cross.push(x[t - l]);
+      }
+      target.push(y[t]);
+      restricted.push(own);
+      unrestricted.push(own.concat(cross));
+    }
+    const fitR = this.ols(target, restricted);
+    const fitU = this.ols(target, unrestricted);
+    if (!fitR || !fitU) return null;
+
+    const df1 = lags;
+    const df2 = target.length - 2 * lags - 1;
+    const fStatistic = fitU.rss > 0 ? ((fitR.rss - fitU.rss) / df1) / (fitU.rss / df2) : null;
+    return { fStatistic, df1, df2, restricted: fitR, rssUnrestricted: fitU.rss, target };
+  }
+
+  /**
+   * Upper-tail probability of the F distribution
+   */
+  static fPValue(f, df1, df2) {
+    if (f === null || !Number.isFinite(f)) return null;
+    if (f <= 0) return 1;
+    return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+  }
+
+  /**
+   * Moving-block resample of `values` to the same length
+   */
+  static blockResample(values, blockLength, random) {
+    const n = values.length;
+    const length = Math.max(1, Math.min(blockLength, n));
+    const out = [];
+    while (out.length < n) {
+      const start = Math.floor(random() * (n - length + 1));
+      for (let i = 0; i < length && out.length < n; i++) out.push(values[start + i]);
+    }
+    return out;
+  }
+
+  /**
+   * Granger-causality test of x → y with a block-bootstrap p-value
+   *
+   * @param {number[]} x - Candidate cause (aligned with y, no gaps)
+   * @param {number[]} y - Effect
+   * @param {Object} options
+   * @param {number} options.lags - Lags of each series in the regressions (default 4)
+   * @param {number} options.bootstrap - Bootstrap replications, 0 to skip (default 499)
+   * @param {number} options.blockLength - Residual block length (default n^(1/3))
+   * @param {number} options.seed - PRNG seed (default 1)
+   * @returns {{ lags, fStatistic, df1, df2, pValue, bootstrapPValue, bootstrap, blockLength, rSquaredRestricted, rSquaredUnrestricted }|null}
+   */
+  static granger(x, y, options = {}) {
+    const { lags = 4, bootstrap = 499, seed = 1 } = options;
+    const observed = y.length > 3 * lags + 10 ? this.grangerF(x, y, lags) : null;
+    if (!observed || observed.fStatistic === null) return null;
+
+    const { restricted, target } = observed;
+    const mean = target.reduce((a, b) => a + b, 0) / target.length;
+    const tss = target.reduce((a, v) => a + (v - mean) * (v - mean), 0);
+
+    // Centered residuals of y's own autoregression
+    const residuals = target.map((v, r) => {
+      let fit = restricted.coefficients[0];
+      for (let l = 1; l <= lags; l++) fit += restricted.coefficients[l] * y[lags + r - l];
+      return v - fit;
+    });
+    const residualMean = residuals.reduce((a, b) => a + b, 0) / residuals.length;
+    const centered = residuals.map(e => e - residualMean);
+    const blockLength = Math.max(1, options.blockLength || Math.round(Math.cbrt(centered.length)));
+
+    // Regenerate y under the null (x has no effect) and refit both models
+    const random = createRandom(seed);
+    let exceed = 0;
+    let valid = 0;
+    for (let b = 0; b < bootstrap; b++) {
+      const shocks = this.blockResample(centered, blockLength, random);
+      const yStar = y.slice(0, lags);
+      shocks.forEach(e => {
+        let value = restricted.coefficients[0] + e;
+        for (let l = 1; l <= lags; l++) value += restricted.coefficients[l] * yStar[yStar.length - l];
+        yStar.push(value);
+      });
+      const replica = this.grangerF(x, yStar, lags);
+      if (!replica || replica.fStatistic === null || !Number.isFinite(replica.fStatistic)) continue;
+      valid++;
+      if (replica.fStatistic >= observed.fStatistic) exceed++;
+    }
+
+    return {
+      lags,
+      fStatistic: observed.fStatistic,
+      df1: observed.df1,
+      df2: observed.df2,
+      pValue: this.fPValue(observed.fStatistic, observed.df1, observed.df2),
+      bootstrapPValue: valid > 0 ? (exceed + 1) / (valid + 1) : null,
+      bootstrap: valid,
+      blockLength,
+      rSquaredRestricted: tss > 0 ? 1 - restricted.rss / tss : null,
+      rSquaredUnrestricted: tss > 0 ? 1 - observed.rssUnrestricted / tss : null
+    };
+  }
+
+  /**
+   * Sampled, transformed x and y over their common unbroken span
+   *
+   * @param {Object[]} timeSeries - Joined daily records
+   * @param {Object} x - { key, transform } (key from RELATIONSHIP_SERIES)
+   * @param {Object} y - { key, transform }
+   * @param {'daily'|'weekly'} frequency
+   * @param {Object} series - Available series (default RELATIONSHIP_SERIES)
+   * @returns {{ dates: string[], x: number[], y: number[] }}
+   */
+  static align(timeSeries, x, y, frequency = 'weekly', series = RELATIONSHIP_SERIES) {
+    const step = frequency === 'daily' ? 1 : WEEK;
+    const prepare = ({ key, transform }) => {
+      const def = series[key];
+      const { values, indices } = this.sample(def.extract(timeSeries), step, def.aggregate);
+      return { values: this.transform(values, transform || def.transform), indices };
+    };
+    const xs = prepare(x);
+    const ys = prepare(y);
+
+    // Tests need an unbroken series: start after the last gap in either
+    let start = 0;
+    xs.values.forEach((v, i) => {
+      const w = ys.values[i];
+      if (v === null || w === null || !Number.isFinite(v) || !Number.isFinite(w)) start = i + 1;
+    });
+    return {
+      dates: xs.indices.slice(start).map(i => timeSeries[i].date),
+      x: xs.values.slice(start),
+      y: ys.values.slice(start)
+    };
+  }
+
+  /**
+   * Full relationship report for one pair
+   *
+   * @param {Object[]} timeSeries - Joined daily records
+   * @param {Object} options
+   * @param {string} options.x - Candidate leader (RELATIONSHIP_SERIES key)
+   * @param {string} options.y - Candidate follower
+   * @param {string} options.xTransform - 'level' | 'change' | 'logChange' (default per series)
+   * @param {string} options.yTransform - As above
+   * @param {'daily'|'weekly'} options.frequency - Sampling (default 'weekly')
+   * @param {number} options.maxLag - Cross-correlation lags either side
+   * @param {number} options.window - Rolling correlation window (periods)
+   * @param {number} options.lag - Lag of x in the rolling correlation (default 0)
+   * @param {number} options.grangerLags - Lags in the Granger regressions
+   * @param {number} options.bootstrap - Bootstrap replications (default 499)
+   * @param {number} options.blockLength - Bootstrap block length (default n^(1/3))
+   * @param {Object} options.series - Available series (default RELATIONSHIP_SERIES,
+   *   see withDerivedRelationshipSeries)
+   * @returns {Object|null} null when the pair has too few common observations
+   */
+  static analyze(timeSeries, options = {}) {
+    const frequency = options.frequency === 'daily' ? 'daily' : 'weekly';
+    const defaults = RELATIONSHIP_DEFAULTS[frequency];
+    const {
+      maxLag = defaults.maxLag,
+      window = defaults.window,
+      lag = 0,
+      grangerLags = defaults.grangerLags,
+      bootstrap = 499,
+      blockLength
+    } = options;
+
+    const series = options.series || RELATIONSHIP_SERIES;
+    const x = { key: options.x, transform: options.xTransform || series[options.x].transform };
+    const y = { key: options.y, transform: options.yTransform || series[options.y].transform };
+    const aligned = this.align(timeSeries, x, y, frequency, series);
+    const n = aligned.dates.length;
+    if (n < Math.max(2 * maxLag, 3 * grangerLags + 10, 30)) return null;
+
+    const lags = this.crossCorrelation(aligned.x, aligned.y, maxLag);
+    const peak = lags.reduce((best, d) => (
+      d.correlation !== null && (best === null || Math.abs(d.correlation) > Math.abs(best.correlation)) ? d : best
+    ), null);
+    const rolling = this.rollingCorrelation(aligned.x, aligned.y, window, lag);
+
+    const grangerOptions = { lags: grangerLags, bootstrap, blockLength };
+    return {
+      frequency,
+      x,
+      y,
+      dates: aligned.dates,
+      crossCorrelation: {
+        lags,
+        // Approximate 95% band for white noise; autocorrelated series need wider
+        band: 1.96 / Math.sqrt(n),
+        peak,
+        contemporaneous: lags.find(d => d.lag === 0).correlation
+      },
+      rollingCorrelation: { window, lag, values: rolling },
+      granger: {
+        forward: this.granger(aligned.x, aligned.y, grangerOptions),
+        reverse: this.granger(aligned.y, aligned.x, grangerOptions)
+      }
+    };
+  }
+}
+
+/**
+ * Built-in series plus one per derived series (see lib/derived-series.js).
+ * Derived series default to period changes, like the liquidity series.
+ *
+ * @param {Object[]} definitions - From resolveDerivedSeries
+ * @returns {Object} Series keyed like RELATIONSHIP_SERIES (built-ins win)
+ */
+export function withDerivedRelationshipSeries(definitions = []) {
+  const series = { ...RELATIONSHIP_SERIES };
+  definitions.forEach(({ name, label, units }) => {
+    if (series[name]) return;
+    series[name] = { label, units, transform: 'change', aggregate: 'last', extract: timeSeries => timeSeries.map(d => d[name]) };
+  });
+  return series;
+}
+
+/**
+ * Look up a relationship series by key
+ *
+ * @param {string} key
+ * @param {Object} series - Available series (default RELATIONSHIP_SERIES)
+ * @returns {{ key: string, label: string, units: string, transform: string }|null}
+ */
+export function resolveRelationshipSeries(key, series = RELATIONSHIP_SERIES) {
+  if (!series[key]) return null;
+  const { label, units, transform } = series[key];
+  return { key, label, units, transform };
+}
+
+/**
+ * Cross-correlation, rolling correlation and Granger tests for one pair
+ * (see Relationships.analyze)
+ */
+export function analyzeRelationship(timeSeries, options = {}) {
+  return Relationships.analyze(timeSeries, options);
+}
+
+/**
+ * Granger-causality F-test of x → y with a block-bootstrap p-value
+ */
+export function grangerTest(x, y, options = {}) {
+  return Relationships.granger(x, y, options);
+}
@@ -0,0 +1,282 @@
+/**
+ * Local Time-Series Store
+ *
+ * Keeps every upstream series on disk as JSON, one file per series ID, so
+ * analysis runs from local data and keeps working when an upstream source
+ * is slow or down.
+ *
+ * - FRED series are synced incrementally: only observations from
+ *   REVISION_DAYS before the last stored date onward are requested, so
+ *   revisions within that window are picked up (fixtures are re-read whole)
+ * - Each observation keeps the `realtime_start` / `realtime_end` FRED returns.
+ *   A latest-data request's real-time period starts on the request date, so
+ *   `realtime_start` is the day the store first saw that value, not FRED's
+ *   vintage date. When a sync returns a different value for a stored date,
+ *   the new value is added as another vintage instead of overwriting the old
+ *   one. Revisions older than the window are not seen; point-in-time runs
+ *   (below) don't rely on them
+ * - A series synced within `maxAge` is served from disk without a request;
+ *   if a sync fails, the stored copy is served and marked stale
+ *
+ * Point-in-time vintages (ALFRED, `realtime_start` = `realtime_end` = asOf)
+ * are stored under `<ID>@<asOf>` and never refetched: a past vintage can't change.
+ *
+ * Location: SERIES_STORE_DIR, else .data/series under the project root,
+ * else the OS temp directory (read-only deployments). Fixture datasets (see
+ * lib/data-provider.js) get their own `fixture-<dataset>` subdirectory and
+ * are re-read on every sync.
+ *
+ * All upstream requests go through the active data provider.
+ *
+ * Record: { id, source, syncedAt, lastDate, observations: [{ date, value,
+ *           realtime_start, realtime_end }] }
+ */
+
+import { promises as fs, constants } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getDataProvider } from './data-provider';
+
+const FRED_START = '2015-01-01';
+const DEFAULT_MAX_AGE = 60 * 60 * 1000; // 1 hour
+// Days before the last stored date re-requested on each sync (H.4.1 revisions
+// land within weeks of the first print)
+const REVISION_DAYS = 90;
+
+// One sync per series at a time within this process
+const inflight = new Map();
+let storeDir = null;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const daysBefore = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().split('T')[0];
+};
+
+const fileName = id => `${id.replace(/[^A-Za-z0-9_.-]/g, '_')}.json`;
+
+export class SeriesStore {
+  /**
+   * Writable store directory (created on first use)
+   */
+  static async directory() {
+    if (storeDir) return storeDir;
+    const provider = getDataProvider();
+    const namespace = provider.name === 'fixture' ? `fixture-${provider.dataset}` : '';
+    const candidates = [
+      process.env.SERIES_STORE_DIR,
+      path.join(process.cwd(), '.data', 'series'),
+      path.join(os.tmpdir(), 'flr-tracker', 'series')
+    ].filter(Boolean).map(dir => path.join(dir, namespace));
+
+    for (const dir of candidates) {
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.access(dir, constants.W_OK);
+        storeDir = dir;
+        return dir;
+      } catch {
+        // Not writable here, try the next location
+      }
+    }
+    throw new Error('No writable directory for the series store');
+  }
+
+  /**
+   * Stored record for a series, or null
+   */
+  static async read(id) {
+    try {
+      const raw = await fs.readFile(path.join(await this.directory(), fileName(id)), 'utf8');
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Replace a series record (written to a temp file, then renamed)
+   */
+  static async write(id, record) {
+    const file = path.join(await this.directory(), fileName(id));
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(record));
+    await fs.rename(temp, file);
+  }
+
+  /**
+   * Merge fetched observations into stored ones. A date whose latest stored
+   * value is unchanged keeps its original vintage; a changed value is added
+   * as a new vintage.
+   *
+   * @returns {Object[]} Observations sorted by date, then realtime_start
+   */
+  static merge(stored = [], incoming = []) {
+    const merged = [...stored];
+    const latest = new Map();
+    stored.forEach(o => {
+      const current = latest.get(o.date);
+      if (!current || o.realtime_start >= current.realtime_start) latest.set(o.date, o);
+    });
+
+    incoming.forEach(o => {
+      const current = latest.get(o.date);
+      if (current && current.value === o.value) return;
+      const observation = {
+        date: o.date,
+        value: o.value,
+        realtime_start: o.realtime_start || today(),
+        realtime_end: o.realtime_end || '9999-12-31'
+      };
+      if (current) current.realtime_end = observation.realtime_start;
+      merged.push(observation);
+      latest.set(o.date, observation);
+    });
+
+    return merged.sort((a, b) => (
+      a.date === b.date ? a.realtime_start.localeCompare(b.realtime_start) : a.date.localeCompare(b.date)
+    ));
+  }
+
+  /**
+   * Latest vintage of each date as { date, value } (missing values skipped)
+   */
+  static latestValues(record) {
+    const byDate = new Map();
+    (record?.observations || []).forEach(o => { byDate.set(o.date, o); });
+    return Array.from(byDate.values())
+      .filter(o => o.value !== '.' && o.value !== null && o.value !== undefined)
+      .map(o => ({ date: o.date, value: o.value }));
+  }
+
+  /**
+   * Sync a series through `fetchNew(record)` unless the stored copy is fresh
+   *
+   * @param {string} id - Series ID
+   * @param {Object} options
+   * @param {string} options.source - Source name stored with the record
+   * @param {Function} options.fetchNew - async (record|null) => observations
+   * @param {boolean} options.replace - Replace stored observations instead of merging
+   * @param {number} options.maxAge - Serve stored copy if synced within (ms)
+   * @returns {Promise<{ record: Object, status: 'fresh'|'synced'|'stale', error?: string }>}
+   */
+  static async sync(id, options = {}) {
+    if (inflight.has(id)) return inflight.get(id);
+    const pending = this.runSync(id, options).finally(() => inflight.delete(id));
+    inflight.set(id, pending);
+    return pending;
+  }
+
+  static async runSync(id, { source, fetchNew, replace = false, maxAge = DEFAULT_MAX_AGE }) {
+    const stored = await this.read(id);
+    // Fixtures are local files: sync on every request (see syncFred for how
+    // far back each source is re-read)
+    if (getDataProvider().name === 'fixture') maxAge = 0;
+    if (stored && Date.now() - new Date(stored.syncedAt).getTime() < maxAge) {
+      return { record: stored, status: 'fresh' };
+    }
+
+    try {
+      const incoming = await fetchNew(stored);
+      const observations = replace ? incoming : this.merge(stored?.observations, incoming);
+      const record = {
+        id,
+        source,
+        syncedAt: new Date().toISOString(),
+        lastDate: observations.length ? observations[observations.length - 1].date || null : null,
+        observations
+      };
+      await this.write(id, record);
+      return { record, status: 'synced' };
+    } catch (error) {
+      if (stored) return { record: stored, status: 'stale', error: error.message };
+      throw error;
+    }
+  }
+
+  /**
+   * Sync a FRED series, requesting only observations from REVISION_DAYS
+   * before the last stored date onward (the whole series for fixtures, so
+   * edits anywhere in a fixture file show up at once)
+   *
+   * @param {string} seriesId - FRED series ID
+   * @param {string} apiKey - FRED API key
+   * @param {Object} options - { start, maxAge }
+   */
+  static async syncFred(seriesId, apiKey, options = {}) {
+    const { start = FRED_START, maxAge } = options;
+    return this.sync(seriesId, {
+      source: 'FRED',
+      maxAge,
+      fetchNew: async stored => {
+        const incremental = stored?.lastDate && getDataProvider().name !== 'fixture';
+        const revisionStart = incremental ? daysBefore(stored.lastDate, REVISION_DAYS) : start;
+        const from = revisionStart > start ? revisionStart : start;
+        const { observations } = await getDataProvider().fredObservations(seriesId, { apiKey, start: from });
+        return observations.map(({ date, value, realtime_start, realtime_end }) => ({
+          date, value, realtime_start, realtime_end
+        }));
+      }
+    });
+  }
+
+  /**
+   * Fetch a FRED series as it was published on `asOf` (ALFRED real-time
+   * period), stored once and reused
+   *
+   * @param {string} seriesId - FRED series ID
+   * @param {string} apiKey - FRED API key
+   * @param {string} asOf - Vintage date (YYYY-MM-DD)
+   * @param {Object} options - { start }
+   */
+  static async syncFredVintage(seriesId, apiKey, asOf, options = {}) {
+    const { start = FRED_START } = options;
+    return this.sync(`${seriesId}@${asOf}`, {
+      source: 'ALFRED',
+      maxAge: Infinity,
+      replace: true,
+      fetchNew: async () => {
+        const { observations } = await getDataProvider().fredObservations(seriesId, {
+          apiKey, start, end: asOf, realtimeStart: asOf, realtimeEnd: asOf
+        });
+        return observations.map(({ date, value, realtime_start, realtime_end }) => ({
+          date, value, realtime_start, realtime_end
+        }));
+      }
+    });
+  }
+
+  /**
+   * Sync a whole JSON document (e.g. the NOAA solar file), stored as-is
+   * under `observations` and replaced on every sync
+   *
+   * @param {string} id - Store ID
+   * @param {Function} load - async () => document (an array)
+   * @param {Object} options - { source, maxAge }
+   */
+  static async syncDocument(id, load, options = {}) {
+    const { source = id, maxAge = 24 * 60 * 60 * 1000 } = options;
+    return this.sync(id, {
+      source,
+      maxAge,
+      replace: true,
+      fetchNew: async () => {
+        const data = await load();
+        return Array.isArray(data) ? data : [];
+      }
+    });
+  }
+}
+
+/**
+ * Values of a FRED series from the local store (synced as needed): the
+ * latest vintage, or the vintage published on `options.asOf`
+ */
+export async function loadFredSeries(seriesId, apiKey, options = {}) {
+  const { record, status, error } = options.asOf
+    ? await SeriesStore.syncFredVintage(seriesId, apiKey, options.asOf, options)
+    : await SeriesStore.syncFred(seriesId, apiKey, options);
+  return { observations: SeriesStore.latestValues(record), status, error, syncedAt: record.syncedAt };
+}
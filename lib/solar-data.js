@@ -0,0 +1,336 @@
+/**
+ * Solar Activity Data and Cycle Model
+ *
+ * Daily sunspot numbers come from the source selected by SOLAR_SOURCE:
+ * - silso (default): SILSO daily total sunspot number (V2.0), the
+ *   international reference series
+ * - noaa: NOAA SWPC's daily observed sunspot number
+ * - file: a local file at SOLAR_FILE, either SILSO-style CSV
+ *   (year;month;day;decimal year;SN;...) or JSON [{ date, ssn }]
+ *
+ * The series is kept in the local series store from 1985 onward, enough to
+ * see the minima of cycles 22-25. NOAA's predicted-cycle series is loaded
+ * alongside as a forecast overlay.
+ *
+ * Cycle model, derived from the data rather than hardcoded dates:
+ * - Monthly means, smoothed with the standard 13-month tapered running mean
+ * - Minima: smoothed months that are the lowest within ±5 years and are
+ *   followed by a rise of at least MIN_RISE
+ * - Cycle number: whole mean cycle lengths since Cycle 1's minimum (1755)
+ * - Maximum: the highest smoothed month between two minima. For the current
+ *   cycle it counts once the smoothed number is 12 months past it and 10%
+ *   below it
+ * - Predicted maximum while a cycle is still rising: its minimum plus the
+ *   mean rise time of the complete cycles in the data, at their mean
+ *   amplitude
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getDataProvider } from './data-provider';
+import { recordSourceRead } from './source-client';
+import { SeriesStore } from './series-store';
+
+const SOLAR_START = '1985-01-01';
+const SYNC_MAX_AGE = 6 * 60 * 60 * 1000; // 6 hours
+const PREDICTED_ID = 'NOAA-PREDICTED-CYCLE';
+
+const CYCLE_ONE_MINIMUM = 1755.2; // decimal year
+const MEAN_CYCLE_YEARS = 11.03;
+const DEFAULT_RISE_YEARS = 4.4;
+const MINIMUM_WINDOW = 60; // months either side
+const MIN_RISE = 20; // smoothed sunspot number
+const MAXIMUM_CONFIRM_MONTHS = 12;
+const MAXIMUM_CONFIRM_DROP = 0.9;
+
+const round = (value, decimals = 1) => (
+  value === null || value === undefined ? null : Math.round(value * 10 ** decimals) / 10 ** decimals
+);
+
+const monthIndex = month => Number(month.slice(0, 4)) * 12 + Number(month.slice(5, 7)) - 1;
+const monthAt = index => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+const decimalYear = month => Number(month.slice(0, 4)) + (Number(month.slice(5, 7)) - 0.5) / 12;
+
+/**
+ * Daily values from a SILSO CSV (year;month;day;decimal year;SN;...);
+ * SILSO marks missing days with -1
+ */
+const parseSilsoCsv = text => String(text || '').split('\n').map(line => {
+  const [year, month, day, , sn] = line.split(';').map(part => part.trim());
+  const value = parseFloat(sn);
+  if (!/^\d{4}$/.test(year || '') || !day || !Number.isFinite(value) || value < 0) return null;
+  return { date: `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`, value };
+}).filter(Boolean);
+
+/**
+ * Daily values from JSON rows: { date, ssn } or NOAA's { Obsdate, swpc_ssn }
+ */
+const parseSolarJson = rows => (Array.isArray(rows) ? rows : []).map(row => ({
+  date: (row.date || row.Obsdate || '').split('T')[0],
+  value: Number(row.ssn ?? row.value ?? row.swpc_ssn)
+})).filter(o => /^\d{4}-\d{2}-\d{2}$/.test(o.date) && Number.isFinite(o.value) && o.value >= 0);
+
+/**
+ * Read SOLAR_FILE (relative to the project root), recorded in source health
+ */
+async function readSolarFile(file) {
+  if (!file) throw new Error('SOLAR_SOURCE=file needs SOLAR_FILE');
+  const full = path.resolve(process.cwd(), file);
+  const started = Date.now();
+  try {
+    const raw = await fs.readFile(full, 'utf8');
+    const observations = full.endsWith('.json') ? parseSolarJson(JSON.parse(raw)) : parseSilsoCsv(raw);
+    recordSourceRead('SOLAR-FILE', {
+      provider: 'file',
+      latencyMs: Date.now() - started,
+      lastObservation: observations.length ? observations[observations.length - 1].date : null
+    });
+    return observations;
+  } catch (error) {
+    recordSourceRead('SOLAR-FILE', { provider: 'file', latencyMs: Date.now() - started, error: error.message });
+    throw error;
+  }
+}
+
+// Daily sunspot sources; `id` is the store and source-health key
+export const SOLAR_SOURCES = {
+  silso: {
+    id: 'SILSO',
+    label: 'SILSO daily total sunspot number',
+    url: 'https://www.sidc.be/SILSO/datafiles',
+    provider: 'SILSO',
+    load: async () => parseSilsoCsv(await getDataProvider().silsoDocument('SN_d_tot_V2.0.csv', { source: 'SILSO' }))
+  },
+  noaa: {
+    id: 'NOAA-DAILY-SSN',
+    label: 'NOAA SWPC observed sunspot number',
+    url: 'https://www.swpc.noaa.gov/products/solar-cycle-progression',
+    provider: 'NOAA',
+    load: async () => parseSolarJson(await getDataProvider().noaaDocument('swpc_observed_ssn.json', { source: 'NOAA-DAILY-SSN' }))
+  },
+  file: {
+    id: 'SOLAR-FILE',
+    label: 'Local sunspot file',
+    url: null,
+    provider: 'file',
+    maxAge: 0,
+    load: () => readSolarFile(process.env.SOLAR_FILE)
+  }
+};
+
+export const DEFAULT_SOLAR_SOURCE = 'silso';
+
+export class SolarCycle {
+  /**
+   * Mean of each calendar month's daily values
+   *
+   * @returns {Array<{ month: string, value: number, days: number }>}
+   */
+  static monthlyMeans(daily) {
+    const sums = new Map();
+    daily.forEach(({ date, value }) => {
+      const month = date.slice(0, 7);
+      const entry = sums.get(month) || { total: 0, days: 0 };
+      entry.total += value;
+      entry.days++;
+      sums.set(month, entry);
+    });
+    return Array.from(sums, ([month, { total, days }]) => ({ month, value: total / days, days }))
+      .sort((a, b) => a.month.localeCompare(b.month));
+  }
+
+  /**
+   * 13-month tapered running mean (half weight on the two end months), the
+   * SIDC smoothing; null where the window is incomplete
+   *
+   * @param {Array<{ month, value }>} monthly - Consecutive months
+   */
+  static smooth(monthly) {
+    return monthly.map((_, i) => {
+      if (i < 6 || i + 6 >= monthly.length) return null;
+      let total = 0;
+      for (let k = -6; k <= 6; k++) {
+        const value = monthly[i + k].value;
+        if (value === null) return null;
+        total += (Math.abs(k) === 6 ? 0.5 : 1) * value;
+      }
+      return total / 12;
+    });
+  }
+
+  /**
+   * Cycle number of a cycle starting at `month`
+   */
+  static cycleNumber(month) {
+    return 1 + Math.round((decimalYear(month) - CYCLE_ONE_MINIMUM) / MEAN_CYCLE_YEARS);
+  }
+
+  /**
+   * Indices of cycle minima in a smoothed series
+   */
+  static minima(smoothed) {
+    const valid = smoothed.map((v, i) => (v === null ? null : i)).filter(i => i !== null);
+    return valid.filter((i, k) => {
+      if (k < 6) return false;
+      const window = valid.filter(j => Math.abs(j - i) <= MINIMUM_WINDOW);
+      if (window.some(j => smoothed[j] < smoothed[i] || (j < i && smoothed[j] === smoothed[i]))) return false;
+      return window.some(j => j > i && smoothed[j] >= smoothed[i] + MIN_RISE);
+    });
+  }
+
+  /**
+   * Cycles, current cycle position and predicted maximum
+   *
+   * @param {Array<{ date, value }>} daily - Daily sunspot numbers, sorted
+   * @param {Object} options - { forecast: NOAA predicted rows [{ month, predicted, high, low }] }
+   */
+  static analyze(daily, options = {}) {
+    const { forecast = [] } = options;
+    const means = this.monthlyMeans(daily);
+    if (!means.length) return null;
+
+    // Consecutive months (null where a month has no data)
+    const byMonth = new Map(means.map(m => [m.month, m.value]));
+    const first = monthIndex(means[0].month);
+    const monthly = Array.from({ length: monthIndex(means[means.length - 1].month) - first + 1 }, (_, i) => {
+      const month = monthAt(first + i);
+      return { month, value: byMonth.has(month) ? byMonth.get(month) : null };
+    });
+    const smoothed = this.smooth(monthly);
+    const lastSmoothed = smoothed.reduce((last, v, i) => (v === null ? last : i), -1);
+    const minima = this.minima(smoothed);
+
+    const peakBetween = (from, to) => {
+      let best = null;
+      for (let i = from; i <= to; i++) {
+        if (smoothed[i] !== null && (best === null || smoothed[i] > smoothed[best])) best = i;
+      }
+      return best;
+    };
+
+    const cycles = minima.map((start, k) => {
+      const end = minima[k + 1] ?? null;
+      const peak = peakBetween(start, end ?? lastSmoothed);
+      const confirmed = peak !== null && (end !== null || (
+        lastSmoothed - peak >= MAXIMUM_CONFIRM_MONTHS && smoothed[lastSmoothed] <= MAXIMUM_CONFIRM_DROP * smoothed[peak]
+      ));
+      return {
+        number: this.cycleNumber(monthly[start].month),
+        start: monthly[start].month,
+        minimum: round(smoothed[start]),
+        maximum: confirmed ? { month: monthly[peak].month, value: round(smoothed[peak]) } : null,
+        end: end !== null ? monthly[end].month : null,
+        lengthYears: end !== null ? round((end - start) / 12, 2) : null,
+        riseYears: confirmed ? round((peak - start) / 12, 2) : null
+      };
+    });
+
+    const complete = cycles.filter(c => c.end && c.maximum);
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const meanLength = complete.length ? mean(complete.map(c => c.lengthYears)) : MEAN_CYCLE_YEARS;
+    const current = cycles[cycles.length - 1] || null;
+    const lastMonth = monthly[monthly.length - 1].month;
+
+    let position = null;
+    if (current) {
+      const elapsedYears = (monthIndex(lastMonth) - monthIndex(current.start)) / 12;
+      let predictedMaximum = null;
+      if (!current.maximum) {
+        const riseYears = complete.length ? mean(complete.map(c => c.riseYears)) : DEFAULT_RISE_YEARS;
+        predictedMaximum = {
+          month: monthAt(monthIndex(current.start) + Math.round(riseYears * 12)),
+          value: complete.length ? round(mean(complete.map(c => c.maximum.value))) : null,
+          basis: complete.length ? `mean of ${complete.length} complete cycle(s)` : 'typical rise time'
+        };
+      }
+      position = {
+        number: current.number,
+        start: current.start,
+        elapsedYears: round(elapsedYears, 2),
+        phase: round(Math.min(100, (elapsedYears / meanLength) * 100)),
+        stage: current.maximum ? 'declining' : 'rising',
+        maximum: current.maximum,
+        predictedMaximum
+      };
+    }
+
+    const forecastPeak = forecast.reduce((best, f) => (
+      f.predicted !== null && (!best || f.predicted > best.value) ? { month: f.month, value: f.predicted } : best
+    ), null);
+
+    return {
+      current: position,
+      cycles,
+      meanCycleYears: round(meanLength, 2),
+      latestSmoothed: lastSmoothed >= 0 ? { month: monthly[lastSmoothed].month, value: round(smoothed[lastSmoothed]) } : null,
+      monthly: monthly.map((m, i) => ({ month: m.month, mean: round(m.value), smoothed: round(smoothed[i]) })),
+      forecast,
+      forecastPeak
+    };
+  }
+}
+
+/**
+ * The daily sunspot source selected by SOLAR_SOURCE
+ */
+export function getSolarSource() {
+  const key = (process.env.SOLAR_SOURCE || DEFAULT_SOLAR_SOURCE).toLowerCase();
+  const source = SOLAR_SOURCES[key];
+  if (!source) {
+    throw new Error(`Unknown SOLAR_SOURCE "${key}" (${Object.keys(SOLAR_SOURCES).join(', ')})`);
+  }
+  return { key, ...source };
+}
+
+/**
+ * Daily sunspot numbers from the local store (synced as needed), and NOAA's
+ * predicted cycle. With `asOf`, only days before it and no forecast (past
+ * forecasts are not archived).
+ *
+ * @param {Object} options - { asOf }
+ * @returns {Promise<{ source, observations, status, error, syncedAt, forecast }>}
+ */
+export async function loadSolarData(options = {}) {
+  const { asOf = null } = options;
+  const source = getSolarSource();
+  const provider = getDataProvider();
+
+  const [sync, predicted] = await Promise.all([
+    SeriesStore.syncDocument(source.id, async () => (await source.load()).filter(o => o.date >= SOLAR_START), {
+      source: source.label,
+      maxAge: source.maxAge ?? SYNC_MAX_AGE
+    }),
+    asOf
+      ? null
+      : SeriesStore.syncDocument(PREDICTED_ID, () => provider.noaaDocument('predicted-solar-cycle.json', { source: PREDICTED_ID }), {
+        source: 'NOAA SWPC'
+      }).catch(() => null)
+  ]);
+
+  const observations = sync.record.observations.filter(o => !asOf || o.date < asOf);
+  const forecast = (predicted?.record.observations || [])
+    .filter(row => row['time-tag'])
+    .map(row => ({
+      month: row['time-tag'].slice(0, 7),
+      predicted: round(row.predicted_ssn ?? null),
+      high: round(row.high_ssn ?? null),
+      low: round(row.low_ssn ?? null)
+    }));
+
+  return {
+    source: { key: source.key, id: source.id, label: source.label, url: source.url, provider: source.provider },
+    observations,
+    status: sync.status,
+    error: sync.error,
+    syncedAt: sync.record.syncedAt,
+    forecast,
+    forecastStatus: predicted ? predicted.status : null
+  };
+}
+
+/**
+ * Solar cycle model of daily sunspot numbers (see SolarCycle.analyze)
+ */
+export function analyzeSolarCycle(daily, options = {}) {
+  return SolarCycle.analyze(daily, options);
+}
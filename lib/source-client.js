@@ -0,0 +1,246 @@
+/**
+ * Shared Upstream Fetch Client
+ *
+ * Every upstream HTTP request goes through fetchJSON (or fetchText for CSV
+ * files):
+ * - Per-attempt timeout (AbortSignal)
+ * - Exponential backoff with jitter on network errors, timeouts, HTTP 429
+ *   and 5xx (Retry-After honoured); other 4xx fail at once
+ * - Rate limiting per provider; FRED allows 120 requests per minute per key
+ * - FRED-style `error_message` bodies surface as errors
+ *
+ * Each source (a FRED series, a Treasury table, a NOAA file) gets a health
+ * entry: status, latency, attempts, last success / failure and the last
+ * observation date it returned. Entries live for the server process.
+ *
+ * Health status: 'ok' | 'degraded' (succeeded after retries) | 'down'
+ * (last request failed) | 'cached' (served from the series store, no request
+ * made by this process yet)
+ */
+
+const DEFAULT_TIMEOUT = 20 * 1000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE = 500;
+const BACKOFF_MAX = 8000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sliding-window limiter: at most `limit` acquisitions per `interval` ms
+ */
+export class RateLimiter {
+  constructor(limit, interval) {
+    this.limit = limit;
+    this.interval = interval;
+    this.stamps = [];
+  }
+
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      while (this.stamps.length && now - this.stamps[0] >= this.interval) this.stamps.shift();
+      if (this.stamps.length < this.limit) {
+        this.stamps.push(now);
+        return;
+      }
+      await sleep(this.stamps[0] + this.interval - now);
+    }
+  }
+}
+
+// Kept a little under the published limits
+const LIMITERS = {
+  FRED: new RateLimiter(110, 60 * 1000),
+  Treasury: new RateLimiter(50, 10 * 1000),
+  NOAA: new RateLimiter(30, 10 * 1000),
+  SILSO: new RateLimiter(10, 10 * 1000)
+};
+
+const health = new Map();
+
+class UpstreamError extends Error {
+  constructor(message, { status = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class SourceClient {
+  /**
+   * HTTP statuses worth retrying
+   */
+  static retryable(status) {
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Delay before retry `attempt` (1-based), in ms
+   */
+  static backoff(attempt, retryAfter = null) {
+    if (retryAfter !== null) return Math.min(BACKOFF_MAX, retryAfter * 1000);
+    return Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** (attempt - 1)) + Math.random() * BACKOFF_BASE / 2;
+  }
+
+  /**
+   * Update a source's health entry
+   */
+  static record(source, patch) {
+    const entry = health.get(source) || { source, requests: 0, failures: 0 };
+    health.set(source, { ...entry, ...patch });
+  }
+
+  /**
+   * One request attempt: parsed body (JSON, or text when `text`) or an
+   * UpstreamError
+   */
+  static async attempt(url, { provider, timeout, text = false }) {
+    let response;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      throw new UpstreamError(`${provider}: ${timedOut ? `timed out after ${timeout / 1000}s` : error.message}`, { retryable: true });
+    }
+
+    const data = text
+      ? await response.text().catch(() => null)
+      : await response.json().catch(() => null);
+    if (!response.ok || data === null || data.error_message) {
+      const retryAfter = parseFloat(response.headers?.get?.('retry-after'));
+      throw new UpstreamError(`${provider}: ${data?.error_message || `HTTP ${response.status}`}`, {
+        status: response.status,
+        retryable: this.retryable(response.status) || (response.ok && data === null),
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter : null
+      });
+    }
+    return data;
+  }
+
+  /**
+   * GET a JSON resource with rate limiting, timeouts and retries
+   *
+   * @param {string} url - Request URL
+   * @param {Object} options
+   * @param {string} options.source - Health key (e.g. 'WALCL')
+   * @param {string} options.provider - 'FRED' | 'Treasury' | 'NOAA' | 'SILSO' (rate limiter, messages)
+   * @param {number} options.timeout - Per-attempt timeout in ms (default 20s)
+   * @param {number} options.retries - Retries after the first attempt (default 2)
+   * @param {Function} options.lastObservation - data => latest date in the response
+   * @param {boolean} options.text - Return the body as text instead of JSON
+   * @returns {Promise<Object>} Parsed JSON body
+   */
+  static async fetchJSON(url, options = {}) {
+    const {
+      source = url,
+      provider = 'upstream',
+      timeout = DEFAULT_TIMEOUT,
+      retries = DEFAULT_RETRIES,
+      lastObservation = null,
+      text = false
+    } = options;
+    const started = Date.now();
+    const requests = (health.get(source)?.requests || 0) + 1;
+    let lastError = null;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      attempts = attempt;
+      if (attempt > 1) await sleep(this.backoff(attempt - 1, lastError.retryAfter));
+      if (LIMITERS[provider]) await LIMITERS[provider].acquire();
+
+      try {
+        const data = await this.attempt(url, { provider, timeout, text });
+        const observed = lastObservation ? lastObservation(data) : null;
+        this.record(source, {
+          provider,
+          status: attempt > 1 ? 'degraded' : 'ok',
+          latencyMs: Date.now() - started,
+          attempts: attempt,
+          requests,
+          lastSuccess: new Date().toISOString(),
+          error: null,
+          ...(observed && { lastObservation: observed })
+        });
+        return data;
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable) break;
+      }
+    }
+
+    this.record(source, {
+      provider,
+      status: 'down',
+      latencyMs: Date.now() - started,
+      attempts,
+      requests,
+      failures: (health.get(source)?.failures || 0) + 1,
+      lastFailure: new Date().toISOString(),
+      error: lastError.message
+    });
+    throw lastError;
+  }
+
+  /**
+   * Health entries for the given sources (all sources when omitted). A
+   * source with no request yet is reported from `fallback[source]` as
+   * 'cached' (e.g. served from the series store).
+   *
+   * @param {string[]} sources - Health keys
+   * @param {Object} fallback - { [source]: { provider, lastObservation, syncedAt } }
+   */
+  static health(sources = null, fallback = {}) {
+    const keys = sources || Array.from(health.keys());
+    return Object.fromEntries(keys.map(key => {
+      const entry = health.get(key);
+      const known = fallback[key] || {};
+      if (!entry) {
+        return [key, { source: key, provider: known.provider || null, status: 'cached', lastObservation: known.lastObservation || null, syncedAt: known.syncedAt || null }];
+      }
+      return [key, { ...entry, lastObservation: entry.lastObservation || known.lastObservation || null }];
+    }));
+  }
+}
+
+/**
+ * GET JSON from an upstream source (see SourceClient.fetchJSON)
+ */
+export async function fetchJSON(url, options = {}) {
+  return SourceClient.fetchJSON(url, options);
+}
+
+/**
+ * GET a text resource (e.g. a CSV file) from an upstream source, with the
+ * same retries, rate limits and health tracking as fetchJSON
+ */
+export async function fetchText(url, options = {}) {
+  return SourceClient.fetchJSON(url, { ...options, text: true });
+}
+
+/**
+ * Per-source health snapshot (see SourceClient.health)
+ */
+export function getSourceHealth(sources, fallback) {
+  return SourceClient.health(sources, fallback);
+}
+
+/**
+ * Record a source read that did not go over HTTP (e.g. a fixture file)
+ */
+export function recordSourceRead(source, { provider, latencyMs, lastObservation = null, error = null }) {
+  const entry = health.get(source) || { requests: 0, failures: 0 };
+  SourceClient.record(source, {
+    provider,
+    status: error ? 'down' : 'ok',
+    latencyMs,
+    attempts: 1,
+    requests: entry.requests + 1,
+    ...(error
+      ? { failures: entry.failures + 1, lastFailure: new Date().toISOString(), error }
+      : { lastSuccess: new Date().toISOString(), error: null }),
+    ...(lastObservation && { lastObservation })
+  });
+}
@@ -9,8 +9,40 @@
  * - AR(1) coefficient: Lag-1 autocorrelation of residuals (rises toward 1 near transition)
  * - Variance: Increases as system approaches critical point
  * - Kendall's Tau: Detects monotonic trend in AR(1)
+ * 
+ * Supplementary indicators (Dakos et al. 2012):
+ * - Skewness / kurtosis: Asymmetry and flickering near a transition
+ * - Coefficient of variation: Variance scaled by level (on the raw series)
+ * - Return rate: 1 - AR(1), falls as recovery from perturbations slows
+ * - DFA exponent: Long-range memory, rises toward 1.5 near a transition
+ * - Spectral ratio: Share of low-frequency power ("reddening")
  */
 
+import { registerIndicator, getIndicators, computeIndicators } from './indicator-registry';
+
+/**
+ * Seeded PRNG (mulberry32) so surrogate tests are reproducible
+ */
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw via Box-Muller
+ */
+function randomNormal(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
 export class StatisticalEngine {
   /**
    * Gaussian kernel for Nadaraya-Watson smoother
@@ -23,26 +55,65 @@ export class StatisticalEngine {
    * Detrend time series using Gaussian kernel smoother
    * This extracts the trend and returns residuals for CSD analysis
    * 
+   * The kernel is truncated at `truncation` bandwidths, so each point sums
+   * over O(bandwidth) neighbours instead of the whole series. The discarded
+   * tail mass is erfc(truncation / √2) (6.3e-5 at the default of 4), which
+   * keeps the trend within 1e-4 × (max - min) of the full O(n²) sum.
+   * Pass `truncation: Infinity` for the exact full-kernel sum.
+   * 
+   * Near the ends of the series the kernel is one-sided, and a plain
+   * Nadaraya-Watson average lags a trending series - biasing exactly the
+   * most recent residuals. The default 'local-linear' edge mode fits a
+   * kernel-weighted line at each point instead, which removes that
+   * first-order bias and matches Nadaraya-Watson wherever the kernel is
+   * symmetric.
+   * 
    * @param {number[]} data - Raw price series
-   * @param {number} bandwidth - Kernel bandwidth (larger = smoother trend)
+   * @param {number} bandwidth - Kernel bandwidth (larger = smoother trend),
+   *   at least 1
+   * @param {Object} options
+   * @param {number} options.truncation - Kernel radius in bandwidths (default 4)
+   * @param {'local-linear'|'nadaraya-watson'} options.edge - Estimator (default 'local-linear')
    * @returns {{ trend: number[], residuals: number[] }}
    */
-  static detrend(data, bandwidth = 50) {
+  static detrend(data, bandwidth = 50, options = {}) {
+    const { truncation = 4, edge = 'local-linear' } = options;
+    // A bandwidth below one observation would give a negative kernel radius
+    bandwidth = Math.max(1, bandwidth) || 50;
     const n = data.length;
     const trend = [];
     const residuals = [];
     
+    // Precompute kernel weights once per offset
+    const radius = Math.min(n - 1, Math.ceil(truncation * bandwidth));
+    const weights = new Float64Array(radius + 1);
+    for (let d = 0; d <= radius; d++) {
+      weights[d] = this.gaussianKernel(d, bandwidth);
+    }
+    
+    const localLinear = edge === 'local-linear';
+    
     for (let i = 0; i < n; i++) {
-      let weightSum = 0;
-      let valueSum = 0;
+      const lo = Math.max(0, i - radius);
+      const hi = Math.min(n - 1, i + radius);
+      let s0 = 0, s1 = 0, s2 = 0, t0 = 0, t1 = 0;
       
-      for (let j = 0; j < n; j++) {
-        const weight = this.gaussianKernel(i - j, bandwidth);
-        weightSum += weight;
-        valueSum += weight * data[j];
+      for (let j = lo; j <= hi; j++) {
+        const d = j - i;
+        const w = weights[d < 0 ? -d : d];
+        s0 += w;
+        t0 += w * data[j];
+        if (localLinear) {
+          s1 += w * d;
+          s2 += w * d * d;
+          t1 += w * d * data[j];
+        }
       }
       
-      trend[i] = valueSum / weightSum;
+      const det = s0 * s2 - s1 * s1;
+      trend[i] = localLinear && det > 1e-12 * s0 * s2
+        ? (s2 * t0 - s1 * t1) / det
+        : t0 / s0;
       residuals[i] = data[i] - trend[i];
     }
     
@@ -53,73 +124,255 @@ export class StatisticalEngine {
    * Calculate rolling AR(1) coefficient
    * This is the primary CSD indicator - approaches 1 as system loses resilience
    * 
+   * Computed in O(n) with running sums (see StreamingCSD).
+   * 
    * @param {number[]} residuals - Detrended residuals
    * @param {number} windowSize - Rolling window size
    * @returns {(number|null)[]} AR(1) series (null for insufficient data)
    */
   static rollingAR1(residuals, windowSize = 250) {
-    const n = residuals.length;
-    const ar1 = [];
-    
-    for (let i = 0; i < n; i++) {
-      if (i < windowSize + 1) {
-        ar1[i] = null;
+    const stream = new StreamingCSD(windowSize);
+    stream.update(residuals);
+    return stream.ar1.slice();
+  }
+
+  /**
+   * Calculate rolling variance of residuals
+   * Variance increases near critical transitions
+   */
+  static rollingVariance(residuals, windowSize = 250) {
+    const stream = new StreamingCSD(windowSize);
+    stream.update(residuals);
+    return stream.variance.slice();
+  }
+
+  /**
+   * Apply a statistic over rolling windows
+   * Value at index i uses the windowSize observations before i, like rollingVariance
+   * 
+   * @param {number[]} series - Input series
+   * @param {number} windowSize - Rolling window size
+   * @param {Function} fn - (window: number[]) => number|null
+   * @returns {(number|null)[]}
+   */
+  static rollingApply(series, windowSize, fn) {
+    const out = [];
+    for (let i = 0; i < series.length; i++) {
+      out[i] = i < windowSize ? null : fn(series.slice(i - windowSize, i));
+    }
+    return out;
+  }
+
+  /**
+   * Apply a statistic of the central moments over rolling windows
+   * 
+   * Keeps running power sums about a reference (re-centred on the window mean
+   * every windowSize steps, like StreamingCSD.resum) so the whole series costs
+   * O(n) rather than O(n·w). Windows match rollingApply.
+   * 
+   * @param {number[]} series - Input series
+   * @param {number} windowSize - Rolling window size
+   * @param {Function} fn - (mean, m2, m3, m4, n) => number|null, moments divided by n
+   * @returns {(number|null)[]}
+   */
+  static rollingMoments(series, windowSize, fn) {
+    const out = [];
+    const w = windowSize;
+    let reference = 0;
+    let s1 = 0, s2 = 0, s3 = 0, s4 = 0;
+    const add = (v, sign) => {
+      const d = v - reference;
+      const d2 = d * d;
+      s1 += sign * d;
+      s2 += sign * d2;
+      s3 += sign * d2 * d;
+      s4 += sign * d2 * d2;
+    };
+    const resum = i => {
+      let total = 0;
+      for (let k = i - w; k < i; k++) total += series[k];
+      reference = total / w;
+      s1 = s2 = s3 = s4 = 0;
+      for (let k = i - w; k < i; k++) add(series[k], 1);
+    };
+
+    for (let i = 0; i < series.length; i++) {
+      if (i < w) {
+        out[i] = null;
         continue;
       }
-      
-      // Build aligned windows for correlation
-      const currentWindow = [];
-      const lagWindow = [];
-      
-      for (let j = 0; j < windowSize; j++) {
-        currentWindow.push(residuals[i - windowSize + j]);
-        lagWindow.push(residuals[i - windowSize + j - 1]);
+      if ((i - w) % w === 0) {
+        resum(i);
+      } else {
+        add(series[i - 1], 1);
+        add(series[i - w - 1], -1);
       }
+      const mu = s1 / w;
+      const r2 = s2 / w, r3 = s3 / w, r4 = s4 / w;
+      const m2 = Math.max(0, r2 - mu * mu);
+      const m3 = r3 - 3 * mu * r2 + 2 * mu * mu * mu;
+      const m4 = Math.max(0, r4 - 4 * mu * r3 + 6 * mu * mu * r2 - 3 * mu * mu * mu * mu);
+      out[i] = fn(reference + mu, m2, m3, m4, w);
+    }
+    return out;
+  }
+
+  /**
+   * Rolling skewness of residuals
+   * Shifts away from zero as the system flickers toward an alternative state
+   */
+  static rollingSkewness(residuals, windowSize = 250) {
+    return this.rollingMoments(residuals, windowSize, (mean, m2, m3) => (
+      m2 > 0 ? m3 / Math.pow(m2, 1.5) : null
+    ));
+  }
+
+  /**
+   * Rolling kurtosis of residuals (3 for a normal distribution)
+   * Rises as rare, large excursions become more frequent
+   */
+  static rollingKurtosis(residuals, windowSize = 250) {
+    return this.rollingMoments(residuals, windowSize, (mean, m2, m3, m4) => (
+      m2 > 0 ? m4 / (m2 * m2) : null
+    ));
+  }
+
+  /**
+   * Rolling coefficient of variation (standard deviation / mean)
+   * Computed on the raw series - residuals have mean ~0
+   */
+  static rollingCV(data, windowSize = 250) {
+    return this.rollingMoments(data, windowSize, (mean, m2, m3, m4, n) => (
+      mean !== 0 ? Math.sqrt(m2 * n / (n - 1)) / Math.abs(mean) : null
+    ));
+  }
+
+  /**
+   * Rolling return rate: 1 - AR(1)
+   * The recovery rate from small perturbations, which falls toward 0 near a transition
+   */
+  static rollingReturnRate(residuals, windowSize = 250) {
+    return this.rollingAR1(residuals, windowSize).map(v => v === null ? null : 1 - v);
+  }
+
+  /**
+   * Detrended fluctuation analysis exponent of one window
+   * 
+   * Integrates the window into a profile, removes a linear fit from each box
+   * of size s, and regresses log F(s) on log s. α ≈ 0.5 for white noise,
+   * 1.5 for a random walk.
+   * 
+   * @param {number[]} window - Residual window
+   * @returns {number|null} DFA exponent α
+   */
+  static dfaExponent(window) {
+    const n = window.length;
+    if (n < 32) return null;
+    
+    const mean = window.reduce((a, b) => a + b, 0) / n;
+    const profile = [];
+    let cumulative = 0;
+    for (const v of window) {
+      cumulative += v - mean;
+      profile.push(cumulative);
+    }
+    
+    // Log-spaced box sizes from 4 to n/4
+    const sizes = [];
+    for (let s = 4; s <= n / 4; s = Math.max(s + 1, Math.round(s * 1.5))) sizes.push(s);
+    
+    const logS = [];
+    const logF = [];
+    for (const s of sizes) {
+      const boxes = Math.floor(n / s);
+      // Box-local x is 0..s-1, so the regression sums are the same for every box
+      const sx = (s * (s - 1)) / 2;
+      const sxx = ((s - 1) * s * (2 * s - 1)) / 6;
+      const den = s * sxx - sx * sx;
+      let sumSq = 0;
       
-      // Calculate Pearson correlation between window and lagged window
-      const meanCurrent = currentWindow.reduce((a, b) => a + b, 0) / windowSize;
-      const meanLag = lagWindow.reduce((a, b) => a + b, 0) / windowSize;
-      
-      let cov = 0, varCurrent = 0, varLag = 0;
-      for (let j = 0; j < windowSize; j++) {
-        const dCurrent = currentWindow[j] - meanCurrent;
-        const dLag = lagWindow[j] - meanLag;
-        cov += dCurrent * dLag;
-        varCurrent += dCurrent * dCurrent;
-        varLag += dLag * dLag;
+      for (let b = 0; b < boxes; b++) {
+        const start = b * s;
+        let sy = 0, sxy = 0;
+        for (let k = 0; k < s; k++) {
+          sy += profile[start + k];
+          sxy += k * profile[start + k];
+        }
+        const slope = (s * sxy - sx * sy) / den;
+        const intercept = (sy - slope * sx) / s;
+        for (let k = 0; k < s; k++) {
+          const e = profile[start + k] - (intercept + slope * k);
+          sumSq += e * e;
+        }
       }
       
-      const correlation = (varCurrent > 0 && varLag > 0) 
-        ? cov / Math.sqrt(varCurrent * varLag)
-        : 0;
-      
-      ar1[i] = Math.max(-1, Math.min(1, correlation));
+      const F = Math.sqrt(sumSq / (boxes * s));
+      if (F > 0) {
+        logS.push(Math.log(s));
+        logF.push(Math.log(F));
+      }
     }
     
-    return ar1;
+    if (logS.length < 3) return null;
+    
+    const k = logS.length;
+    const meanX = logS.reduce((a, b) => a + b, 0) / k;
+    const meanY = logF.reduce((a, b) => a + b, 0) / k;
+    let cov = 0, varX = 0;
+    for (let i = 0; i < k; i++) {
+      cov += (logS[i] - meanX) * (logF[i] - meanY);
+      varX += (logS[i] - meanX) * (logS[i] - meanX);
+    }
+    return varX > 0 ? cov / varX : null;
   }
 
   /**
-   * Calculate rolling variance of residuals
-   * Variance increases near critical transitions
+   * Rolling DFA exponent of residuals
    */
-  static rollingVariance(residuals, windowSize = 250) {
-    const n = residuals.length;
-    const variance = [];
+  static rollingDFA(residuals, windowSize = 250) {
+    return this.rollingApply(residuals, windowSize, window => this.dfaExponent(window));
+  }
+
+  /**
+   * Share of a window's variance at low frequencies
+   * 
+   * Sums the periodogram over frequencies up to `cutoff` cycles per
+   * observation and divides by total (non-DC) power, which by Parseval is
+   * n · Σ(x - mean)². Rises toward 1 as the spectrum reddens.
+   * 
+   * @param {number[]} window - Residual window
+   * @param {number} cutoff - Low-frequency cutoff in cycles/observation (default 0.05)
+   * @returns {number|null}
+   */
+  static lowFrequencyRatio(window, cutoff = 0.05) {
+    const n = window.length;
+    const mean = window.reduce((a, b) => a + b, 0) / n;
+    let totalPower = 0;
+    for (const v of window) totalPower += (v - mean) * (v - mean);
+    totalPower *= n;
+    if (totalPower <= 0) return null;
     
-    for (let i = 0; i < n; i++) {
-      if (i < windowSize) {
-        variance[i] = null;
-        continue;
+    const maxK = Math.max(1, Math.floor(cutoff * n));
+    let lowPower = 0;
+    for (let k = 1; k <= maxK; k++) {
+      let re = 0, im = 0;
+      for (let t = 0; t < n; t++) {
+        const angle = (2 * Math.PI * k * t) / n;
+        re += (window[t] - mean) * Math.cos(angle);
+        im -= (window[t] - mean) * Math.sin(angle);
       }
-      
-      const window = residuals.slice(i - windowSize, i);
-      const mean = window.reduce((a, b) => a + b, 0) / windowSize;
-      const sumSq = window.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0);
-      variance[i] = sumSq / (windowSize - 1);
+      // Positive and negative frequency
+      lowPower += 2 * (re * re + im * im);
     }
     
-    return variance;
+    return Math.min(1, lowPower / totalPower);
+  }
+
+  /**
+   * Rolling low-frequency spectral ratio of residuals
+   */
+  static rollingSpectralRatio(residuals, windowSize = 250, cutoff = 0.05) {
+    return this.rollingApply(residuals, windowSize, window => this.lowFrequencyRatio(window, cutoff));
   }
 
   /**
@@ -151,22 +404,445 @@ export class StatisticalEngine {
     
     return pairs > 0 ? (concordant - discordant) / pairs : 0;
   }
+
+  /**
+   * Kendall's Tau as it read on each day: tau of the last `lookback`
+   * non-null values up to and including that day (null before the first)
+   */
+  static rollingKendallTau(series, lookback = 100) {
+    const valid = [];
+    return series.map(v => {
+      if (v !== null) valid.push(v);
+      return valid.length > 0 ? this.kendallTau(valid.slice(-lookback), lookback) : null;
+    });
+  }
+
+  /**
+   * AR(1)-fitted surrogate: same mean, lag-1 coefficient and innovation
+   * variance as the input, but no trend in its autocorrelation
+   */
+  static ar1Surrogate(series, random) {
+    const n = series.length;
+    const mean = series.reduce((a, b) => a + b, 0) / n;
+    
+    let num = 0, den = 0;
+    for (let i = 1; i < n; i++) {
+      num += (series[i] - mean) * (series[i - 1] - mean);
+      den += (series[i - 1] - mean) * (series[i - 1] - mean);
+    }
+    const phi = den > 0 ? Math.max(-0.99, Math.min(0.99, num / den)) : 0;
+    
+    let sse = 0;
+    for (let i = 1; i < n; i++) {
+      const e = (series[i] - mean) - phi * (series[i - 1] - mean);
+      sse += e * e;
+    }
+    const sigma = Math.sqrt(sse / Math.max(1, n - 2));
+    
+    // Start from the stationary distribution
+    const surrogate = [];
+    let x = randomNormal(random) * sigma / Math.sqrt(1 - phi * phi);
+    for (let i = 0; i < n; i++) {
+      surrogate.push(mean + x);
+      x = phi * x + sigma * randomNormal(random);
+    }
+    return surrogate;
+  }
+
+  /**
+   * Phase-randomized surrogate: keeps the power spectrum (and so the overall
+   * autocorrelation) of the input but scrambles the Fourier phases, which
+   * destroys any change in autocorrelation over time
+   */
+  static phaseRandomizedSurrogate(series, random) {
+    const n = series.length;
+    const cosTable = new Float64Array(n);
+    const sinTable = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      cosTable[k] = Math.cos(2 * Math.PI * k / n);
+      sinTable[k] = Math.sin(2 * Math.PI * k / n);
+    }
+    
+    // Forward DFT
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      let sr = 0, si = 0;
+      for (let t = 0; t < n; t++) {
+        const idx = (k * t) % n;
+        sr += series[t] * cosTable[idx];
+        si -= series[t] * sinTable[idx];
+      }
+      re[k] = sr;
+      im[k] = si;
+    }
+    
+    // Random phases with conjugate symmetry so the result stays real
+    for (let k = 1; k < Math.ceil(n / 2); k++) {
+      const amplitude = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      const phase = 2 * Math.PI * random();
+      re[k] = amplitude * Math.cos(phase);
+      im[k] = amplitude * Math.sin(phase);
+      re[n - k] = re[k];
+      im[n - k] = -im[k];
+    }
+    
+    // Inverse DFT (real part)
+    const surrogate = [];
+    for (let t = 0; t < n; t++) {
+      let sum = 0;
+      for (let k = 0; k < n; k++) {
+        const idx = (k * t) % n;
+        sum += re[k] * cosTable[idx] - im[k] * sinTable[idx];
+      }
+      surrogate.push(sum / n);
+    }
+    return surrogate;
+  }
+
+  /**
+   * Surrogate-data significance test for Kendall's Tau
+   * (Dakos et al. 2012, section "Sensitivity analysis and significance testing")
+   * 
+   * Builds the null distribution of tau by recomputing the rolling indicator
+   * and its trend on surrogate residual series that share the observed
+   * autocorrelation structure but have no trend in it. Only the last
+   * windowSize + lookback + 1 residuals feed the observed tau, so surrogates
+   * are generated for that segment alone.
+   * 
+   * @param {number[]} residuals - Detrended residuals
+   * @param {number} observedTau - Tau of the observed indicator
+   * @param {Object} options
+   * @param {number} options.windowSize - Rolling window (default 250)
+   * @param {number} options.lookback - Tau lookback (default 100)
+   * @param {number} options.surrogates - Number of surrogate series (default 200)
+   * @param {'phase'|'ar1'} options.method - Surrogate generator (default 'phase')
+   * @param {Function} options.indicator - (residuals, windowSize) => series (default rolling AR(1))
+   * @param {number} options.seed - PRNG seed (default 1)
+   * @returns {{ pValue: number, percentile: number, method: string, surrogates: number }}
+   */
+  static kendallTauSignificance(residuals, observedTau, options = {}) {
+    const {
+      windowSize = 250,
+      lookback = 100,
+      surrogates = 200,
+      method = 'phase',
+      indicator = (r, w) => this.rollingAR1(r, w),
+      seed = 1
+    } = options;
+    
+    const segment = residuals.slice(-(windowSize + lookback + 1));
+    const random = createRandom(seed);
+    const generate = method === 'ar1'
+      ? series => this.ar1Surrogate(series, random)
+      : series => this.phaseRandomizedSurrogate(series, random);
+    
+    let exceed = 0;
+    let below = 0;
+    for (let s = 0; s < surrogates; s++) {
+      const surrogateTau = this.kendallTau(indicator(generate(segment), windowSize), lookback);
+      if (surrogateTau >= observedTau) exceed++;
+      else below++;
+    }
+    
+    return {
+      pValue: (exceed + 1) / (surrogates + 1),
+      percentile: surrogates > 0 ? (below / surrogates) * 100 : null,
+      method,
+      surrogates
+    };
+  }
+}
+
+/**
+ * Streaming rolling AR(1) and variance
+ * 
+ * Keeps running sums and cross-products over the rolling window, so each new
+ * observation costs O(1) instead of re-summing the whole window. Output at
+ * index i matches StatisticalEngine.rollingAR1/rollingVariance: both use the
+ * `windowSize` observations before i.
+ * 
+ * Sums are taken relative to the first observation (to limit cancellation)
+ * and re-summed from the stored history every `windowSize` pushes, which
+ * keeps floating-point drift bounded at amortized O(1) cost.
+ * 
+ * Because the kernel detrend is two-sided, a new observation also revises
+ * the last few residuals. update() handles that by rewinding to the first
+ * changed residual and replaying only the tail.
+ * 
+ * /api/analyze keeps one stream per asset, target and window across
+ * requests (passed to analyzeCSD as `stream`), so a new print replays only
+ * the re-detrended tail of AR(1) and variance. Since update() compares the
+ * residuals themselves, a stream that meets a different series just replays
+ * from where they part. The detrend and the other indicators are still
+ * computed over the whole series.
+ * 
+ * Usage:
+ *   const stream = new StreamingCSD(250);
+ *   stream.update(residuals);       // initial history
+ *   stream.push(nextResidual);      // one new observation
+ *   stream.update(revisedResiduals) // re-detrended series, replays the tail
+ */
+export class StreamingCSD {
+  constructor(windowSize = 250) {
+    this.windowSize = windowSize;
+    this.values = [];
+    this.ar1 = [];
+    this.variance = [];
+    this.reference = null;
+    this.resetSums();
+  }
+
+  resetSums() {
+    // Variance window: values[i-w .. i-1]
+    this.sum = 0;
+    this.sumSq = 0;
+    // AR(1) pairs (x_k, x_{k-1}) for k in [i-w, i-1]
+    this.sumCur = 0;
+    this.sumLag = 0;
+    this.sumCurSq = 0;
+    this.sumLagSq = 0;
+    this.sumCross = 0;
+    this.sinceResum = 0;
+  }
+
+  /**
+   * Rebuild the running sums from stored history (O(windowSize))
+   */
+  resum() {
+    this.resetSums();
+    const n = this.values.length;
+    const w = this.windowSize;
+    for (let k = Math.max(0, n - w); k < n; k++) {
+      const x = this.values[k] - this.reference;
+      this.sum += x;
+      this.sumSq += x * x;
+      if (k >= 1) this.addPair(x, this.values[k - 1] - this.reference, 1);
+    }
+  }
+
+  addPair(cur, lag, sign) {
+    this.sumCur += sign * cur;
+    this.sumLag += sign * lag;
+    this.sumCurSq += sign * cur * cur;
+    this.sumLagSq += sign * lag * lag;
+    this.sumCross += sign * cur * lag;
+  }
+
+  /**
+   * Append one observation
+   * 
+   * @param {number} value - New residual
+   * @returns {{ ar1: number|null, variance: number|null }} Indicators at the new index
+   */
+  push(value) {
+    const i = this.values.length;
+    const w = this.windowSize;
+    if (this.reference === null) this.reference = value;
+
+    // Indicators at index i use only the window before i
+    let variance = null;
+    if (i >= w) {
+      variance = Math.max(0, this.sumSq - this.sum * this.sum / w) / (w - 1);
+    }
+
+    let ar1 = null;
+    if (i >= w + 1) {
+      const cov = this.sumCross - this.sumCur * this.sumLag / w;
+      const varCur = this.sumCurSq - this.sumCur * this.sumCur / w;
+      const varLag = this.sumLagSq - this.sumLag * this.sumLag / w;
+      const eps = 1e-12 * (this.sumCurSq + this.sumLagSq);
+      const correlation = (varCur > eps && varLag > eps)
+        ? cov / Math.sqrt(varCur * varLag)
+        : 0;
+      ar1 = Math.max(-1, Math.min(1, correlation));
+    }
+
+    this.values.push(value);
+    this.ar1.push(ar1);
+    this.variance.push(variance);
+
+    // Slide the windows forward to cover index i
+    const x = value - this.reference;
+    this.sum += x;
+    this.sumSq += x * x;
+    if (i - w >= 0) {
+      const out = this.values[i - w] - this.reference;
+      this.sum -= out;
+      this.sumSq -= out * out;
+    }
+    if (i >= 1) this.addPair(x, this.values[i - 1] - this.reference, 1);
+    if (i - w - 1 >= 0) {
+      this.addPair(this.values[i - w] - this.reference, this.values[i - w - 1] - this.reference, -1);
+    }
+
+    if (++this.sinceResum >= w) this.resum();
+
+    return { ar1, variance };
+  }
+
+  /**
+   * Drop everything from `length` onward
+   */
+  truncate(length) {
+    if (length >= this.values.length) return;
+    this.values.length = length;
+    this.ar1.length = length;
+    this.variance.length = length;
+    if (length === 0) this.reference = null;
+    this.resum();
+  }
+
+  /**
+   * Bring the stream in line with a full residual series, replaying only
+   * from the first value that differs from stored history
+   * 
+   * @param {number[]} residuals - Full residual series
+   * @returns {{ ar1: (number|null)[], variance: (number|null)[] }}
+   */
+  update(residuals) {
+    let start = 0;
+    const stored = Math.min(this.values.length, residuals.length);
+    while (start < stored && this.values[start] === residuals[start]) start++;
+
+    this.truncate(start);
+    for (let i = start; i < residuals.length; i++) this.push(residuals[i]);
+
+    return { ar1: this.ar1, variance: this.variance };
+  }
+}
+
+// Built-in indicators (dedicated dashboard panels, so no generic chart)
+registerIndicator({
+  key: 'ar1',
+  label: 'AR(1)',
+  precision: 3,
+  color: '#10b981',
+  chart: false,
+  compute: (residuals, config, context) => (
+    context.stream ? context.stream.update(residuals).ar1.slice() : StatisticalEngine.rollingAR1(residuals, config.csdWindow)
+  )
+});
+
+registerIndicator({
+  key: 'variance',
+  label: 'Variance',
+  precision: 2,
+  color: '#f59e0b',
+  chart: false,
+  compute: (residuals, config, context) => (
+    context.stream ? context.stream.update(residuals).variance.slice() : StatisticalEngine.rollingVariance(residuals, config.csdWindow)
+  )
+});
+
+registerIndicator({
+  key: 'skewness',
+  label: 'Skewness',
+  precision: 3,
+  color: '#ec4899',
+  warningDirection: 0,
+  compute: (residuals, config) => StatisticalEngine.rollingSkewness(residuals, config.csdWindow)
+});
+
+registerIndicator({
+  key: 'kurtosis',
+  label: 'Kurtosis',
+  precision: 3,
+  color: '#a855f7',
+  compute: (residuals, config) => StatisticalEngine.rollingKurtosis(residuals, config.csdWindow)
+});
+
+registerIndicator({
+  key: 'cv',
+  label: 'Coefficient of Variation',
+  precision: 4,
+  color: '#3b82f6',
+  compute: (residuals, config, context) => StatisticalEngine.rollingCV(context.data || residuals, config.csdWindow)
+});
+
+registerIndicator({
+  key: 'returnRate',
+  label: 'Return Rate (1 - AR1)',
+  precision: 3,
+  color: '#14b8a6',
+  warningDirection: -1,
+  compute: (residuals, config) => StatisticalEngine.rollingReturnRate(residuals, config.csdWindow)
+});
+
+registerIndicator({
+  key: 'dfa',
+  label: 'DFA Exponent',
+  precision: 3,
+  color: '#f97316',
+  compute: (residuals, config) => StatisticalEngine.rollingDFA(residuals, config.csdWindow)
+});
+
+registerIndicator({
+  key: 'spectralRatio',
+  label: 'Low-Frequency Power Ratio',
+  precision: 3,
+  color: '#ef4444',
+  compute: (residuals, config) => StatisticalEngine.rollingSpectralRatio(residuals, config.csdWindow)
+});
+
+// Smallest windows the indicators and their trend test mean anything over
+export const CSD_MINIMUMS = { csdWindow: 10, tauLookback: 2 };
+
+/**
+ * Check a request's csdWindow and tauLookback against CSD_MINIMUMS
+ *
+ * @param {Object} config - { csdWindow, tauLookback }
+ * @returns {string|null} Error message, or null if both are valid
+ */
+export function checkCSDConfig(config) {
+  const invalid = Object.entries(CSD_MINIMUMS).find(([key, min]) => !(config[key] >= min));
+  return invalid ? `${invalid[0]} must be at least ${invalid[1]}` : null;
 }
 
 /**
  * Analyze full CSD indicators from raw data
+ * 
+ * `config.stream` is an optional StreamingCSD (with csdWindow as its
+ * window) kept by the caller across calls; AR(1) and variance then replay
+ * only what changed since the last call.
  */
 export function analyzeCSD(prices, config = {}) {
   const { 
     detrendBandwidth = 50, 
     csdWindow = 250, 
-    tauLookback = 100 
+    tauLookback = 100,
+    surrogates = 200,
+    surrogateMethod = 'phase',
+    stream = null,
+    ...rest
   } = config;
   
   const { trend, residuals } = StatisticalEngine.detrend(prices, detrendBandwidth);
-  const ar1Series = StatisticalEngine.rollingAR1(residuals, csdWindow);
-  const varianceSeries = StatisticalEngine.rollingVariance(residuals, csdWindow);
+  const indicators = computeIndicators(
+    residuals,
+    { ...rest, detrendBandwidth, csdWindow, tauLookback, surrogates, surrogateMethod },
+    { data: prices, trend, stream: stream && stream.windowSize === csdWindow ? stream : null }
+  );
+  const ar1Series = indicators.ar1;
+  const varianceSeries = indicators.variance;
   const kendallTau = StatisticalEngine.kendallTau(ar1Series, tauLookback);
+  const kendallTauSignificance = StatisticalEngine.kendallTauSignificance(residuals, kendallTau, {
+    windowSize: csdWindow,
+    lookback: tauLookback,
+    surrogates,
+    method: surrogateMethod
+  });
+  
+  // Trend of every indicator, and how many point toward a transition
+  // (tau beyond ±0.1 in the indicator's warning direction)
+  const indicatorTrends = {};
+  let agreeing = 0;
+  getIndicators().forEach(({ key, warningDirection }) => {
+    const tau = StatisticalEngine.kendallTau(indicators[key], tauLookback);
+    indicatorTrends[key] = tau;
+    const warning = warningDirection === 0 ? Math.abs(tau) : tau * warningDirection;
+    if (warning > 0.1) agreeing++;
+  });
   
   const validAr1 = ar1Series.filter(v => v !== null);
   const currentAR1 = validAr1.length > 0 ? validAr1[validAr1.length - 1] : 0;
@@ -180,10 +856,14 @@ export function analyzeCSD(prices, config = {}) {
   return {
     trend,
     residuals,
+    indicators,
     ar1Series,
     varianceSeries,
     currentAR1,
     kendallTau,
+    kendallTauSignificance,
+    indicatorTrends,
+    indicatorAgreement: { warning: agreeing, total: getIndicators().length },
     status,
     currentVariance: varianceSeries.filter(v => v !== null).slice(-1)[0] || 0
   };
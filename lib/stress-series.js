@@ -0,0 +1,89 @@
+/**
+ * Funding and Market Stress Series
+ *
+ * FRED series joined into the analysis timeSeries next to the liquidity
+ * series (forward-filled onto the market asset's trading days, null before a
+ * series starts):
+ * - T10Y2Y / T10Y3M: Treasury yield curve spreads (%)
+ * - BAMLH0A0HYM2: ICE BofA US high-yield option-adjusted spread (%)
+ * - VIXCLS: CBOE volatility index
+ * - SOFR / IORB: Secured overnight financing rate and interest on reserve
+ *   balances (%); SOFR trading above IORB means reserves are scarce
+ *
+ * The list is configurable with FRED_STRESS_SERIES (comma-separated FRED
+ * IDs). IDs outside STRESS_SERIES are joined under their own ID, without a
+ * plausible range. Spreads are added when both legs are loaded.
+ * `anomalyScale` tells the data quality checks how to read a series (see
+ * lib/data-quality.js): SOFR in levels (log changes explode near zero),
+ * IORB not at all (it only moves when the Fed sets it).
+ *
+ * STRESS_INPUTS maps the optional stress components of the composite score
+ * (see lib/regime-score.js) to timeSeries fields.
+ */
+
+export const STRESS_SERIES = {
+  T10Y2Y: { key: 't10y2y', label: '10Y-2Y Treasury Spread', units: '%', range: [-5, 5] },
+  T10Y3M: { key: 't10y3m', label: '10Y-3M Treasury Spread', units: '%', range: [-5, 5] },
+  BAMLH0A0HYM2: { key: 'hyOas', label: 'High-Yield OAS', units: '%', range: [0, 30] },
+  VIXCLS: { key: 'vix', label: 'VIX', units: 'Index', range: [5, 100] },
+  SOFR: { key: 'sofr', label: 'SOFR', units: '%', range: [-1, 25], anomalyScale: 'level' },
+  IORB: { key: 'iorb', label: 'Interest on Reserve Balances', units: '%', range: [-1, 25], anomalyScale: 'none' }
+};
+
+export const DEFAULT_STRESS_SERIES = Object.keys(STRESS_SERIES);
+
+// Differences of two loaded series, in `scale` units of the legs
+export const STRESS_SPREADS = {
+  sofrIorb: { label: 'SOFR-IORB Spread', units: 'bp', from: ['SOFR', 'IORB'], scale: 100 }
+};
+
+// Composite-score stress components and the timeSeries field each scores
+export const STRESS_INPUTS = {
+  curve: 't10y3m',
+  credit: 'hyOas',
+  volatility: 'vix',
+  funding: 'sofrIorb'
+};
+
+/**
+ * Configured stress series
+ *
+ * @param {string} list - Comma-separated FRED IDs (default FRED_STRESS_SERIES,
+ *   else DEFAULT_STRESS_SERIES)
+ * @returns {Array<{ id: string, key: string, label: string, units: string, range: number[]|null, anomalyScale?: string }>}
+ */
+export function getStressSeries(list = process.env.FRED_STRESS_SERIES) {
+  const ids = typeof list === 'string' && list.trim()
+    ? list.split(',').map(id => id.trim().toUpperCase()).filter(Boolean)
+    : DEFAULT_STRESS_SERIES;
+  return [...new Set(ids)].map(id => (
+    STRESS_SERIES[id]
+      ? { id, ...STRESS_SERIES[id] }
+      : { id, key: id, label: id, units: '', range: null }
+  ));
+}
+
+/**
+ * Spreads whose legs are all among the configured series
+ *
+ * @param {Object[]} series - From getStressSeries
+ * @returns {Array<{ key: string, label: string, units: string, from: string[], scale: number }>}
+ */
+export function getStressSpreads(series) {
+  const ids = new Set(series.map(s => s.id));
+  return Object.entries(STRESS_SPREADS)
+    .filter(([, spread]) => spread.from.every(id => ids.has(id)))
+    .map(([key, spread]) => ({ key, ...spread }));
+}
+
+/**
+ * Stress component inputs from one joined record
+ *
+ * @param {Object} record - timeSeries row
+ * @returns {{ curve: number|null, credit: number|null, volatility: number|null, funding: number|null }}
+ */
+export function stressInputs(record) {
+  return Object.fromEntries(
+    Object.entries(STRESS_INPUTS).map(([component, field]) => [component, record[field] ?? null])
+  );
+}
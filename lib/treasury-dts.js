@@ -0,0 +1,117 @@
+/**
+ * Daily Treasury Statement (DTS): Treasury General Account balance
+ *
+ * Table I (`dts_table_1`, operating cash balance) carries the TGA closing
+ * balance for every federal business day, in $M:
+ * - 'Federal Reserve Account' row, `close_today_bal` (until September 2021)
+ * - 'Treasury General Account (TGA) Closing Balance' row, where the
+ *   balance is in `open_today_bal` (from October 2021)
+ *
+ * The table has several rows per day, so the full history is read page by
+ * page (newest first). The store keeps only the parsed closing balances,
+ * synced incrementally like a FRED series. DTS figures are not revised.
+ */
+
+import { getDataProvider } from './data-provider';
+import { SeriesStore } from './series-store';
+
+export const DTS_TABLE = 'accounting/dts/dts_table_1';
+export const DTS_SOURCE = 'dts_table_1';
+
+const DTS_START = '2015-01-01';
+const PAGE_SIZE = 5000;
+const MAX_PAGES = 50;
+
+export class TreasuryDts {
+  /**
+   * TGA closing balance ($M) in a dts_table_1 row, or null for other rows
+   */
+  static tgaBalance(row) {
+    let raw = null;
+    if (row.account_type === 'Federal Reserve Account') raw = row.close_today_bal;
+    else if (row.account_type === 'Treasury General Account (TGA) Closing Balance') raw = row.open_today_bal;
+    const value = parseFloat(raw);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * TGA closing balances from dts_table_1 rows
+   *
+   * @returns {Array<{ date: string, value: number }>} $M, sorted by date
+   */
+  static parseTga(rows = []) {
+    const byDate = new Map();
+    rows.forEach(row => {
+      const value = this.tgaBalance(row);
+      if (value !== null) byDate.set(row.record_date, value);
+    });
+    return Array.from(byDate, ([date, value]) => ({ date, value }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Every dts_table_1 row from `start` onward, following the table's pages
+   *
+   * @param {string} start - Earliest record_date (YYYY-MM-DD)
+   * @param {Object} options - { pageSize }
+   */
+  static async fetchRows(start, options = {}) {
+    const { pageSize = PAGE_SIZE } = options;
+    const provider = getDataProvider();
+    const rows = [];
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const { data = [], meta = {} } = await provider.treasuryTable(DTS_TABLE, { start, pageSize, page });
+      rows.push(...data);
+      if (!data.length || page >= (meta['total-pages'] || 1)) break;
+    }
+    return rows;
+  }
+
+  /**
+   * Sync the stored TGA balances, requesting only days from the last stored
+   * date onward
+   *
+   * @param {Object} options - { start, maxAge }
+   */
+  static async sync(options = {}) {
+    const { start = DTS_START, maxAge } = options;
+    return SeriesStore.sync(DTS_SOURCE, {
+      source: 'Treasury DTS',
+      maxAge,
+      fetchNew: async stored => {
+        const from = stored?.lastDate && stored.lastDate > start ? stored.lastDate : start;
+        return this.parseTga(await this.fetchRows(from))
+          .map(({ date, value }) => ({ date, value: String(value) }));
+      }
+    });
+  }
+}
+
+/**
+ * TGA closing balances ($M) parsed from dts_table_1 rows
+ */
+export function parseDtsTga(rows) {
+  return TreasuryDts.parseTga(rows);
+}
+
+/**
+ * Every dts_table_1 row from `start` onward (all pages)
+ */
+export async function fetchDtsRows(start, options = {}) {
+  return TreasuryDts.fetchRows(start, options);
+}
+
+/**
+ * Daily TGA balances from the local store (synced as needed). With `asOf`,
+ * only days published before it (a day's statement is released the next
+ * business day).
+ *
+ * @param {Object} options - { start, maxAge, asOf }
+ * @returns {Promise<{ observations: Array<{ date, value }>, status, error, syncedAt }>}
+ */
+export async function loadDtsTga(options = {}) {
+  const { record, status, error } = await TreasuryDts.sync(options);
+  const observations = SeriesStore.latestValues(record)
+    .filter(o => !options.asOf || o.date < options.asOf);
+  return { observations, status, error, syncedAt: record.syncedAt };
+}
@@ -1,372 +1,445 @@
 /**
  * API Route: /api/analyze
- * Fetches all data and runs CSD/LPPL analysis
- * NOW WITH 10 YEARS OF HISTORY
+ * Loads the joined daily history and runs the full analysis on it
+ *
+ * - CSD indicators on a selectable `target` (the market asset, a liquidity
+ *   series or a `derived` expression series), with Kendall's Tau significance
+ * - LPPL scan of the market asset today plus its confidence history
+ * - Net liquidity and market (HMM) regimes
+ * - Composite regime score under a scoring `profile`, today and per day
+ * - Funding/market stress series and the solar cycle
+ *
+ * The market asset is the S&P 500 unless `asset` names another FRED daily
+ * series or a price file (see lib/assets.js). `asOf` runs on the data as
+ * published on that date, and `format=csv` returns the time series as CSV.
  */
 
-// ============ STATISTICAL ENGINE ============
-class StatisticalEngine {
-  static gaussianKernel(x, bandwidth) {
-    return Math.exp(-0.5 * Math.pow(x / bandwidth, 2)) / (bandwidth * Math.sqrt(2 * Math.PI));
-  }
+import { analyzeCSD, checkCSDConfig, StatisticalEngine, StreamingCSD } from '../../lib/statistical-engine';
+import { loadAnalysisData, parseAsOf } from '../../lib/analysis-data';
+import { getDataProvider } from '../../lib/data-provider';
+import { scanLPPL, lpplConfidenceHistory, generateFittedCurve } from '../../lib/lppl-model';
+import { describeIndicators } from '../../lib/indicator-registry';
+import { RESERVED_TARGET_KEYS, DEFAULT_TARGET, withDerivedTargets, resolveTarget, extractTarget } from '../../lib/analysis-targets';
+import { REGIME_PROFILES, LIQUIDITY_MEASURES, resolveScoringProfile, scoreRegime, lpplInputs, COMPONENTS } from '../../lib/regime-score';
+import { analyzeLiquidity, ROC_WEEKS } from '../../lib/liquidity-regime';
+import { classifyMarketRegimes } from '../../lib/market-regime';
+import { QUALITY_DEFAULTS } from '../../lib/data-quality';
+import { analyzeSolarCycle } from '../../lib/solar-data';
+import { stressInputs } from '../../lib/stress-series';
+import { describeDerivedSeries } from '../../lib/derived-series';
+import { ExpressionError } from '../../lib/expression';
+import { toCsv } from '../../lib/csv';
+import { parseAsset, listAssets, assetLabel, describeAsset } from '../../lib/assets';
 
-  static detrend(data, bandwidth = 50) {
-    const n = data.length;
-    const trend = [];
-    const residuals = [];
-    
-    for (let i = 0; i < n; i++) {
-      let weightSum = 0;
-      let valueSum = 0;
-      for (let j = 0; j < n; j++) {
-        const weight = this.gaussianKernel(i - j, bandwidth);
-        weightSum += weight;
-        valueSum += weight * data[j];
-      }
-      trend[i] = valueSum / weightSum;
-      residuals[i] = data[i] - trend[i];
-    }
-    return { trend, residuals };
-  }
+// Historical LPPL readings only depend on past prices, so they are reused
+// across requests (cleared when it grows past a few series' worth)
+const lpplHistoryCache = new Map();
+const LPPL_HISTORY_CACHE_LIMIT = 20000;
 
-  static rollingAR1(residuals, windowSize = 250) {
-    const n = residuals.length;
-    const ar1 = [];
-    
-    for (let i = 0; i < n; i++) {
-      if (i < windowSize + 1) { ar1[i] = null; continue; }
-      
-      const currentWindow = [];
-      const lagWindow = [];
-      
-      for (let j = 0; j < windowSize; j++) {
-        currentWindow.push(residuals[i - windowSize + j]);
-        lagWindow.push(residuals[i - windowSize + j - 1]);
-      }
-      
-      const meanCurrent = currentWindow.reduce((a, b) => a + b, 0) / windowSize;
-      const meanLag = lagWindow.reduce((a, b) => a + b, 0) / windowSize;
-      
-      let cov = 0, varCurrent = 0, varLag = 0;
-      for (let j = 0; j < windowSize; j++) {
-        const dCurrent = currentWindow[j] - meanCurrent;
-        const dLag = lagWindow[j] - meanLag;
-        cov += dCurrent * dLag;
-        varCurrent += dCurrent * dCurrent;
-        varLag += dLag * dLag;
-      }
-      
-      const correlation = (varCurrent > 0 && varLag > 0) ? cov / Math.sqrt(varCurrent * varLag) : 0;
-      ar1[i] = Math.max(-1, Math.min(1, correlation));
-    }
-    return ar1;
-  }
+// Streaming AR(1) / variance per asset, target and window: a request that
+// only adds new prints replays just the re-detrended tail (see StreamingCSD)
+const csdStreams = new Map();
+const CSD_STREAM_LIMIT = 50;
 
-  static rollingVariance(residuals, windowSize = 250) {
-    const n = residuals.length;
-    const variance = [];
-    for (let i = 0; i < n; i++) {
-      if (i < windowSize) { variance[i] = null; continue; }
-      const window = residuals.slice(i - windowSize, i);
-      const mean = window.reduce((a, b) => a + b, 0) / windowSize;
-      const sumSq = window.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0);
-      variance[i] = sumSq / (windowSize - 1);
-    }
-    return variance;
+// Weekday dates after `dateStr` (exchange holidays are not skipped)
+const nextBusinessDays = (dateStr, count) => {
+  const out = [];
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  while (out.length < count) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    const day = d.getUTCDay();
+    if (day !== 0 && day !== 6) out.push(d.toISOString().split('T')[0]);
   }
+  return out;
+};
 
-  static kendallTau(ar1Series, lookback = 100) {
-    const validAr1 = ar1Series.filter(v => v !== null);
-    const recent = validAr1.slice(-lookback);
-    if (recent.length < 10) return 0;
-    
-    let concordant = 0, discordant = 0;
-    for (let i = 0; i < recent.length - 1; i++) {
-      for (let j = i + 1; j < recent.length; j++) {
-        const xDiff = j - i;
-        const yDiff = recent[j] - recent[i];
-        if (xDiff * yDiff > 0) concordant++;
-        else if (xDiff * yDiff < 0) discordant++;
-      }
-    }
-    const pairs = (recent.length * (recent.length - 1)) / 2;
-    return pairs > 0 ? (concordant - discordant) / pairs : 0;
+// Round to fixed decimals, but keep significant digits for small values
+// (e.g. variance of log returns) that would otherwise round to zero
+const roundValue = (value, decimals) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  if (value === 0 || Math.abs(value) >= 1) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
   }
-}
+  return Number(value.toPrecision(Math.max(decimals, 3)));
+};
 
-// ============ LPPL MODEL ============
-class LPPLModel {
-  static lpplFunction(t, tc, A, B, C, m, omega, phi) {
-    const dt = tc - t;
-    if (dt <= 0) return A;
-    const dtm = Math.pow(dt, m);
-    return A + B * dtm + C * dtm * Math.cos(omega * Math.log(dt) + phi);
-  }
+// timeSeries field of a liquidity rate of change (roc4w -> liquidityRoc4w)
+const rocField = key => `liquidity${key[0].toUpperCase()}${key.slice(1)}`;
 
-  static optimize(prices) {
-    const n = prices.length;
-    if (n < 100) return { isBubble: false, confidence: 0, r2: 0 };
-    
-    // Only use last 500 days for LPPL (bubble detection is recent)
-    const recentPrices = prices.slice(-500);
-    const rn = recentPrices.length;
-    
-    const logPrices = recentPrices.map(p => Math.log(p));
-    const t = Array.from({ length: rn }, (_, i) => i);
-    
-    let bestFit = null;
-    let bestR2 = -Infinity;
-    
-    const tcRange = [];
-    for (let tc = rn + 5; tc <= rn + 200; tc += 15) tcRange.push(tc);
-    
-    for (const tc of tcRange) {
-      for (const m of [0.2, 0.33, 0.5, 0.67, 0.8]) {
-        for (const omega of [6, 8, 10, 12]) {
-          for (const phi of [0, Math.PI/2, Math.PI, 3*Math.PI/2]) {
-            const X = [], y = [];
-            let valid = true;
-            
-            for (let i = 0; i < rn; i++) {
-              const dt = tc - t[i];
-              if (dt <= 0) { valid = false; break; }
-              const dtm = Math.pow(dt, m);
-              X.push([1, dtm, dtm * Math.cos(omega * Math.log(dt) + phi)]);
-              y.push(logPrices[i]);
-            }
-            if (!valid) continue;
-            
-            const coeffs = this.solveOLS(X, y);
-            if (!coeffs) continue;
-            const [A, B, C] = coeffs;
-            
-            if (B >= 0 || Math.abs(C) > Math.abs(B)) continue;
-            
-            const predicted = t.map(ti => this.lpplFunction(ti, tc, A, B, C, m, omega, phi));
-            const ssRes = logPrices.reduce((sum, yi, i) => sum + Math.pow(yi - predicted[i], 2), 0);
-            const meanY = logPrices.reduce((a, b) => a + b, 0) / rn;
-            const ssTot = logPrices.reduce((sum, yi) => sum + Math.pow(yi - meanY, 2), 0);
-            const r2 = ssTot > 0 ? 1 - ssRes / ssTot : 0;
-            
-            if (r2 > bestR2 && r2 > 0.75) {
-              bestR2 = r2;
-              bestFit = { tc, A, B, C, m, omega, phi, r2 };
-            }
-          }
-        }
-      }
-    }
-    
-    if (!bestFit || bestFit.r2 < 0.75) {
-      return { isBubble: false, confidence: 0, r2: bestFit?.r2 || 0, tcDays: null };
-    }
-    
-    const confidence = Math.min(1, Math.max(0, (bestFit.r2 - 0.75) / 0.2));
-    const tcDays = Math.round(bestFit.tc - rn + 1);
-    
-    return {
-      ...bestFit,
-      confidence,
-      tcDays,
-      isBubble: confidence > 0.3 && tcDays > 5 && tcDays < 200
-    };
-  }
+// Fields the analysis adds to each row and built-in target keys, which
+// derived series cannot be named
+const analysisFields = () => [
+  ...RESERVED_TARGET_KEYS,
+  'trend', 'targetValue', 'lpplConfidence', 'lpplBubble',
+  ...describeIndicators().map(({ key }) => key),
+  'liquidityZScore', 'liquidityPercentile', ...Object.keys(ROC_WEEKS).map(rocField),
+  'liquidityDrainProbability', 'liquidityRegime', 'marketRegime', 'marketRegimeProbabilities',
+  'regimeScore', ...COMPONENTS.map(key => `${key}Score`)
+];
 
-  static solveOLS(X, y) {
-    const n = X.length, p = 3;
-    const XtX = [[0,0,0],[0,0,0],[0,0,0]];
-    const Xty = [0,0,0];
-    
-    for (let i = 0; i < p; i++) {
-      for (let j = 0; j < p; j++) {
-        for (let k = 0; k < n; k++) XtX[i][j] += X[k][i] * X[k][j];
-      }
-      for (let k = 0; k < n; k++) Xty[i] += X[k][i] * y[k];
-    }
-    
-    const A = XtX;
-    const det = A[0][0]*(A[1][1]*A[2][2]-A[1][2]*A[2][1]) - A[0][1]*(A[1][0]*A[2][2]-A[1][2]*A[2][0]) + A[0][2]*(A[1][0]*A[2][1]-A[1][1]*A[2][0]);
-    if (Math.abs(det) < 1e-10) return null;
-    
-    const inv = 1/det;
-    const adj = [
-      [(A[1][1]*A[2][2]-A[1][2]*A[2][1])*inv, (A[0][2]*A[2][1]-A[0][1]*A[2][2])*inv, (A[0][1]*A[1][2]-A[0][2]*A[1][1])*inv],
-      [(A[1][2]*A[2][0]-A[1][0]*A[2][2])*inv, (A[0][0]*A[2][2]-A[0][2]*A[2][0])*inv, (A[0][2]*A[1][0]-A[0][0]*A[1][2])*inv],
-      [(A[1][0]*A[2][1]-A[1][1]*A[2][0])*inv, (A[0][1]*A[2][0]-A[0][0]*A[2][1])*inv, (A[0][0]*A[1][1]-A[0][1]*A[1][0])*inv]
-    ];
-    
-    return [
-      adj[0][0]*Xty[0] + adj[0][1]*Xty[1] + adj[0][2]*Xty[2],
-      adj[1][0]*Xty[0] + adj[1][1]*Xty[1] + adj[1][2]*Xty[2],
-      adj[2][0]*Xty[0] + adj[2][1]*Xty[1] + adj[2][2]*Xty[2]
-    ];
-  }
-}
+// Current liquidity regime, how long it has lasted, and the fitted HMM
+const buildLiquiditySummary = (liquidity, timeSeries, window) => {
+  const last = timeSeries.length - 1;
+  const current = liquidity.regime[last];
+  let since = last;
+  while (since > 0 && liquidity.regime[since - 1] === current) since--;
+  const { model, drainingState } = liquidity;
+  const state = k => (model ? {
+    meanWeeklyChange: roundValue(model.means[k][0], 1),
+    stdWeeklyChange: roundValue(Math.sqrt(model.covariances[k][0][0]), 1),
+    persistence: roundValue(model.transition[k][k], 3)
+  } : null);
+
+  return {
+    current,
+    since: current ? timeSeries[since].date : null,
+    drainProbability: roundValue(liquidity.drainProbability[last], 3),
+    zScore: roundValue(liquidity.zScore[last], 2),
+    percentile: roundValue(liquidity.percentile[last], 1),
+    roc4w: roundValue(liquidity.roc4w[last], 2),
+    roc13w: roundValue(liquidity.roc13w[last], 2),
+    roc26w: roundValue(liquidity.roc26w[last], 2),
+    window,
+    model: model ? {
+      draining: state(drainingState),
+      adding: state(1 - drainingState)
+    } : null
+  };
+};
+
+// Current HMM market regime and per-state summaries (annualized %)
+const buildMarketRegimeSummary = (regimes, timeSeries) => {
+  if (!regimes) return null;
+  const last = timeSeries.length - 1;
+  const current = regimes.path[last];
+  let since = last;
+  while (since > 0 && regimes.path[since - 1] === current) since--;
+  const probabilities = regimes.filtered[last];
+
+  return {
+    labels: regimes.labels,
+    current,
+    since: timeSeries[since].date,
+    probabilities: Object.fromEntries(regimes.labels.map((label, k) => [label, roundValue(probabilities[k], 3)])),
+    states: regimes.states.map(state => ({
+      label: state.label,
+      meanReturn: roundValue(state.meanReturn, 1),
+      volatility: roundValue(state.volatility, 1),
+      meanLiquidityChange: roundValue(state.meanLiquidityChange, 2),
+      correlation: roundValue(state.correlation, 2),
+      persistence: roundValue(state.persistence, 3),
+      expectedDuration: roundValue(state.expectedDuration, 1),
+      share: roundValue(state.share * 100, 1)
+    })),
+    logLikelihood: roundValue(regimes.logLikelihood, 1),
+    iterations: regimes.iterations
+  };
+};
 
 // ============ MAIN HANDLER ============
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
 
   const config = {
-    detrendBandwidth: parseInt(req.query.detrendBandwidth) || 50,
+    detrendBandwidth: Math.max(1, parseInt(req.query.detrendBandwidth) || 50),
     csdWindow: parseInt(req.query.csdWindow) || 250,
-    tauLookback: parseInt(req.query.tauLookback) || 100
+    tauLookback: parseInt(req.query.tauLookback) || 100,
+    surrogates: Math.min(1000, parseInt(req.query.surrogates) || 200),
+    surrogateMethod: req.query.surrogateMethod === 'ar1' ? 'ar1' : 'phase',
+    target: req.query.target || DEFAULT_TARGET,
+    lpplMinWindow: parseInt(req.query.lpplMinWindow) || 125,
+    lpplMaxWindow: parseInt(req.query.lpplMaxWindow) || 750,
+    lpplWindowStep: Math.max(5, parseInt(req.query.lpplWindowStep) || 25),
+    lpplHistoryStep: req.query.lpplHistoryStep !== undefined
+      ? Math.max(0, parseInt(req.query.lpplHistoryStep) || 0)
+      : 21,
+    liquidityWindow: Math.max(20, parseInt(req.query.liquidityWindow) || 252),
+    hmmStates: Math.min(4, Math.max(2, parseInt(req.query.hmmStates) || 3)),
+    maxFillAge: Math.max(0, parseInt(req.query.maxFillAge) || QUALITY_DEFAULTS.maxFillAge),
+    outlierThreshold: Math.max(1, parseFloat(req.query.outlierThreshold) || QUALITY_DEFAULTS.outlierThreshold),
+    jumpThreshold: Math.max(1, parseFloat(req.query.jumpThreshold) || QUALITY_DEFAULTS.jumpThreshold),
+    derived: req.query.derived || null,
+    format: req.query.format === 'csv' ? 'csv' : 'json'
   };
+  const csdError = checkCSDConfig(config);
+  if (csdError) {
+    return res.status(400).json({ error: csdError });
+  }
+
+  const { profile, error: profileError } = resolveScoringProfile(req.query);
+  if (profileError) {
+    return res.status(400).json({ error: profileError });
+  }
+
+  const { asOf, error: asOfError } = parseAsOf(req.query.asOf);
+  if (asOfError) {
+    return res.status(400).json({ error: asOfError });
+  }
+  config.asOf = asOf;
+
+  const { asset, error: assetError } = parseAsset(req.query.asset);
+  if (assetError) {
+    return res.status(400).json({ error: assetError });
+  }
+  config.asset = asset.key;
 
   const FRED_API_KEY = process.env.FRED_API_KEY;
-  if (!FRED_API_KEY) {
+  if (!FRED_API_KEY && getDataProvider().requiresApiKey) {
     return res.status(500).json({ error: 'FRED_API_KEY not configured' });
   }
 
   try {
-    const endDate = new Date().toISOString().split('T')[0];
-    // GO BACK 10 YEARS (TGA data starts 2015)
-    const startDate = '2015-01-01';
+    const { timeSeries, store, sourceHealth, dataQuality, tgaSources, solar, stress, derived } = await loadAnalysisData(FRED_API_KEY, {
+      asOf: config.asOf,
+      asset,
+      quality: { maxFillAge: config.maxFillAge, outlierThreshold: config.outlierThreshold, jumpThreshold: config.jumpThreshold },
+      derived: config.derived,
+      reserved: analysisFields()
+    });
 
-    // Fetch ALL data directly from external APIs
-    const [walclRes, rrpRes, wresbalRes, wtregenRes, sp500Res, solarRes] = await Promise.all([
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=WALCL&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=RRPONTSYD&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=WRESBAL&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=WTREGEN&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=SP500&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
-      fetch('https://services.swpc.noaa.gov/json/solar-cycle/observed-solar-cycle-indices.json')
-    ]);
+    if (timeSeries.length < 100) {
+      return res.status(400).json({ error: 'Insufficient data', count: timeSeries.length });
+    }
 
-    const [walcl, rrp, wresbal, wtregen, sp500, solar] = await Promise.all([
-      walclRes.json(),
-      rrpRes.json(),
-      wresbalRes.json(),
-      wtregenRes.json(),
-      sp500Res.json(),
-      solarRes.json()
-    ]);
+    // Run CSD analysis on the selected target series (built-in or derived)
+    const targets = withDerivedTargets(derived);
+    const { target, error: targetError } = resolveTarget(config.target, targets);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    config.target = target.key;
+    const { values: targetValues, series: targetSeries, offset, filled } = extractTarget(timeSeries, target);
+    if (targetSeries.length < config.csdWindow + 2) {
+      return res.status(400).json({ error: 'Insufficient data for target', target: target.key, count: targetSeries.length });
+    }
+    const streamKey = `${asset.key}|${target.key}|${config.csdWindow}`;
+    if (!csdStreams.has(streamKey)) {
+      if (csdStreams.size >= CSD_STREAM_LIMIT) csdStreams.clear();
+      csdStreams.set(streamKey, new StreamingCSD(config.csdWindow));
+    }
+    const csdResult = analyzeCSD(targetSeries, { ...config, stream: csdStreams.get(streamKey) });
+    const { trend } = csdResult;
+    const indicatorMeta = describeIndicators();
 
-    if (walcl.error_message) throw new Error(`FRED: ${walcl.error_message}`);
+    // Run LPPL on prices over many windows ending today
+    const prices = timeSeries.map(d => d.spx);
+    const lpplResult = scanLPPL(prices, timeSeries.map(d => d.date), {
+      minWindow: config.lpplMinWindow,
+      maxWindow: config.lpplMaxWindow,
+      step: config.lpplWindowStep
+    });
+    const tcDistribution = lpplResult.scan?.tcDistribution;
 
-    // Build lookup maps
-    const toMap = (obs, divisor = 1) => {
-      const map = {};
-      (obs || []).forEach(o => { if (o.value !== '.') map[o.date] = parseFloat(o.value) / divisor; });
-      return map;
-    };
+    // Fitted curve of the reference window, projected forward to tc, and the
+    // tc uncertainty band (qualifying-fit p10-p90, else tc ± 1 standard error)
+    const lastIndex = timeSeries.length - 1;
+    const curve = lpplResult.window
+      ? generateFittedCurve(lpplResult, 0, Math.ceil(lpplResult.tc))
+      : [];
+    let bandDays = null;
+    if (tcDistribution) {
+      bandDays = [tcDistribution.p10, tcDistribution.p90];
+    } else if (lpplResult.tcDays !== null && lpplResult.standardErrors?.tc != null) {
+      bandDays = [lpplResult.tcDays - lpplResult.standardErrors.tc, lpplResult.tcDays + lpplResult.standardErrors.tc];
+    }
+    const curveAhead = curve.length ? lpplResult.startIndex + curve[curve.length - 1].t - lastIndex : 0;
+    const horizon = Math.max(0, curveAhead, bandDays ? Math.ceil(bandDays[1]) : 0);
+    const projectionDates = nextBusinessDays(timeSeries[lastIndex].date, horizon);
+    const dateAt = index => (index <= lastIndex ? timeSeries[Math.max(0, index)].date : projectionDates[index - lastIndex - 1]);
+    const fittedCurve = curve.map(({ t, value }) => ({
+      date: dateAt(lpplResult.startIndex + t),
+      value: Math.round(value * 100) / 100
+    }));
+    const tcBand = bandDays ? {
+      start: dateAt(lastIndex + Math.max(1, Math.round(bandDays[0]))),
+      end: dateAt(lastIndex + Math.max(1, Math.round(bandDays[1]))),
+      tc: lpplResult.tcDays > 0 ? dateAt(lastIndex + lpplResult.tcDays) : null
+    } : null;
 
-    const bsMap = toMap(walcl.observations, 1000);
-    const rrpMap = toMap(rrp.observations, 1);
-    const resMap = toMap(wresbal.observations, 1000);
-    const tgaMap = toMap(wtregen.observations, 1000);
-    const spxMap = toMap(sp500.observations, 1);
+    // Rolling LPPL confidence across the full history
+    if (lpplHistoryCache.size > LPPL_HISTORY_CACHE_LIMIT) lpplHistoryCache.clear();
+    const lpplHistory = lpplConfidenceHistory(prices, timeSeries.map(d => d.date), {
+      step: config.lpplHistoryStep,
+      minWindow: config.lpplMinWindow,
+      maxWindow: config.lpplMaxWindow,
+      series: asset.key,
+      cache: lpplHistoryCache
+    });
 
-    // FIXED: Better solar data parsing - handle both date formats
-    const solarMap = {};
-    (solar || []).forEach(s => {
-      if (s.ssn != null) {
-        // NOAA uses "time-tag" field with format "YYYY-MM-01"
-        let dateStr = s['time-tag'];
-        if (dateStr) {
-          // Normalize to YYYY-MM-DD
-          dateStr = dateStr.split('T')[0];
-          // Store for the whole month
-          const yearMonth = dateStr.substring(0, 7); // "YYYY-MM"
-          solarMap[yearMonth] = Math.round(s.ssn);
-        }
-      }
+    // Net liquidity against its own history, plus HMM draining/adding regimes
+    const liquidity = analyzeLiquidity(timeSeries.map(d => d.netLiquidity), { window: config.liquidityWindow });
+    const liquidityAt = i => ({
+      level: timeSeries[i].netLiquidity,
+      zScore: liquidity.zScore[i],
+      percentile: liquidity.percentile[i],
+      roc4w: liquidity.roc4w[i],
+      roc13w: liquidity.roc13w[i],
+      roc26w: liquidity.roc26w[i],
+      drainProbability: liquidity.drainProbability[i]
     });
 
-    // Get dates where we have S&P data (most granular)
-    const allDates = Object.keys(spxMap).sort();
+    // Multivariate HMM regimes on asset returns and net-liquidity changes
+    const marketRegimes = classifyMarketRegimes(timeSeries, { states: config.hmmStates });
 
-    // Forward fill weekly data
-    const ffill = (map, dates) => {
-      const out = {};
-      let last = null;
-      dates.forEach(d => { if (map[d] !== undefined) last = map[d]; if (last !== null) out[d] = last; });
-      return out;
-    };
+    // Composite regime score per day: AR(1) and Kendall's Tau as they read
+    // on that day, historical LPPL confidence (the live scan for today)
+    const tauHistory = StatisticalEngine.rollingKendallTau(csdResult.ar1Series, config.tauLookback);
+    const regimes = timeSeries.map((d, i) => {
+      const j = i - offset;
+      const ar1 = j >= 0 ? csdResult.ar1Series[j] : null;
+      if (ar1 === null) return null;
+      // Today from the full scan, earlier days from the history; both use
+      // the same bubble rule (LPPLModel.isBubble)
+      const live = i === lastIndex;
+      return scoreRegime({
+        ar1,
+        kendallTau: tauHistory[j],
+        ...lpplInputs(live ? lpplResult : lpplHistory[i]),
+        liquidity: liquidityAt(i),
+        stress: stressInputs(timeSeries[i])
+      }, profile);
+    });
+    const regime = regimes[lastIndex];
 
-    const fBS = ffill(bsMap, allDates);
-    const fTGA = ffill(tgaMap, allDates);
-    const fRRP = ffill(rrpMap, allDates);
-    const fRes = ffill(resMap, allDates);
+    // Solar cycle position from the daily sunspot history
+    const solarCycle = analyzeSolarCycle(solar.observations, { forecast: solar.forecast });
 
-    // Build unified time series
-    const timeSeries = allDates
-      .filter(d => fBS[d] && fTGA[d] && fRRP[d] !== undefined && spxMap[d])
-      .map(d => {
-        // Get sunspot by matching year-month
-        const yearMonth = d.substring(0, 7);
-        const sunspots = solarMap[yearMonth] || null;
-        
-        return {
-          date: d,
-          balanceSheet: Math.round(fBS[d] * 10) / 10,
-          tga: Math.round(fTGA[d] * 10) / 10,
-          rrp: Math.round(fRRP[d] * 10) / 10,
-          reserves: fRes[d] ? Math.round(fRes[d] * 10) / 10 : null,
-          netLiquidity: Math.round((fBS[d] - fTGA[d] - fRRP[d]) * 10) / 10,
-          spx: Math.round(spxMap[d] * 100) / 100,
-          sunspots
-        };
+    // Add analysis to time series (one field per registered indicator)
+    const analyzed = timeSeries.map((d, i) => {
+      const j = i - offset;
+      const row = {
+        ...d,
+        trend: j >= 0 ? roundValue(trend[j], target.precision) : null
+      };
+      row.lpplConfidence = lpplHistory[i] !== null ? Math.round(lpplHistory[i].confidence * 100) : null;
+      row.lpplBubble = lpplHistory[i] !== null ? lpplHistory[i].isBubble : null;
+      if (target.key !== 'spx') {
+        row.targetValue = roundValue(targetValues[i], target.precision);
+      }
+      indicatorMeta.forEach(({ key, precision }) => {
+        row[key] = j >= 0 ? roundValue(csdResult.indicators[key][j], precision) : null;
+      });
+      row.liquidityZScore = roundValue(liquidity.zScore[i], 2);
+      row.liquidityPercentile = roundValue(liquidity.percentile[i], 1);
+      Object.keys(ROC_WEEKS).forEach(key => {
+        row[rocField(key)] = roundValue(liquidity[key][i], 2);
       });
+      row.liquidityDrainProbability = roundValue(liquidity.drainProbability[i], 3);
+      row.liquidityRegime = liquidity.regime[i];
+      row.marketRegime = marketRegimes ? marketRegimes.path[i] : null;
+      row.marketRegimeProbabilities = marketRegimes?.filtered[i]
+        ? marketRegimes.filtered[i].map(p => Math.round(p * 1000) / 1000)
+        : null;
+      row.regimeScore = regimes[i] ? roundValue(regimes[i].composite, 1) : null;
+      COMPONENTS.forEach(key => {
+        row[`${key}Score`] = regimes[i] ? roundValue(regimes[i].components[key], 1) : null;
+      });
+      return row;
+    });
 
-    if (timeSeries.length < 100) {
-      return res.status(400).json({ error: 'Insufficient data', count: timeSeries.length });
+    // Every scalar field as a spreadsheet, derived series included
+    if (config.format === 'csv') {
+      const columns = Object.keys(analyzed[lastIndex])
+        .filter(key => !analyzed.some(d => Array.isArray(d[key])));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="flr-analysis-${timeSeries[lastIndex].date}.csv"`);
+      return res.status(200).send(toCsv(analyzed, columns));
     }
 
-    // Run CSD analysis
-    const prices = timeSeries.map(d => d.spx);
-    const { trend, residuals } = StatisticalEngine.detrend(prices, config.detrendBandwidth);
-    const ar1Series = StatisticalEngine.rollingAR1(residuals, config.csdWindow);
-    const varianceSeries = StatisticalEngine.rollingVariance(residuals, config.csdWindow);
-    const kendallTau = StatisticalEngine.kendallTau(ar1Series, config.tauLookback);
-    
-    const validAr1 = ar1Series.filter(v => v !== null);
-    const currentAR1 = validAr1.length > 0 ? validAr1[validAr1.length - 1] : 0;
-
-    let csdStatus = 'NORMAL';
-    if (currentAR1 > 0.8) csdStatus = 'CRITICAL';
-    else if (currentAR1 > 0.7) csdStatus = 'ELEVATED';
-    else if (currentAR1 > 0.6) csdStatus = 'RISING';
-
-    // Run LPPL
-    const lpplResult = LPPLModel.optimize(prices);
-
-    // Add analysis to time series
-    const analyzed = timeSeries.map((d, i) => ({
-      ...d,
-      trend: trend[i] ? Math.round(trend[i] * 100) / 100 : null,
-      ar1: ar1Series[i] !== null ? Math.round(ar1Series[i] * 1000) / 1000 : null,
-      variance: varianceSeries[i] !== null ? Math.round(varianceSeries[i] * 100) / 100 : null
-    }));
-
     return res.status(200).json({
       success: true,
       timestamp: new Date().toISOString(),
+      asOf: config.asOf,
       config,
+      asset: describeAsset(asset),
+      availableAssets: await listAssets(),
+      target: { key: target.key, label: assetLabel(target.label, asset), units: target.units, gapsFilled: filled },
+      availableTargets: Object.entries(targets).map(([key, { label }]) => ({ key, label: assetLabel(label, asset) })),
+      derivedSeries: describeDerivedSeries(derived),
       sources: {
         liquidity: {
           balanceSheet: { name: 'WALCL', url: 'https://fred.stlouisfed.org/series/WALCL', frequency: 'Weekly' },
-          tga: { name: 'WTREGEN', url: 'https://fred.stlouisfed.org/series/WTREGEN', frequency: 'Weekly' },
+          tga: { name: 'dts_table_1', url: 'https://fiscaldata.treasury.gov/datasets/daily-treasury-statement/', frequency: 'Daily (Daily Treasury Statement)' },
+          tgaFallback: { name: 'WTREGEN', url: 'https://fred.stlouisfed.org/series/WTREGEN', frequency: 'Weekly (TGA fallback)' },
           rrp: { name: 'RRPONTSYD', url: 'https://fred.stlouisfed.org/series/RRPONTSYD', frequency: 'Daily' },
           reserves: { name: 'WRESBAL', url: 'https://fred.stlouisfed.org/series/WRESBAL', frequency: 'Weekly' }
         },
-        market: { name: 'SP500', url: 'https://fred.stlouisfed.org/series/SP500', frequency: 'Daily' },
-        solar: { name: 'NOAA SWPC', url: 'https://www.swpc.noaa.gov/products/solar-cycle-progression', frequency: 'Monthly' }
+        market: { name: asset.id, label: asset.label, url: asset.url, frequency: 'Daily', publisher: asset.publisher },
+        stress: Object.fromEntries(stress.series.map(({ id, key, label }) => [
+          key,
+          { name: id, label, url: `https://fred.stlouisfed.org/series/${id}`, frequency: 'Daily' }
+        ])),
+        solar: { name: solar.source.id, label: solar.source.label, url: solar.source.url, frequency: 'Daily' }
       },
+      store,
+      sourceHealth,
+      dataQuality,
+      tgaSources,
+      stressSeries: [
+        ...stress.series.map(({ id, key, label, units }) => ({ key, id, label, units })),
+        ...stress.spreads.map(({ key, label, units, from }) => ({ key, id: from.join('-'), label, units, from }))
+      ],
+      solarCycle: solarCycle && { source: solar.source.key, ...solarCycle },
       csd: {
-        currentAR1: Math.round(currentAR1 * 1000) / 1000,
-        kendallTau: Math.round(kendallTau * 1000) / 1000,
-        status: csdStatus
+        currentAR1: Math.round(csdResult.currentAR1 * 1000) / 1000,
+        kendallTau: Math.round(csdResult.kendallTau * 1000) / 1000,
+        kendallTauPValue: Math.round(csdResult.kendallTauSignificance.pValue * 1000) / 1000,
+        kendallTauPercentile: csdResult.kendallTauSignificance.percentile !== null
+          ? Math.round(csdResult.kendallTauSignificance.percentile * 10) / 10
+          : null,
+        surrogateMethod: csdResult.kendallTauSignificance.method,
+        surrogates: csdResult.kendallTauSignificance.surrogates,
+        indicatorAgreement: csdResult.indicatorAgreement,
+        status: csdResult.status
       },
+      regime: regime ? {
+        composite: roundValue(regime.composite, 1),
+        status: regime.status,
+        color: regime.color,
+        signal: regime.signal,
+        components: Object.fromEntries(COMPONENTS.map(key => [key, roundValue(regime.components[key], 1)])),
+        weights: Object.fromEntries(COMPONENTS.map(key => [key, roundValue(regime.weights[key], 3)])),
+        used: regime.used
+      } : null,
+      scoring: profile,
+      availableProfiles: Object.keys(REGIME_PROFILES),
+      availableLiquidityMeasures: Object.keys(LIQUIDITY_MEASURES),
+      liquidityRegime: buildLiquiditySummary(liquidity, timeSeries, config.liquidityWindow),
+      marketRegime: buildMarketRegimeSummary(marketRegimes, timeSeries),
+      indicators: indicatorMeta.map(meta => ({
+        ...meta,
+        kendallTau: Math.round(csdResult.indicatorTrends[meta.key] * 1000) / 1000
+      })),
       lppl: {
         isBubble: lpplResult.isBubble,
         confidence: Math.round((lpplResult.confidence || 0) * 100),
         tcDays: lpplResult.tcDays,
         r2: lpplResult.r2 ? Math.round(lpplResult.r2 * 1000) / 1000 : null,
         omega: lpplResult.omega ? Math.round(lpplResult.omega * 100) / 100 : null,
+        m: lpplResult.m ? Math.round(lpplResult.m * 1000) / 1000 : null,
+        refined: lpplResult.refined || false,
+        standardErrors: lpplResult.standardErrors ? {
+          tcDays: roundValue(lpplResult.standardErrors.tc, 1),
+          m: roundValue(lpplResult.standardErrors.m, 3),
+          omega: roundValue(lpplResult.standardErrors.omega, 2)
+        } : null,
+        window: lpplResult.window || null,
+        fittedCurve,
+        projectionDates,
+        tcBand,
+        windows: lpplResult.scan?.windows || 0,
+        qualifying: lpplResult.scan?.qualifying || 0,
+        tcDistribution: tcDistribution ? {
+          min: Math.round(tcDistribution.min),
+          p10: Math.round(tcDistribution.p10),
+          median: Math.round(tcDistribution.median),
+          p90: Math.round(tcDistribution.p90),
+          max: Math.round(tcDistribution.max)
+        } : null,
         interpretation: lpplResult.isBubble
-          ? `Bubble signature detected. ~${lpplResult.tcDays} days to critical time.`
-          : 'No LPPL bubble signature detected.'
+          ? `Bubble signature in ${lpplResult.scan.qualifying} of ${lpplResult.scan.windows} windows. ~${lpplResult.tcDays} days to critical time.`
+          : `No LPPL bubble signature detected (${lpplResult.scan?.qualifying || 0} of ${lpplResult.scan?.windows || 0} windows qualify).`
       },
       latest: analyzed[analyzed.length - 1],
       timeSeries: analyzed,
@@ -375,6 +448,9 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
+    if (error instanceof ExpressionError) {
+      return res.status(400).json({ error: 'Invalid derived series', message: error.message });
+    }
     console.error('Analysis API Error:', error);
     return res.status(500).json({ error: 'Analysis failed', message: error.message });
   }
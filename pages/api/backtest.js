@@ -0,0 +1,164 @@
+/**
+ * API Route: /api/backtest
+ * Walk-forward backtest of the composite regime score
+ *
+ * Recomputes the score each day from data available at that close (no
+ * look-ahead: liquidity releases count from the first close after they
+ * were published), trades exposure to the market asset (S&P 500 unless `asset`
+ * selects another, see lib/assets.js) from the signal and compares the
+ * result with buy-and-hold.
+ */
+
+import { loadAnalysisData, parseAsOf } from '../../lib/analysis-data';
+import { getDataProvider } from '../../lib/data-provider';
+import { runBacktest, DEFAULT_EXPOSURES } from '../../lib/backtest';
+import { checkCSDConfig } from '../../lib/statistical-engine';
+import { resolveScoringProfile, COMPONENTS } from '../../lib/regime-score';
+import { parseAsset, describeAsset } from '../../lib/assets';
+
+let cache = {
+  key: null,
+  data: null,
+  timestamp: 0
+};
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour (daily data, expensive replay)
+
+// LPPL readings only depend on past prices, so they survive cache expiry
+const lpplHistoryCache = new Map();
+const LPPL_HISTORY_CACHE_LIMIT = 20000;
+
+const round = (value, decimals) => (
+  value === null || value === undefined || !Number.isFinite(value)
+    ? null
+    : Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals)
+);
+
+const roundMetrics = m => ({
+  totalReturn: round(m.totalReturn * 100, 2),
+  cagr: round(m.cagr * 100, 2),
+  maxDrawdown: round(m.maxDrawdown * 100, 2),
+  sharpe: round(m.sharpe, 2),
+  volatility: round(m.volatility * 100, 2)
+});
+
+// Exposure overrides, e.g. ?exposureHold=0.6 (clamped to 0-1)
+const parseExposures = query => Object.fromEntries(
+  Object.entries(DEFAULT_EXPOSURES).map(([signal, fallback]) => {
+    const param = `exposure${signal.split(' ').map(w => w[0] + w.slice(1).toLowerCase()).join('')}`;
+    const value = parseFloat(query[param]);
+    return [signal, Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback];
+  })
+);
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+  const config = {
+    detrendBandwidth: Math.max(1, parseInt(req.query.detrendBandwidth) || 50),
+    csdWindow: parseInt(req.query.csdWindow) || 250,
+    tauLookback: parseInt(req.query.tauLookback) || 100,
+    step: Math.max(1, parseInt(req.query.step) || 1),
+    lpplMinWindow: parseInt(req.query.lpplMinWindow) || 125,
+    lpplMaxWindow: parseInt(req.query.lpplMaxWindow) || 750,
+    lpplHistoryStep: Math.max(1, parseInt(req.query.lpplHistoryStep) || 21),
+    hitHorizon: Math.max(1, parseInt(req.query.hitHorizon) || 21),
+    liquidityWindow: Math.max(20, parseInt(req.query.liquidityWindow) || 252),
+    exposures: parseExposures(req.query)
+  };
+
+  const csdError = checkCSDConfig(config);
+  if (csdError) {
+    return res.status(400).json({ error: csdError });
+  }
+
+  const { profile, error: profileError } = resolveScoringProfile(req.query);
+  if (profileError) {
+    return res.status(400).json({ error: profileError });
+  }
+  config.profile = profile;
+
+  const { asOf, error: asOfError } = parseAsOf(req.query.asOf);
+  if (asOfError) {
+    return res.status(400).json({ error: asOfError });
+  }
+  config.asOf = asOf;
+
+  const { asset, error: assetError } = parseAsset(req.query.asset);
+  if (assetError) {
+    return res.status(400).json({ error: assetError });
+  }
+  config.asset = asset.key;
+  const cacheKey = JSON.stringify(config);
+
+  if (cache.data && cache.key === cacheKey && Date.now() - cache.timestamp < CACHE_TTL) {
+    return res.status(200).json({
+      ...cache.data,
+      cached: true,
+      cacheAge: Math.round((Date.now() - cache.timestamp) / 1000)
+    });
+  }
+
+  const FRED_API_KEY = process.env.FRED_API_KEY;
+  if (!FRED_API_KEY && getDataProvider().requiresApiKey) {
+    return res.status(500).json({ error: 'FRED_API_KEY not configured' });
+  }
+
+  try {
+    const { timeSeries, sourceHealth } = await loadAnalysisData(FRED_API_KEY, {
+      asOf: config.asOf,
+      asset,
+      publicationLag: true
+    });
+
+    if (lpplHistoryCache.size > LPPL_HISTORY_CACHE_LIMIT) lpplHistoryCache.clear();
+    const result = runBacktest(timeSeries, { ...config, lpplCache: lpplHistoryCache });
+    if (!result) {
+      return res.status(400).json({ error: 'Insufficient data', count: timeSeries.length });
+    }
+
+    const equityCurve = result.equityCurve.map(({ index, strategy, buyHold, signal, exposure }) => ({
+      date: timeSeries[index].date,
+      strategy: round(strategy, 4),
+      buyHold: round(buyHold, 4),
+      score: round(result.scores[index].score, 1),
+      signal,
+      exposure
+    }));
+
+    // Scored days each component had a reading on (the rest were rescaled)
+    const scored = result.scores.filter(s => s.used);
+    const componentDays = Object.fromEntries(COMPONENTS.map(key => [
+      key,
+      scored.filter(s => s.used.includes(key)).length
+    ]));
+
+    const responseData = {
+      success: true,
+      timestamp: new Date().toISOString(),
+      config,
+      asset: describeAsset(asset),
+      period: {
+        start: equityCurve[0].date,
+        end: equityCurve[equityCurve.length - 1].date,
+        days: equityCurve.length
+      },
+      strategy: roundMetrics(result.strategy),
+      buyHold: roundMetrics(result.buyHold),
+      hitRate: result.hitRate !== null ? round(result.hitRate * 100, 1) : null,
+      signalDays: result.signalDays,
+      scoredDays: scored.length,
+      componentDays,
+      sourceHealth,
+      equityCurve
+    };
+
+    cache = { key: cacheKey, data: responseData, timestamp: Date.now() };
+
+    return res.status(200).json({ ...responseData, cached: false });
+
+  } catch (error) {
+    console.error('Backtest API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -1,166 +1,23 @@
 /**
  * API Route: /api/liquidity
  * Fetches Fed liquidity data from FRED and Treasury
+ *
+ * Net liquidity and the derived series (see lib/derived-series.js) are
+ * evaluated on these records; derived series that need fields this route
+ * does not have (spx, stress series, ...) are left out.
  */
 
-let cache = { data: null, timestamp: 0 };
-const CACHE_TTL = 5 * 60 * 1000;
+import { getDataProvider } from '../../lib/data-provider';
+import { getSourceHealth } from '../../lib/source-client';
+import { fetchDtsRows, parseDtsTga } from '../../lib/treasury-dts';
+import { ExpressionError } from '../../lib/expression';
+import { resolveDerivedSeries, computeDerivedSeries, roundDerived, describeDerivedSeries } from '../../lib/derived-series';
 
-export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET');
-
-  if (cache.data && Date.now() - cache.timestamp < CACHE_TTL) {
-    return res.status(200).json({ ...cache.data, cached: true });
-  }
-
-  const FRED_API_KEY = process.env.FRED_API_KEY;
-
-  if (!FRED_API_KEY) {
-    return res.status(500).json({
-      error: 'FRED_API_KEY not configured',
-      message: 'Please set FRED_API_KEY environment variable'
-    });
-  }
-
-  try {
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date(Date.now() - 730 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-
-    // Fetch from FRED (these work)
-    const [balanceSheetRes, rrpRes, reservesRes] = await Promise.all([
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=WALCL&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=RRPONTSYD&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=WRESBAL&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`)
-    ]);
-
-    // Also try to get TGA from FRED (series WTREGEN)
-    const tgaRes = await fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=WTREGEN&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`);
-
-    const [balanceSheetData, rrpData, reservesData, tgaData] = await Promise.all([
-      balanceSheetRes.json(),
-      rrpRes.json(),
-      reservesRes.json(),
-      tgaRes.json()
-    ]);
-
-    if (balanceSheetData.error_message) {
-      throw new Error(`FRED API Error: ${balanceSheetData.error_message}`);
-    }
-
-    // Process into lookup maps
-    const balanceSheetMap = {};
-    (balanceSheetData.observations || []).forEach(obs => {
-      if (obs.value !== '.') {
-        balanceSheetMap[obs.date] = parseFloat(obs.value) / 1000; // to Billions
-      }
-    });
-
-    const rrpMap = {};
-    (rrpData.observations || []).forEach(obs => {
-      if (obs.value !== '.') {
-        rrpMap[obs.date] = parseFloat(obs.value); // Already Billions
-      }
-    });
-
-    const reservesMap = {};
-    (reservesData.observations || []).forEach(obs => {
-      if (obs.value !== '.') {
-        reservesMap[obs.date] = parseFloat(obs.value) / 1000; // to Billions
-      }
-    });
-
-    const tgaMap = {};
-    (tgaData.observations || []).forEach(obs => {
-      if (obs.value !== '.') {
-        tgaMap[obs.date] = parseFloat(obs.value) / 1000; // to Billions
-      }
-    });
-
-    // Get all dates from RRP (daily)
-    const allDates = Object.keys(rrpMap).sort();
-
-    // Forward-fill weekly data
-    const forwardFill = (map, dates) => {
-      const filled = {};
-      let lastValue = null;
-      dates.forEach(date => {
-        if (map[date] !== undefined) lastValue = map[date];
-        if (lastValue !== null) filled[date] = lastValue;
-      });
-      return filled;
-    };
-
-    const filledBS = forwardFill(balanceSheetMap, allDates);
-    const filledTGA = forwardFill(tgaMap, allDates);
-    const filledReserves = forwardFill(reservesMap, allDates);
-
-    // Build time series
-    const timeSeries = allDates
-      .filter(date => filledBS[date] && filledTGA[date] && rrpMap[date] !== undefined)
-      .map(date => {
-        const bs = filledBS[date];
-        const tga = filledTGA[date];
-        const rrp = rrpMap[date];
-        const reserves = filledReserves[date];
-        const netLiquidity = bs - tga - rrp;
-
-        return {
-          date,
-          balanceSheet: Math.round(bs * 10) / 10,
-          tga: Math.round(tga * 10) / 10,
-          rrp: Math.round(rrp * 10) / 10,
-          reserves: reserves ? Math.round(reserves * 10) / 10 : null,
-          netLiquidity: Math.round(netLiquidity * 10) / 10
-        };
-      });
-
-    const latest = timeSeries[timeSeries.length - 1];
-
-    const result = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      sources: {
-        balanceSheet: {
-          name: 'Fed Total Assets (WALCL)',
-          url: 'https://fred.stlouisfed.org/series/WALCL',
-          frequency: 'Weekly'
-        },
-        tga: {
-          name: 'Treasury General Account (WTREGEN)',
-          url: 'https://fred.stlouisfed.org/series/WTREGEN',
-          frequency: 'Weekly'
-        },
-        rrp: {
-          name: 'Overnight Reverse Repo (RRPONTSYD)',
-          url: 'https://fred.stlouisfed.org/series/RRPONTSYD',
-          frequency: 'Daily'
-        },
-        reserves: {
-          name: 'Reserve Balances (WRESBAL)',
-          url: 'https://fred.stlouisfed.org/series/WRESBAL',
-          frequency: 'Weekly'
-        }
-      },
-      latest,
-      timeSeries,
-      recordCount: timeSeries.length
-    };
-
-    cache = { data: result, timestamp: Date.now() };
-    return res.status(200).json(result);
-
-  } catch (error) {
-    console.error('Liquidity API Error:', error);
-    return res.status(500).json({
-      error: 'Failed to fetch liquidity data',
-      message: error.message
-    });
-  }
-} */
+const FIELDS = ['balanceSheet', 'tga', 'rrp', 'reserves'];
 
 // In-memory cache to respect API rate limits
 let cache = {
+  key: null,
   data: null,
   timestamp: 0
 };
@@ -171,8 +28,10 @@ export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET');
   
+  const cacheKey = req.query.derived || '';
+
   // Check cache
-  if (cache.data && Date.now() - cache.timestamp < CACHE_TTL) {
+  if (cache.data && cache.key === cacheKey && Date.now() - cache.timestamp < CACHE_TTL) {
     return res.status(200).json({
       ...cache.data,
       cached: true,
@@ -181,8 +40,9 @@ export default async function handler(req, res) {
   }
 
   const FRED_API_KEY = process.env.FRED_API_KEY;
+  const provider = getDataProvider();
   
-  if (!FRED_API_KEY) {
+  if (!FRED_API_KEY && provider.requiresApiKey) {
     return res.status(500).json({
       error: 'FRED_API_KEY not configured',
       message: 'Please set FRED_API_KEY environment variable. Get a free key at https://fred.stlouisfed.org/docs/api/api_key.html'
@@ -190,38 +50,39 @@ export default async function handler(req, res) {
   }
 
   try {
+    const { definitions, fredIds, omitted } = await resolveDerivedSeries(req.query.derived, { fields: FIELDS, partial: true });
+    if (omitted.includes('netLiquidity')) {
+      return res.status(400).json({ error: 'Invalid derived series', message: 'netLiquidity refers to series this route does not load' });
+    }
+
     // Calculate date range (2 years of data)
     const endDate = new Date().toISOString().split('T')[0];
     const startDate = new Date(Date.now() - 730 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
+    const fred = seriesId => provider.fredObservations(seriesId, { apiKey: FRED_API_KEY, start: startDate, end: endDate });
+
+    // FRED series derived series read, other than the three fetched anyway
+    const loadedIds = ['WALCL', 'RRPONTSYD', 'WRESBAL'];
+    const extraIds = fredIds.filter(id => !loadedIds.includes(id));
+
     // Fetch all data in parallel
-    const [balanceSheetRes, rrpRes, reservesRes, tgaRes] = await Promise.all([
+    const [balanceSheetData, rrpData, reservesData, tgaData, ...extraData] = await Promise.all([
       // 1. Fed Balance Sheet (WALCL) - Weekly
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=WALCL&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
+      fred('WALCL'),
       
       // 2. Reverse Repo (RRPONTSYD) - Daily
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=RRPONTSYD&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
+      fred('RRPONTSYD'),
       
       // 3. Bank Reserves (WRESBAL) - Weekly
-      fetch(`https://api.stlouisfed.org/fred/series/observations?series_id=WRESBAL&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`),
+      fred('WRESBAL'),
       
-      // 4. TGA from Treasury Fiscal Data - Daily
-      fetch(`https://api.fiscaldata.treasury.gov/services/api/fiscal_service/v1/accounting/dts/dts_table_1?filter=record_date:gte:${startDate}&sort=-record_date&page[size]=750`)
-    ]);
+      // 4. TGA from Treasury Fiscal Data - Daily (all pages)
+      fetchDtsRows(startDate),
 
-    // Parse responses
-    const [balanceSheetData, rrpData, reservesData, tgaData] = await Promise.all([
-      balanceSheetRes.json(),
-      rrpRes.json(),
-      reservesRes.json(),
-      tgaRes.json()
+      // 5. FRED series named in derived series (missing ones become null)
+      ...extraIds.map(id => fred(id).catch(() => ({ observations: [] })))
     ]);
 
-    // Validate FRED responses
-    if (balanceSheetData.error_message) {
-      throw new Error(`FRED API Error: ${balanceSheetData.error_message}`);
-    }
-
     // Process FRED data into lookup maps
     const balanceSheetMap = {};
     (balanceSheetData.observations || []).forEach(obs => {
@@ -244,14 +105,10 @@ export default async function handler(req, res) {
       }
     });
 
-    // Process Treasury TGA data
+    // Process Treasury TGA data (closing balance, see lib/treasury-dts.js)
     const tgaMap = {};
-    (tgaData.data || []).forEach(row => {
-      // Find "Federal Reserve Account" closing balance
-      if (row.account_type === 'Federal Reserve Account' && row.close_today_bal) {
-        const date = row.record_date;
-        tgaMap[date] = parseFloat(row.close_today_bal) / 1000; // Convert to Billions
-      }
+    parseDtsTga(tgaData).forEach(({ date, value }) => {
+      tgaMap[date] = value / 1000; // Convert to Billions
     });
 
     // Build unified daily time series
@@ -281,31 +138,49 @@ export default async function handler(req, res) {
     const filledBalanceSheet = forwardFill(balanceSheetMap, allDates);
     const filledReserves = forwardFill(reservesMap, allDates);
 
-    // Combine into time series
-    const timeSeries = allDates
-      .filter(date => {
-        // Only include dates where we have both RRP and TGA
-        return rrpMap[date] !== undefined || tgaMap[date] !== undefined;
-      })
-      .map(date => {
-        const balanceSheet = filledBalanceSheet[date];
-        const tga = tgaMap[date];
-        const rrp = rrpMap[date];
-        const reserves = filledReserves[date];
-        
-        // Calculate Net Liquidity = Balance Sheet - TGA - RRP
-        let netLiquidity = null;
-        if (balanceSheet !== undefined && tga !== undefined && rrp !== undefined) {
-          netLiquidity = balanceSheet - tga - rrp;
-        }
+    // Only include dates where we have both RRP and TGA
+    const dates = allDates.filter(date => rrpMap[date] !== undefined || tgaMap[date] !== undefined);
+    const column = map => dates.map(date => (map[date] !== undefined ? map[date] : null));
 
+    // Raw FRED series (FRED units), forward-filled over their own dates too
+    const rawMap = data => {
+      const map = {};
+      (data.observations || []).forEach(obs => {
+        if (obs.value !== '.') map[obs.date] = parseFloat(obs.value);
+      });
+      return map;
+    };
+    const rawMaps = { WALCL: rawMap(balanceSheetData), RRPONTSYD: rawMap(rrpData), WRESBAL: rawMap(reservesData) };
+    extraIds.forEach((id, i) => { rawMaps[id] = rawMap(extraData[i]); });
+
+    // Calculate Net Liquidity (Balance Sheet - TGA - RRP unless redefined)
+    // and the other derived series
+    const columns = {
+      balanceSheet: column(filledBalanceSheet),
+      tga: column(tgaMap),
+      rrp: column(rrpMap),
+      reserves: column(filledReserves)
+    };
+    fredIds.forEach(id => {
+      columns[id] = column(forwardFill(rawMaps[id], [...new Set([...allDates, ...Object.keys(rawMaps[id])])].sort()));
+    });
+    computeDerivedSeries(columns, definitions, dates.length);
+
+    // Combine into time series
+    const round = value => (value !== null ? Math.round(value * 10) / 10 : null);
+    const timeSeries = dates
+      .map((date, i) => {
+        const { netLiquidity, ...derivedValues } = Object.fromEntries(
+          definitions.map(({ name, precision }) => [name, roundDerived(columns[name][i], precision)])
+        );
         return {
           date,
-          balanceSheet: balanceSheet !== undefined ? Math.round(balanceSheet * 10) / 10 : null,
-          tga: tga !== undefined ? Math.round(tga * 10) / 10 : null,
-          rrp: rrp !== undefined ? Math.round(rrp * 10) / 10 : null,
-          reserves: reserves !== undefined ? Math.round(reserves * 10) / 10 : null,
-          netLiquidity: netLiquidity !== null ? Math.round(netLiquidity * 10) / 10 : null
+          balanceSheet: round(columns.balanceSheet[i]),
+          tga: round(columns.tga[i]),
+          rrp: round(columns.rrp[i]),
+          reserves: round(columns.reserves[i]),
+          netLiquidity,
+          ...derivedValues
         };
       })
       .filter(d => d.netLiquidity !== null); // Only keep complete records
@@ -342,6 +217,9 @@ export default async function handler(req, res) {
           lastUpdate: Object.keys(reservesMap).sort().pop()
         }
       },
+      sourceHealth: getSourceHealth(['WALCL', 'RRPONTSYD', 'WRESBAL', 'dts_table_1', ...extraIds]),
+      derivedSeries: describeDerivedSeries(definitions),
+      derivedOmitted: omitted,
       latest,
       timeSeries,
       recordCount: timeSeries.length
@@ -349,6 +227,7 @@ export default async function handler(req, res) {
 
     // Update cache
     cache = {
+      key: cacheKey,
       data: result,
       timestamp: Date.now()
     };
@@ -356,6 +235,9 @@ export default async function handler(req, res) {
     return res.status(200).json(result);
 
   } catch (error) {
+    if (error instanceof ExpressionError) {
+      return res.status(400).json({ error: 'Invalid derived series', message: error.message });
+    }
     console.error('Liquidity API Error:', error);
     return res.status(500).json({
       error: 'Failed to fetch liquidity data',
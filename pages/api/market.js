@@ -13,9 +13,17 @@
  *    Units: Index
  *    Note: Data provided by S&P Dow Jones Indices LLC
  * ─────────────────────────────────────────────────────────────────
+ *
+ * `asset` selects another FRED daily series (NASDAQCOM, DJIA, DEXUSEU, ...)
+ * or a CSV price file, `file:<name>` (see lib/assets.js).
  */
 
+import { getDataProvider } from '../../lib/data-provider';
+import { getSourceHealth } from '../../lib/source-client';
+import { parseAsset, loadAsset, describeAsset } from '../../lib/assets';
+
 let cache = {
+  key: null,
   data: null,
   timestamp: 0
 };
@@ -25,8 +33,13 @@ export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET');
 
+  const { asset, error: assetError } = parseAsset(req.query.asset);
+  if (assetError) {
+    return res.status(400).json({ error: assetError });
+  }
+
   // Check cache
-  if (cache.data && Date.now() - cache.timestamp < CACHE_TTL) {
+  if (cache.data && cache.key === asset.key && Date.now() - cache.timestamp < CACHE_TTL) {
     return res.status(200).json({
       ...cache.data,
       cached: true,
@@ -35,8 +48,9 @@ export default async function handler(req, res) {
   }
 
   const FRED_API_KEY = process.env.FRED_API_KEY;
+  const provider = getDataProvider();
 
-  if (!FRED_API_KEY) {
+  if (!FRED_API_KEY && provider.requiresApiKey && asset.kind === 'fred') {
     return res.status(500).json({
       error: 'FRED_API_KEY not configured',
       message: 'Please set FRED_API_KEY environment variable'
@@ -47,15 +61,10 @@ export default async function handler(req, res) {
     const endDate = new Date().toISOString().split('T')[0];
     const startDate = new Date(Date.now() - 730 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-    const response = await fetch(
-      `https://api.stlouisfed.org/fred/series/observations?series_id=SP500&api_key=${FRED_API_KEY}&file_type=json&observation_start=${startDate}&observation_end=${endDate}`
-    );
-
-    const data = await response.json();
-
-    if (data.error_message) {
-      throw new Error(`FRED API Error: ${data.error_message}`);
-    }
+    // Price files are read through the series store (last good copy on error)
+    const data = asset.kind === 'fred'
+      ? await provider.fredObservations(asset.id, { apiKey: FRED_API_KEY, start: startDate, end: endDate })
+      : await loadAsset(asset, FRED_API_KEY, { start: startDate });
 
     const timeSeries = (data.observations || [])
       .filter(obs => obs.value !== '.')
@@ -88,13 +97,17 @@ export default async function handler(req, res) {
     const result = {
       success: true,
       timestamp: new Date().toISOString(),
+      asset: describeAsset(asset),
       source: {
-        name: 'S&P 500 (SP500)',
-        url: 'https://fred.stlouisfed.org/series/SP500',
-        provider: 'S&P Dow Jones Indices LLC via FRED',
+        name: `${asset.label} (${asset.kind === 'fred' ? asset.id : asset.publisher})`,
+        url: asset.url,
+        provider: asset.kind === 'fred'
+          ? `${asset.publisher ? `${asset.publisher} via ` : ''}FRED`
+          : 'Local price file',
         frequency: 'Daily',
         lastUpdate: timeSeries[timeSeries.length - 1]?.date
       },
+      sourceHealth: getSourceHealth([asset.id]),
       latest: {
         date: timeSeries[timeSeries.length - 1]?.date,
         close: latest,
@@ -107,7 +120,7 @@ export default async function handler(req, res) {
       recordCount: timeSeries.length
     };
 
-    cache = { data: result, timestamp: Date.now() };
+    cache = { key: asset.key, data: result, timestamp: Date.now() };
 
     return res.status(200).json(result);
 
@@ -0,0 +1,187 @@
+/**
+ * API Route: /api/relationships
+ * Lead-lag tests between two series of the joined timeSeries
+ *
+ * Lagged cross-correlation, rolling correlation and Granger-causality
+ * F-tests (with block-bootstrap p-values) in both directions, e.g.
+ * net liquidity → S&P 500 returns or sunspots → S&P 500 volatility.
+ * Derived series (`derived` parameter or config file, see
+ * lib/derived-series.js) can be tested like the built-in ones, and `asset`
+ * swaps the S&P 500 for another market asset (see lib/assets.js).
+ */
+
+import { loadAnalysisData, parseAsOf } from '../../lib/analysis-data';
+import { getDataProvider } from '../../lib/data-provider';
+import { ExpressionError } from '../../lib/expression';
+import { parseAsset, assetLabel, describeAsset } from '../../lib/assets';
+import {
+  analyzeRelationship,
+  resolveRelationshipSeries,
+  withDerivedRelationshipSeries,
+  RELATIONSHIP_TRANSFORMS,
+  RELATIONSHIP_PAIRS,
+  RELATIONSHIP_DEFAULTS
+} from '../../lib/relationships';
+
+let cache = {
+  key: null,
+  data: null,
+  timestamp: 0
+};
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour (daily data, bootstrap replications)
+
+const round = (value, decimals) => (
+  value === null || value === undefined || !Number.isFinite(value)
+    ? null
+    : Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals)
+);
+
+const clampInt = (value, min, max, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+};
+
+const roundGranger = test => test && ({
+  lags: test.lags,
+  fStatistic: round(test.fStatistic, 3),
+  df1: test.df1,
+  df2: test.df2,
+  pValue: round(test.pValue, 4),
+  bootstrapPValue: round(test.bootstrapPValue, 4),
+  bootstrap: test.bootstrap,
+  blockLength: test.blockLength,
+  rSquaredRestricted: round(test.rSquaredRestricted, 4),
+  rSquaredUnrestricted: round(test.rSquaredUnrestricted, 4)
+});
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+  const frequency = req.query.frequency === 'daily' ? 'daily' : 'weekly';
+  const defaults = RELATIONSHIP_DEFAULTS[frequency];
+  const config = {
+    x: req.query.x || RELATIONSHIP_PAIRS[0].x,
+    y: req.query.y || RELATIONSHIP_PAIRS[0].y,
+    xTransform: req.query.xTransform || null,
+    yTransform: req.query.yTransform || null,
+    frequency,
+    maxLag: clampInt(req.query.maxLag, 1, frequency === 'daily' ? 260 : 104, defaults.maxLag),
+    window: clampInt(req.query.window, 10, frequency === 'daily' ? 1260 : 260, defaults.window),
+    lag: clampInt(req.query.lag, 0, frequency === 'daily' ? 260 : 104, 0),
+    grangerLags: clampInt(req.query.grangerLags, 1, 12, defaults.grangerLags),
+    bootstrap: clampInt(req.query.bootstrap, 0, 2000, 499),
+    blockLength: clampInt(req.query.blockLength, 1, 52, null),
+    derived: req.query.derived || null
+  };
+
+  if (config.x === config.y) {
+    return res.status(400).json({ error: 'x and y must be different series' });
+  }
+  for (const transform of [config.xTransform, config.yTransform]) {
+    if (transform && !RELATIONSHIP_TRANSFORMS.includes(transform)) {
+      return res.status(400).json({ error: `Unknown transform '${transform}'`, transforms: RELATIONSHIP_TRANSFORMS });
+    }
+  }
+
+  const { asOf, error: asOfError } = parseAsOf(req.query.asOf);
+  if (asOfError) {
+    return res.status(400).json({ error: asOfError });
+  }
+  config.asOf = asOf;
+
+  const { asset, error: assetError } = parseAsset(req.query.asset);
+  if (assetError) {
+    return res.status(400).json({ error: assetError });
+  }
+  config.asset = asset.key;
+  const cacheKey = JSON.stringify(config);
+
+  if (cache.data && cache.key === cacheKey && Date.now() - cache.timestamp < CACHE_TTL) {
+    return res.status(200).json({
+      ...cache.data,
+      cached: true,
+      cacheAge: Math.round((Date.now() - cache.timestamp) / 1000)
+    });
+  }
+
+  const FRED_API_KEY = process.env.FRED_API_KEY;
+  if (!FRED_API_KEY && getDataProvider().requiresApiKey) {
+    return res.status(500).json({ error: 'FRED_API_KEY not configured' });
+  }
+
+  try {
+    const { timeSeries, sourceHealth, derived } = await loadAnalysisData(FRED_API_KEY, {
+      asOf: config.asOf,
+      asset,
+      derived: config.derived
+    });
+
+    // Series are known once derived series are resolved
+    const series = withDerivedRelationshipSeries(derived);
+    for (const key of [config.x, config.y]) {
+      if (!series[key]) {
+        return res.status(400).json({ error: `Unknown series '${key}'`, series: Object.keys(series) });
+      }
+    }
+
+    const describe = key => {
+      const described = resolveRelationshipSeries(key, series);
+      return { ...described, label: assetLabel(described.label, asset) };
+    };
+
+    const result = analyzeRelationship(timeSeries, { ...config, series });
+    if (!result) {
+      return res.status(400).json({ error: 'Insufficient overlapping data', count: timeSeries.length });
+    }
+
+    const { crossCorrelation, rollingCorrelation, granger, dates } = result;
+    const responseData = {
+      success: true,
+      timestamp: new Date().toISOString(),
+      config,
+      asset: describeAsset(asset),
+      x: { ...describe(config.x), transform: result.x.transform },
+      y: { ...describe(config.y), transform: result.y.transform },
+      period: {
+        start: dates[0],
+        end: dates[dates.length - 1],
+        observations: dates.length
+      },
+      crossCorrelation: {
+        band: round(crossCorrelation.band, 4),
+        contemporaneous: round(crossCorrelation.contemporaneous, 4),
+        peak: crossCorrelation.peak && {
+          lag: crossCorrelation.peak.lag,
+          correlation: round(crossCorrelation.peak.correlation, 4)
+        },
+        lags: crossCorrelation.lags.map(({ lag, correlation, n }) => ({ lag, correlation: round(correlation, 4), n }))
+      },
+      rollingCorrelation: {
+        window: rollingCorrelation.window,
+        lag: rollingCorrelation.lag,
+        series: rollingCorrelation.values
+          .map((correlation, i) => ({ date: dates[i], correlation: round(correlation, 4) }))
+          .filter(d => d.correlation !== null)
+      },
+      granger: {
+        forward: roundGranger(granger.forward),
+        reverse: roundGranger(granger.reverse)
+      },
+      series: Object.keys(series).map(describe),
+      pairs: RELATIONSHIP_PAIRS,
+      sourceHealth
+    };
+
+    cache = { key: cacheKey, data: responseData, timestamp: Date.now() };
+
+    return res.status(200).json({ ...responseData, cached: false });
+
+  } catch (error) {
+    if (error instanceof ExpressionError) {
+      return res.status(400).json({ error: 'Invalid derived series', message: error.message });
+    }
+    console.error('Relationships API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
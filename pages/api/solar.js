@@ -1,21 +1,24 @@
 /**
  * API Route: /api/solar
  * 
- * Fetches REAL solar activity data from NOAA Space Weather Prediction Center.
+ * Daily sunspot numbers and the solar cycle position derived from them.
  * 
- * DATA SOURCE:
+ * DATA SOURCE (SOLAR_SOURCE, see lib/solar-data.js):
  * ─────────────────────────────────────────────────────────────────
- * Daily Sunspot Number
- *    Source: NOAA Space Weather Prediction Center (SWPC)
- *    URL: https://services.swpc.noaa.gov/json/solar-cycle/observed-solar-cycle-indices.json
- *    Frequency: Daily
- *    
- * Alternative Source (for verification):
- *    SILSO World Data Center
- *    URL: https://www.sidc.be/silso/datafiles
+ * silso (default): SILSO World Data Center, daily total sunspot number
+ *    URL: https://www.sidc.be/SILSO/DATA/SN_d_tot_V2.0.csv
+ * noaa: NOAA Space Weather Prediction Center, observed sunspot number
+ *    URL: https://services.swpc.noaa.gov/json/solar-cycle/swpc_observed_ssn.json
+ * file: Local file at SOLAR_FILE (SILSO CSV layout or JSON [{ date, ssn }])
+ * 
+ * Forecast overlay: NOAA SWPC predicted solar cycle
+ *    URL: https://services.swpc.noaa.gov/json/solar-cycle/predicted-solar-cycle.json
  * ─────────────────────────────────────────────────────────────────
  */
 
+import { loadSolarData, analyzeSolarCycle } from '../../lib/solar-data';
+import { getSourceHealth } from '../../lib/source-client';
+
 let cache = {
   data: null,
   timestamp: 0
@@ -35,66 +38,54 @@ export default async function handler(req, res) {
   }
 
   try {
-    // NOAA SWPC provides comprehensive solar cycle data
-    const response = await fetch(
-      'https://services.swpc.noaa.gov/json/solar-cycle/observed-solar-cycle-indices.json'
-    );
-
-    if (!response.ok) {
-      throw new Error(`NOAA API returned ${response.status}`);
-    }
+    const solar = await loadSolarData();
+    const cycle = analyzeSolarCycle(solar.observations, { forecast: solar.forecast });
 
-    const rawData = await response.json();
+    // Last two years of daily values
+    const cutoffDate = new Date(Date.now() - 730 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const timeSeries = solar.observations
+      .filter(o => o.date >= cutoffDate)
+      .map(o => ({ date: o.date, sunspots: Math.round(o.value) }));
 
-    // Process the data - NOAA format has time-series array
-    // Each entry has: time-tag, ssn (sunspot number), f10.7 (solar flux), etc.
-    const cutoffDate = new Date(Date.now() - 730 * 24 * 60 * 60 * 1000);
-    
-    const timeSeries = rawData
-      .filter(entry => {
-        const entryDate = new Date(entry['time-tag']);
-        return entryDate >= cutoffDate && entry.ssn !== null;
-      })
-      .map(entry => ({
-        date: entry['time-tag'].split('T')[0],
-        sunspots: Math.round(entry.ssn),
-        solarFlux: entry['f10.7'] ? Math.round(entry['f10.7'] * 10) / 10 : null
-      }))
-      .sort((a, b) => a.date.localeCompare(b.date));
-
-    // Get latest values and calculate cycle position
     const latest = timeSeries[timeSeries.length - 1];
-    
-    // Solar cycle 25 started December 2019
-    const cycleStart = new Date('2019-12-01');
-    const now = new Date();
-    const cycleYears = (now - cycleStart) / (365.25 * 24 * 60 * 60 * 1000);
-    const cyclePhase = (cycleYears / 11) * 100; // % through ~11 year cycle
 
-    // Determine activity level
+    // Activity level from the last 30 days (single days are noisy)
+    const recent = timeSeries.slice(-30);
+    const recentMean = recent.length ? recent.reduce((sum, d) => sum + d.sunspots, 0) / recent.length : null;
     let activityLevel = 'Low';
-    if (latest?.sunspots > 150) activityLevel = 'Very High';
-    else if (latest?.sunspots > 100) activityLevel = 'High';
-    else if (latest?.sunspots > 50) activityLevel = 'Moderate';
+    if (recentMean > 150) activityLevel = 'Very High';
+    else if (recentMean > 100) activityLevel = 'High';
+    else if (recentMean > 50) activityLevel = 'Moderate';
 
     const result = {
       success: true,
       timestamp: new Date().toISOString(),
       source: {
-        name: 'NOAA Space Weather Prediction Center',
-        url: 'https://www.swpc.noaa.gov/products/solar-cycle-progression',
-        dataUrl: 'https://services.swpc.noaa.gov/json/solar-cycle/observed-solar-cycle-indices.json',
+        name: solar.source.label,
+        id: solar.source.id,
+        url: solar.source.url,
         frequency: 'Daily',
         lastUpdate: latest?.date
       },
+      sourceHealth: getSourceHealth([solar.source.id, 'NOAA-PREDICTED-CYCLE']),
       latest: {
         date: latest?.date,
         sunspots: latest?.sunspots,
-        solarFlux: latest?.solarFlux,
+        sunspots30d: recentMean !== null ? Math.round(recentMean * 10) / 10 : null,
         activityLevel,
-        cycleNumber: 25,
-        cyclePhase: Math.round(cyclePhase * 10) / 10
+        cycleNumber: cycle?.current?.number ?? null,
+        cyclePhase: cycle?.current?.phase ?? null,
+        cycleStage: cycle?.current?.stage ?? null
+      },
+      cycle: cycle && {
+        current: cycle.current,
+        cycles: cycle.cycles,
+        meanCycleYears: cycle.meanCycleYears,
+        latestSmoothed: cycle.latestSmoothed,
+        forecastPeak: cycle.forecastPeak
       },
+      monthly: cycle?.monthly || [],
+      forecast: cycle?.forecast || [],
       timeSeries,
       recordCount: timeSeries.length
     };
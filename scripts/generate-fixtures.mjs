@@ -0,0 +1,379 @@
+/**
+ * Generate the canned fixture datasets served by DATA_PROVIDER=fixture
+ * (git-ignored; run `npm run fixtures` before using them)
+ *
+ *   node scripts/generate-fixtures.mjs [end date, default 2026-10-16]
+ *
+ * The data is synthetic (seeded, so reruns are identical) and shaped after
+ * the real 2015-2026 history, in each upstream API's response format:
+ *
+ * - baseline: QE / QT cycles, the 2020 crash, RRP build-up and run-off
+ * - bubble: baseline with a log-periodic super-exponential SPX run-up over
+ *   the last two years (an LPPL bubble approaching its critical time)
+ * - drain: baseline with a sharp liquidity drain over the last 18 months
+ *   (fast QT, TGA rebuild, RRP refill) and a choppy, falling SPX
+ *
+ * Stress series (yield curve spreads, high-yield OAS, VIX, SOFR, IORB) follow
+ * the real history's shape; VIX is derived from the S&P 500's realized
+ * volatility.
+ *
+ * Sunspots follow cycles 22-25 (Hathaway cycle profiles) as a daily SILSO
+ * CSV from 1994 and NOAA's daily JSON from 2015, with NOAA's predicted cycle
+ * from the last month onward.
+ *
+ * Weekly H.4.1 series (WALCL, WRESBAL, WTREGEN, WLRRAL) carry two vintages per week
+ * (first print, then a small revision a week later) so point-in-time `asOf`
+ * requests differ from the latest data. The Daily Treasury Statement uses
+ * the 'Federal Reserve Account' row until September 2021 and the 'Treasury
+ * General Account (TGA) Closing Balance' row after, as the real table does.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+const START = '2015-01-01';
+const END = process.argv[2] || '2026-10-16';
+const DTS_FORMAT_CHANGE = '2021-10-01';
+
+// ============ HELPERS ============
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const businessDays = (start, end) => {
+  const out = [];
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    const day = new Date(`${d}T00:00:00Z`).getUTCDay();
+    if (day !== 0 && day !== 6) out.push(d);
+  }
+  return out;
+};
+
+// Park-Miller generator with Box-Muller normals
+const rng = seed => {
+  let state = seed;
+  const uniform = () => (state = (state * 16807) % 2147483647) / 2147483647;
+  return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+};
+
+/**
+ * Path through dated anchors: linear in log space between anchors, plus a
+ * Brownian bridge (so every anchor is hit exactly)
+ *
+ * @param {string[]} days - Dates
+ * @param {Array<[string, number]>} anchors - [date, level], sorted
+ * @param {Function} vol - date => daily log volatility
+ * @param {Function} normal - N(0, 1) draws
+ * @param {boolean} log - false for levels that can go negative (then `vol`
+ *   is in level units)
+ */
+const anchoredPath = (days, anchors, vol, normal, log = true) => {
+  const into = log ? Math.log : v => v;
+  const logs = new Array(days.length);
+  let a = 0;
+  let segment = [];
+  const flush = () => {
+    if (!segment.length) return;
+    const [d0, v0] = anchors[a];
+    const [d1, v1] = anchors[Math.min(a + 1, anchors.length - 1)];
+    const walk = [];
+    let w = 0;
+    segment.forEach(i => { w += vol(days[i]) * normal(); walk.push(w); });
+    const span = Math.max(1, segment.length);
+    segment.forEach((i, k) => {
+      const frac = d1 === d0 ? 0 : (k + 1) / span;
+      logs[i] = into(v0) + (into(v1) - into(v0)) * frac + walk[k] - w * frac;
+    });
+    segment = [];
+  };
+  days.forEach((d, i) => {
+    while (a < anchors.length - 2 && d > anchors[a + 1][0]) { flush(); a++; }
+    segment.push(i);
+  });
+  flush();
+  return log ? logs.map(Math.exp) : logs;
+};
+
+const fmt = (value, decimals) => value.toFixed(decimals);
+
+const weekly = (days, values, weekday = 3) => days
+  .map((date, i) => ({ date, value: values[i] }))
+  .filter(({ date }) => new Date(`${date}T00:00:00Z`).getUTCDay() === weekday);
+
+// Two vintages per weekly observation: first print, revised a week later
+const withVintages = (points, normal, decimals) => points.flatMap(({ date, value }) => {
+  const firstPrint = value * (1 + 0.002 * normal());
+  return [
+    { date, value: fmt(firstPrint, decimals), realtime_start: addDays(date, 1), realtime_end: addDays(date, 7) },
+    { date, value: fmt(value, decimals), realtime_start: addDays(date, 8), realtime_end: '9999-12-31' }
+  ];
+});
+
+// ============ SCENARIOS ============
+
+const SPX_ANCHORS = [
+  ['2015-01-01', 2058], ['2015-08-24', 1893], ['2016-02-11', 1829], ['2018-01-26', 2873],
+  ['2018-12-24', 2351], ['2020-02-19', 3386], ['2020-03-23', 2237], ['2022-01-03', 4797],
+  ['2022-10-12', 3577], ['2024-01-19', 4840], ['2025-02-19', 6144], ['2025-04-08', 4983],
+  ['2026-10-16', 6700]
+];
+
+const WALCL_ANCHORS = [
+  ['2015-01-01', 4.50e6], ['2017-10-01', 4.46e6], ['2019-08-28', 3.76e6], ['2020-02-26', 4.16e6],
+  ['2020-06-10', 7.17e6], ['2022-04-13', 8.96e6], ['2024-10-02', 7.05e6], ['2026-10-16', 6.55e6]
+];
+
+const TGA_ANCHORS = [
+  ['2015-01-01', 2.0e5], ['2017-09-01', 6.0e4], ['2018-06-01', 3.8e5], ['2020-03-25', 4.0e5], ['2020-07-22', 1.80e6],
+  ['2021-10-06', 1.5e5], ['2022-05-04', 9.5e5], ['2023-06-07', 5.0e4], ['2023-12-27', 7.6e5],
+  ['2025-07-02', 3.0e5], ['2026-10-16', 8.5e5]
+];
+
+const RRP_ANCHORS = [
+  ['2015-01-01', 180], ['2016-12-30', 470], ['2018-06-01', 5], ['2021-03-01', 5],
+  ['2022-12-30', 2550], ['2024-06-03', 450], ['2025-06-02', 150], ['2026-10-16', 25]
+];
+
+const CURRENCY_ANCHORS = [['2015-01-01', 1.35e6], ['2026-10-16', 2.45e6]];
+
+// Foreign official reverse repo pool ($M); WLRRAL is this plus the ON RRP
+const FOREIGN_REPO_ANCHORS = [
+  ['2015-01-01', 1.1e5], ['2016-12-28', 2.5e5], ['2019-06-26', 2.6e5], ['2020-03-25', 1.4e5],
+  ['2022-06-29', 2.7e5], ['2024-06-26', 3.9e5], ['2026-10-16', 3.5e5]
+];
+
+// Solar cycles: [minimum (decimal year), smoothed maximum, rise in months]
+const SOLAR_CYCLES = [[1986.7, 213, 38], [1996.6, 180, 63], [2008.95, 116, 64], [2019.95, 161, 58]];
+const SILSO_START = '1994-01-01';
+const NOAA_DAILY_START = '2015-01-01';
+const FORECAST_END = '2030-12';
+
+// Hathaway et al. (1994) cycle profile x^3 / (exp(x^2) - 0.71), scaled so
+// the sum of cycles peaks at each maximum about `rise` months after its start
+const hathaway = x => (x <= 0 ? 0 : x ** 3 / (Math.exp(x * x) - 0.71));
+const HATHAWAY_PEAK = (() => {
+  let best = 0.01;
+  for (let x = 0.01; x < 4; x += 0.001) if (hathaway(x) > hathaway(best)) best = x;
+  return best;
+})();
+const smoothedSunspots = year => 2 + SOLAR_CYCLES.reduce((sum, [start, peak, rise]) => (
+  sum + peak * hathaway(((year - start) * 12) / (rise / HATHAWAY_PEAK)) / hathaway(HATHAWAY_PEAK)
+), 0);
+const decimalYear = date => {
+  const d = new Date(`${date}T00:00:00Z`);
+  const y = d.getUTCFullYear();
+  return y + (d - Date.UTC(y, 0, 1)) / (Date.UTC(y + 1, 0, 1) - Date.UTC(y, 0, 1));
+};
+
+// Stress series: yield curve spreads and high-yield OAS (%)
+const T10Y2Y_ANCHORS = [
+  ['2015-01-01', 1.5], ['2016-07-08', 0.8], ['2017-01-03', 1.25], ['2018-12-03', 0.15], ['2019-08-27', -0.05],
+  ['2020-06-05', 0.65], ['2021-03-30', 1.58], ['2022-07-05', -0.05], ['2023-07-03', -1.08], ['2024-09-06', 0.05],
+  ['2025-04-08', 0.55], ['2026-10-16', 0.6]
+];
+const T10Y3M_ANCHORS = [
+  ['2015-01-01', 2.0], ['2016-07-08', 1.05], ['2017-01-03', 1.95], ['2018-12-03', 0.6], ['2019-08-27', -0.5],
+  ['2020-03-09', 0.0], ['2020-06-05', 0.7], ['2021-03-30', 1.7], ['2022-10-25', 0.0], ['2023-05-31', -1.85],
+  ['2024-12-16', 0.05], ['2025-04-08', 0.1], ['2026-10-16', 0.45]
+];
+const HY_OAS_ANCHORS = [
+  ['2015-01-01', 4.8], ['2015-12-14', 7.0], ['2016-02-11', 8.4], ['2017-06-01', 3.6], ['2018-10-03', 3.2],
+  ['2018-12-24', 5.3], ['2020-01-17', 3.4], ['2020-03-23', 10.9], ['2020-12-31', 3.9], ['2021-06-30', 3.0],
+  ['2022-07-05', 5.9], ['2024-06-03', 3.1], ['2025-04-08', 4.5], ['2026-10-16', 2.9]
+];
+
+// Fed funds target range upper bound (%) from each change
+const POLICY_RATE = [
+  ['2015-01-01', 0.25], ['2015-12-17', 0.5], ['2016-12-15', 0.75], ['2017-03-16', 1.0], ['2017-06-15', 1.25],
+  ['2017-12-14', 1.5], ['2018-03-22', 1.75], ['2018-06-14', 2.0], ['2018-09-27', 2.25], ['2018-12-20', 2.5],
+  ['2019-08-01', 2.25], ['2019-09-19', 2.0], ['2019-10-31', 1.75], ['2020-03-04', 1.25], ['2020-03-16', 0.25],
+  ['2022-03-17', 0.5], ['2022-05-05', 1.0], ['2022-06-16', 1.75], ['2022-07-28', 2.5], ['2022-09-22', 3.25],
+  ['2022-11-03', 4.0], ['2022-12-15', 4.5], ['2023-02-02', 4.75], ['2023-03-23', 5.0], ['2023-05-04', 5.25],
+  ['2023-07-27', 5.5], ['2024-09-19', 5.0], ['2024-11-08', 4.75], ['2024-12-19', 4.5], ['2025-09-18', 4.25],
+  ['2025-10-30', 4.0], ['2025-12-11', 3.75]
+];
+const SOFR_START = '2018-04-03';
+const IORB_START = '2021-07-29';
+const policyUpper = date => POLICY_RATE.filter(([d]) => d <= date).pop()[1];
+
+const crisis = date => (
+  (date >= '2020-02-20' && date <= '2020-06-30') || (date >= '2025-03-01' && date <= '2025-05-15')
+    ? 0.03
+    : date >= '2022-01-01' && date <= '2022-12-31' ? 0.014 : 0.008
+);
+
+// Log-periodic power law log-price over the last `length` days, ending at
+// `end` (critical time `lead` days later)
+const lpplLogPath = (length, end, lead) => {
+  const tc = length - 1 + lead;
+  const m = 0.45;
+  const omega = 7.5;
+  const B = -0.045;
+  const C = 0.08;
+  return Array.from({ length }, (_, t) => {
+    const dt = tc - t;
+    return B * dt ** m * (1 + C * Math.cos(omega * Math.log(dt) + 1.2));
+  }).map((v, t, all) => v - all[0] + Math.log(end));
+};
+
+function buildScenario(name, seed) {
+  const normal = rng(seed);
+  const days = businessDays(START, END);
+  const n = days.length;
+
+  let spx = anchoredPath(days, SPX_ANCHORS, crisis, normal);
+  let walcl = anchoredPath(days, WALCL_ANCHORS, () => 0.0015, normal);
+  let tga = anchoredPath(days, TGA_ANCHORS, () => 0.012, normal);
+  let rrp = anchoredPath(days, RRP_ANCHORS, () => 0.02, normal);
+  const currency = anchoredPath(days, CURRENCY_ANCHORS, () => 0.001, normal);
+
+  if (name === 'bubble') {
+    const length = 520;
+    const startIndex = n - length;
+    const log = lpplLogPath(length, spx[startIndex], 30);
+    spx = spx.map((v, i) => (i < startIndex ? v : Math.exp(log[i - startIndex] + 0.006 * normal())));
+  }
+
+  if (name === 'drain') {
+    const startIndex = n - 390;
+    const from = days[startIndex];
+    const bend = (series, anchors, vol) => {
+      const tail = anchoredPath(days.slice(startIndex), [[from, series[startIndex]], ...anchors], vol, normal);
+      return series.map((v, i) => (i < startIndex ? v : tail[i - startIndex]));
+    };
+    walcl = bend(walcl, [[END, walcl[startIndex] - 1.2e6]], () => 0.0015);
+    tga = bend(tga, [[addDays(from, 270), 1.05e6], [END, 1.15e6]], () => 0.012);
+    rrp = bend(rrp, [[END, 650]], () => 0.02);
+    spx = bend(spx, [[addDays(from, 200), spx[startIndex] * 1.04], [END, spx[startIndex] * 0.84]], () => 0.016);
+  }
+
+  const reserves = days.map((_, i) => Math.max(1.0e6, walcl[i] - tga[i] - rrp[i] * 1000 - currency[i]));
+
+  // Own generator, so adding it left the other series unchanged
+  const repoNormal = rng(seed + 300);
+  const foreignRepo = anchoredPath(days, FOREIGN_REPO_ANCHORS, () => 0.01, repoNormal);
+  const wlrral = days.map((_, i) => rrp[i] * 1000 + foreignRepo[i]);
+
+  // Daily sunspots up to the day before END (published a day late)
+  const solarNormal = rng(seed + 100);
+  const sunspots = [];
+  for (let d = SILSO_START; d < END; d = addDays(d, 1)) {
+    const smoothed = smoothedSunspots(decimalYear(d));
+    sunspots.push({ date: d, value: Math.max(0, Math.round(smoothed * (1 + 0.35 * solarNormal()) + 4 * solarNormal())) });
+  }
+  const silso = sunspots.map(({ date, value }) => {
+    const [y, m, day] = date.split('-');
+    return `${y};${m};${day};${decimalYear(date).toFixed(3)};${String(value).padStart(5)};${(1.5 + 0.08 * value).toFixed(1).padStart(5)};${String(30 + Math.round(5 * Math.abs(solarNormal()))).padStart(4)};0`;
+  }).join('\n');
+  const noaaDaily = sunspots
+    .filter(({ date }) => date >= NOAA_DAILY_START)
+    .map(({ date, value }) => ({ Obsdate: `${date}T00:00:00`, swpc_ssn: Math.round(value * 0.95) }));
+
+  // NOAA's predicted cycle from the current month on
+  const predicted = [];
+  for (let i = 0; ; i++) {
+    const month = new Date(Date.UTC(Number(END.slice(0, 4)), Number(END.slice(5, 7)) - 1 + i, 1)).toISOString().slice(0, 7);
+    if (month > FORECAST_END) break;
+    const value = smoothedSunspots(Number(month.slice(0, 4)) + (Number(month.slice(5, 7)) - 0.5) / 12);
+    predicted.push({
+      'time-tag': month,
+      predicted_ssn: Math.round(value * 10) / 10,
+      high_ssn: Math.round((value * 1.2 + 8) * 10) / 10,
+      low_ssn: Math.round(Math.max(0, value * 0.8 - 8) * 10) / 10,
+      'predicted_f10.7': Math.round((65 + 0.55 * value) * 10) / 10,
+      'high_f10.7': Math.round((65 + 0.55 * (value * 1.2 + 8)) * 10) / 10,
+      'low_f10.7': Math.round((65 + 0.55 * Math.max(0, value * 0.8 - 8)) * 10) / 10
+    });
+  }
+
+  // Stress series. VIX tracks the S&P 500's realized volatility; in the
+  // drain scenario credit spreads widen and SOFR trades above IORB
+  const stressNormal = rng(seed + 200);
+  const drainStart = name === 'drain' ? n - 390 : n;
+  const t10y2y = anchoredPath(days, T10Y2Y_ANCHORS, () => 0.03, stressNormal, false);
+  const t10y3m = anchoredPath(days, T10Y3M_ANCHORS, () => 0.03, stressNormal, false);
+  let hyOas = anchoredPath(days, HY_OAS_ANCHORS, () => 0.012, stressNormal);
+  if (name === 'drain') {
+    const tail = anchoredPath(days.slice(drainStart), [[days[drainStart], hyOas[drainStart]], [END, 5.8]], () => 0.012, stressNormal);
+    hyOas = hyOas.map((v, i) => (i < drainStart ? v : tail[i - drainStart]));
+  } else if (name === 'bubble') {
+    hyOas = hyOas.map((v, i) => (i < n - 520 ? v : v * (1 - 0.12 * (i - n + 520) / 520)));
+  }
+  let vixNoise = 0;
+  const vix = spx.map((_, i) => {
+    const window = [];
+    for (let k = Math.max(1, i - 20); k <= i; k++) window.push(Math.log(spx[k] / spx[k - 1]));
+    const mean = window.reduce((a, b) => a + b, 0) / (window.length || 1);
+    const realized = window.length > 1
+      ? Math.sqrt(window.reduce((a, r) => a + (r - mean) ** 2, 0) / (window.length - 1) * 252) * 100
+      : 14;
+    vixNoise = 0.97 * vixNoise + 0.8 * stressNormal();
+    return Math.max(9, 0.85 * realized + 5 + vixNoise);
+  });
+  const fundingPremium = i => {
+    const date = days[i];
+    const [, month, day] = date.split('-').map(Number);
+    const next = days[i + 1];
+    const monthEnd = !next || next.slice(5, 7) !== date.slice(5, 7);
+    let premium = monthEnd ? (month % 3 === 0 ? 0.08 : 0.03) : 0;
+    if (date === '2019-09-17') premium = 3.0;
+    if (date >= '2025-09-01') premium += 0.07;
+    if (i >= drainStart) premium += 0.15 * Math.min(1, (i - drainStart) / 240);
+    return premium + (day % 7 === 0 ? 0.01 : 0);
+  };
+  const sofr = days.map((date, i) => Math.max(0.01, policyUpper(date) - 0.19 + fundingPremium(i) + 0.01 * stressNormal()));
+  const iorb = days.map(date => policyUpper(date) - 0.1);
+  const daily = (values, decimals, from = START) => ({
+    observations: days.map((date, i) => ({ date, value: fmt(values[i], decimals) })).filter(({ date }) => date >= from)
+  });
+
+  // Daily Treasury Statement, operating cash balance ($M)
+  const dts = days.map((date, i) => (
+    date < DTS_FORMAT_CHANGE
+      ? { record_date: date, account_type: 'Federal Reserve Account', close_today_bal: fmt(tga[i], 0), open_today_bal: 'null' }
+      : { record_date: date, account_type: 'Treasury General Account (TGA) Closing Balance', close_today_bal: 'null', open_today_bal: fmt(tga[i], 0) }
+  ));
+
+  return {
+    'fred/SP500.json': { observations: days.map((date, i) => ({ date, value: fmt(spx[i], 2) })) },
+    'fred/RRPONTSYD.json': { observations: days.map((date, i) => ({ date, value: fmt(rrp[i], 3) })) },
+    'fred/WALCL.json': { observations: withVintages(weekly(days, walcl), normal, 0) },
+    'fred/WRESBAL.json': { observations: withVintages(weekly(days, reserves), normal, 0) },
+    'fred/WTREGEN.json': { observations: withVintages(weekly(days, tga), normal, 0) },
+    'fred/WLRRAL.json': { observations: withVintages(weekly(days, wlrral), repoNormal, 0) },
+    'fred/T10Y2Y.json': daily(t10y2y, 2),
+    'fred/T10Y3M.json': daily(t10y3m, 2),
+    'fred/BAMLH0A0HYM2.json': daily(hyOas, 2),
+    'fred/VIXCLS.json': daily(vix, 2),
+    'fred/SOFR.json': daily(sofr, 2, SOFR_START),
+    'fred/IORB.json': daily(iorb, 2, IORB_START),
+    'treasury/dts_table_1.json': { data: dts },
+    'noaa/swpc_observed_ssn.json': noaaDaily,
+    'noaa/predicted-solar-cycle.json': predicted,
+    'silso/SN_d_tot_V2.0.csv': `${silso}\n`
+  };
+}
+
+// One record per line keeps the files diffable
+const serialize = body => {
+  const rows = Array.isArray(body) ? body : Object.values(body)[0];
+  const lines = `[\n${rows.map(row => JSON.stringify(row)).join(',\n')}\n]`;
+  return Array.isArray(body) ? `${lines}\n` : `{"${Object.keys(body)[0]}": ${lines}}\n`;
+};
+
+const SCENARIOS = { baseline: 1, bubble: 2, drain: 3 };
+
+for (const [name, seed] of Object.entries(SCENARIOS)) {
+  const files = buildScenario(name, seed);
+  for (const [file, body] of Object.entries(files)) {
+    const full = path.join(ROOT, name, file);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    await fs.writeFile(full, typeof body === 'string' ? body : serialize(body));
+  }
+  console.log(`fixtures/${name}: ${Object.keys(files).length} files`);
+}
@@ -1,6 +1,75 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area, ComposedChart, ReferenceLine, ReferenceArea, Brush } from 'recharts';
-import { Activity, Sun, DollarSign, Shield, Database, AlertCircle, Layers, X, HelpCircle, RefreshCw, Sliders, ExternalLink, CheckCircle2, TrendingUp, ZoomIn } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area, Bar, ComposedChart, ReferenceLine, ReferenceArea, Brush } from 'recharts';
+import { Activity, Sun, DollarSign, Shield, Database, AlertCircle, Layers, X, HelpCircle, RefreshCw, Sliders, ExternalLink, CheckCircle2, TrendingUp, ZoomIn, Download } from 'lucide-react';
+
+// S&P 500 peaks before major corrections, marked on the LPPL history chart
+const PAST_CORRECTIONS = [
+  { date: '2018-01-26', label: 'Jan 2018' },
+  { date: '2020-02-19', label: 'Feb 2020' },
+  { date: '2022-01-03', label: 'Jan 2022' }
+];
+
+// Band colors for HMM market regimes, calm to crisis
+const MARKET_REGIME_COLORS = {
+  calm: '#10b981',
+  choppy: '#eab308',
+  stressed: '#f59e0b',
+  crisis: '#f43f5e'
+};
+
+// Line colors for stress series charts, in stressSeries order
+const STRESS_COLORS = ['#22d3ee', '#a78bfa', '#f43f5e', '#f59e0b', '#10b981', '#64748b', '#fb923c', '#e879f9'];
+
+// Card value for a stress series by its units
+const formatStress = (value, units) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (units === '%') return `${value.toFixed(2)}%`;
+  if (units === 'bp') return `${value > 0 ? '+' : ''}${value.toFixed(0)} bp`;
+  return value.toFixed(2);
+};
+
+// Upstream source health (see /api/analyze `sourceHealth`)
+const SOURCE_HEALTH_COLORS = {
+  ok: 'bg-emerald-400',
+  degraded: 'bg-amber-400',
+  down: 'bg-rose-500',
+  cached: 'bg-slate-500'
+};
+
+const SourceHealthLine = ({ health }) => {
+  if (!health) return null;
+  const details = [
+    health.status,
+    health.latencyMs != null ? `${health.latencyMs} ms` : null,
+    health.attempts > 1 ? `${health.attempts} attempts` : null,
+    health.lastObservation ? `last obs ${health.lastObservation}` : null
+  ].filter(Boolean).join(' • ');
+  return (
+    <div className="mt-1">
+      <p className="text-xs text-slate-400 flex items-center gap-1.5">
+        <span className={`inline-block w-2 h-2 rounded-full ${SOURCE_HEALTH_COLORS[health.status] || 'bg-slate-500'}`} />
+        {details}
+      </p>
+      {health.error && <p className="text-xs text-rose-400 mt-0.5">{health.error}</p>}
+    </div>
+  );
+};
+
+// Contiguous runs of rows sharing the same non-null value of `key`
+const spansOf = (rows, key) => {
+  const spans = [];
+  rows.forEach((d, i) => {
+    const value = d[key];
+    const open = spans[spans.length - 1];
+    if (value == null) return;
+    if (open && open.value === value && rows[i - 1]?.[key] === value) {
+      open.end = d.date;
+    } else {
+      spans.push({ value, start: d.date, end: d.date });
+    }
+  });
+  return spans;
+};
 
 const FLRTrackerLive = () => {
   const [data, setData] = useState(null);
@@ -11,8 +80,17 @@ const FLRTrackerLive = () => {
   const [config, setConfig] = useState({
     detrendBandwidth: 50,
     csdWindow: 250,
-    tauLookback: 100
+    tauLookback: 100,
+    target: 'spx',
+    profile: 'default',
+    liquidityMeasure: 'zScore',
+    asOf: '',
+    derived: '',
+    asset: 'SP500'
   });
+  // Derived series definitions and custom asset being edited (applied with the settings)
+  const [derivedDraft, setDerivedDraft] = useState('');
+  const [assetDraft, setAssetDraft] = useState('SP500');
   const [showHelp, setShowHelp] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [showSources, setShowSources] = useState(false);
@@ -21,18 +99,33 @@ const FLRTrackerLive = () => {
   const [timeRange, setTimeRange] = useState('1Y'); // 1M, 3M, 6M, 1Y, 2Y, 5Y, ALL
   const [brushIndex, setBrushIndex] = useState({ start: null, end: null });
 
+  // LEAD-LAG PANEL STATE (see /api/relationships)
+  const [relationPair, setRelationPair] = useState({ x: 'netLiquidity', y: 'spx' });
+  const [relationships, setRelationships] = useState(null);
+  const [relationshipsError, setRelationshipsError] = useState(null);
+
+  // /api/analyze query for the current settings (also used for the CSV export)
+  const analysisParams = useMemo(() => {
+    const params = new URLSearchParams({
+      detrendBandwidth: config.detrendBandwidth,
+      csdWindow: config.csdWindow,
+      tauLookback: config.tauLookback,
+      asset: config.asset,
+      target: config.target,
+      profile: config.profile,
+      liquidityMeasure: config.liquidityMeasure
+    });
+    if (config.asOf) params.set('asOf', config.asOf);
+    if (config.derived) params.set('derived', config.derived);
+    return params;
+  }, [config]);
+
   const loadData = useCallback(async () => {
     setLoading(true);
     setError(null);
     
     try {
-      const params = new URLSearchParams({
-        detrendBandwidth: config.detrendBandwidth,
-        csdWindow: config.csdWindow,
-        tauLookback: config.tauLookback
-      });
-      
-      const response = await fetch(`/api/analyze?${params}`);
+      const response = await fetch(`/api/analyze?${analysisParams}`);
       const result = await response.json();
       
       if (!response.ok || result.error) {
@@ -48,12 +141,38 @@ const FLRTrackerLive = () => {
     } finally {
       setLoading(false);
     }
-  }, [config]);
+  }, [analysisParams]);
 
   useEffect(() => {
     loadData();
   }, [loadData]);
 
+  const loadRelationships = useCallback(async () => {
+    setRelationshipsError(null);
+
+    try {
+      const params = new URLSearchParams({ ...relationPair, asset: config.asset });
+      if (config.asOf) params.set('asOf', config.asOf);
+      if (config.derived) params.set('derived', config.derived);
+
+      const response = await fetch(`/api/relationships?${params}`);
+      const result = await response.json();
+
+      if (!response.ok || result.error) {
+        throw new Error(result.error || 'Failed to fetch relationships');
+      }
+
+      setRelationships(result);
+    } catch (err) {
+      console.error('Relationships error:', err);
+      setRelationshipsError(err.message);
+    }
+  }, [relationPair, config.asset, config.asOf, config.derived]);
+
+  useEffect(() => {
+    loadRelationships();
+  }, [loadRelationships]);
+
   // FILTER DATA BY TIME RANGE
   const filteredData = useMemo(() => {
     if (!data?.timeSeries) return [];
@@ -79,29 +198,64 @@ const FLRTrackerLive = () => {
     return ts.filter(d => d.date >= cutoffStr);
   }, [data, timeRange]);
 
-  // Calculate regime score
-  const regime = useMemo(() => {
-    if (!data) return null;
-    
-    const { csd, lppl, latest } = data;
+  // Price chart rows: history with the LPPL fit merged in, then projected days up to tc.
+  // The projection is capped at the visible history length so short ranges stay readable,
+  // and the tc band is clipped to it.
+  const { priceChartData, tcBand } = useMemo(() => {
+    if (!data?.lppl?.fittedCurve?.length && !data?.lppl?.projectionDates?.length) {
+      return { priceChartData: filteredData, tcBand: null };
+    }
     
-    const ar1Score = Math.min(100, Math.max(0, (csd.currentAR1 - 0.3) / 0.5 * 100));
-    const tauScore = Math.min(100, Math.max(0, (csd.kendallTau + 0.5) / 1 * 100));
-    const lpplScore = lppl.isBubble ? lppl.confidence : 0;
-    const liquidityScore = Math.min(100, Math.max(0, (6500 - latest.netLiquidity) / 20));
+    const fit = {};
+    (data.lppl.fittedCurve || []).forEach(p => { fit[p.date] = p.value; });
     
-    const composite = ar1Score * 0.35 + tauScore * 0.2 + lpplScore * 0.25 + liquidityScore * 0.2;
+    const history = filteredData.map(d => (fit[d.date] !== undefined ? { ...d, lpplFit: fit[d.date] } : d));
+    const dates = (data.lppl.projectionDates || []).slice(0, Math.max(1, filteredData.length));
+    const projection = dates.map(date => ({ date, lpplFit: fit[date] ?? null }));
     
-    let status, color, signal;
-    if (composite > 70) { status = 'CRITICAL'; color = 'rose'; signal = 'STRONG SELL'; }
-    else if (composite > 55) { status = 'ELEVATED'; color = 'amber'; signal = 'REDUCE RISK'; }
-    else if (composite > 40) { status = 'CAUTION'; color = 'yellow'; signal = 'HOLD'; }
-    else if (composite > 25) { status = 'NORMAL'; color = 'emerald'; signal = 'ACCUMULATE'; }
-    else { status = 'FAVORABLE'; color = 'cyan'; signal = 'STRONG BUY'; }
+    const band = data.lppl.tcBand;
+    const lastDate = dates[dates.length - 1];
+    const visibleBand = band && lastDate && band.start <= lastDate
+      ? { start: band.start, end: band.end <= lastDate ? band.end : lastDate }
+      : null;
     
-    return { composite, status, color, signal, ar1Score, tauScore, lpplScore, liquidityScore };
+    return { priceChartData: [...history, ...projection], tcBand: visibleBand };
+  }, [data, filteredData]);
+
+  // Chart shading: liquidity HMM draining runs and market HMM regime bands
+  const drainingSpans = useMemo(
+    () => spansOf(filteredData, 'liquidityRegime').filter(span => span.value === 'draining'),
+    [filteredData]
+  );
+  const marketRegimeSpans = useMemo(() => spansOf(filteredData, 'marketRegime'), [filteredData]);
+  // Days the LPPL history called a bubble (same rule as the live reading)
+  const lpplBubbleSpans = useMemo(
+    () => spansOf(filteredData, 'lpplBubble').filter(span => span.value === true),
+    [filteredData]
+  );
+
+  // Solar cycle chart: months from the previous cycle's minimum, then NOAA's
+  // forecast (see /api/analyze `solarCycle`)
+  const solarChartData = useMemo(() => {
+    const cycle = data?.solarCycle;
+    if (!cycle?.monthly?.length) return [];
+    const from = cycle.cycles.length > 1 ? cycle.cycles[cycle.cycles.length - 2].start : cycle.monthly[0].month;
+    const rows = new Map(cycle.monthly.filter(m => m.month >= from).map(m => [m.month, { ...m }]));
+    (cycle.forecast || []).forEach(f => {
+      const row = rows.get(f.month) || { month: f.month };
+      row.predicted = f.predicted;
+      row.forecastRange = f.low !== null && f.high !== null ? [f.low, f.high] : null;
+      rows.set(f.month, row);
+    });
+    return Array.from(rows.values()).sort((a, b) => a.month.localeCompare(b.month));
   }, [data]);
 
+  // Regime score is computed server-side (see lib/regime-score.js)
+  const regime = data?.regime || null;
+
+  const sourceHealth = data?.sourceHealth || {};
+  const sourcesDown = Object.keys(sourceHealth).filter(key => sourceHealth[key].status === 'down');
+
   const CustomTooltip = ({ active, payload, label }) => {
     if (!active || !payload?.length) return null;
     
@@ -113,7 +267,9 @@ const FLRTrackerLive = () => {
             <span className="w-2 h-2 rounded-full" style={{ backgroundColor: entry.color }} />
             <span className="text-slate-400">{entry.name}:</span>
             <span className="text-white font-medium">
-              {typeof entry.value === 'number' ? entry.value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : entry.value}
+              {typeof entry.value === 'number'
+                ? entry.value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+                : Array.isArray(entry.value) ? entry.value.join(' – ') : entry.value}
             </span>
           </div>
         ))}
@@ -175,23 +331,70 @@ const FLRTrackerLive = () => {
           <button onClick={loadData} className="w-full py-2 bg-rose-900/50 hover:bg-rose-800/50 border border-rose-700 rounded-lg text-rose-300 font-mono text-sm transition-colors">
             Retry
           </button>
+          {config.derived && (
+            <button onClick={() => { setDerivedDraft(''); setConfig(prev => ({ ...prev, derived: '' })); }} className="mt-2 w-full py-2 bg-slate-800/50 hover:bg-slate-700/50 border border-slate-700 rounded-lg text-slate-300 font-mono text-sm transition-colors">
+              Clear Derived Series
+            </button>
+          )}
+          {config.target !== 'spx' && (
+            <button onClick={() => setConfig(prev => ({ ...prev, target: 'spx' }))} className="mt-2 w-full py-2 bg-slate-800/50 hover:bg-slate-700/50 border border-slate-700 rounded-lg text-slate-300 font-mono text-sm transition-colors">
+              Reset CSD Target
+            </button>
+          )}
+          {config.asset !== 'SP500' && (
+            <button onClick={() => { setAssetDraft('SP500'); setConfig(prev => ({ ...prev, asset: 'SP500' })); }} className="mt-2 w-full py-2 bg-slate-800/50 hover:bg-slate-700/50 border border-slate-700 rounded-lg text-slate-300 font-mono text-sm transition-colors">
+              Back to S&P 500
+            </button>
+          )}
         </div>
       </div>
     );
   }
 
-  const { latest, csd, lppl, dateRange } = data;
+  const { latest, csd, lppl, dateRange, solarCycle } = data;
+  const asset = data.asset || { key: 'SP500', label: 'S&P 500', source: 'FRED SP500', publisher: null, url: null };
+  const target = data.target || { key: 'spx', label: asset.label };
+  // Known assets plus a custom one picked in the settings
+  const assetOptions = [
+    ...(data.availableAssets || [{ key: 'SP500', label: 'S&P 500' }]),
+    ...((data.availableAssets || []).some(a => a.key === asset.key) ? [] : [{ key: asset.key, label: asset.label }])
+  ];
   const regimeColors = regime ? getRegimeColors(regime.color) : null;
 
+  // Registered indicators without a dedicated panel get a generic chart
+  const extraIndicators = (data.indicators || []).filter(ind => ind.chart);
+
   const metricCards = [
-    { label: 'Fed Balance Sheet', value: `$${(latest.balanceSheet / 1000).toFixed(2)}T`, icon: Database, colorClass: 'text-blue-400' },
-    { label: 'TGA', value: `$${latest.tga.toFixed(0)}B`, icon: DollarSign, colorClass: 'text-emerald-400' },
-    { label: 'Reverse Repo', value: `$${latest.rrp.toFixed(0)}B`, icon: Layers, colorClass: 'text-purple-400' },
-    { label: 'Bank Reserves', value: latest.reserves ? `$${(latest.reserves / 1000).toFixed(2)}T` : 'N/A', icon: Shield, colorClass: 'text-cyan-400' },
-    { label: 'S&P 500', value: latest.spx?.toLocaleString() || 'N/A', icon: TrendingUp, colorClass: 'text-amber-400' },
-    { label: 'Sunspots', value: latest.sunspots?.toString() || 'N/A', icon: Sun, colorClass: 'text-orange-400' },
+    { label: 'Fed Balance Sheet', value: `$${(latest.balanceSheet / 1000).toFixed(2)}T`, icon: Database, colorClass: 'text-blue-400', quality: 'balanceSheet' },
+    { label: latest.tgaSource === 'WTREGEN' ? 'TGA (weekly)' : 'TGA', value: `$${latest.tga.toFixed(0)}B`, icon: DollarSign, colorClass: 'text-emerald-400', quality: 'tga' },
+    { label: 'Reverse Repo', value: `$${latest.rrp.toFixed(0)}B`, icon: Layers, colorClass: 'text-purple-400', quality: 'rrp' },
+    { label: 'Bank Reserves', value: latest.reserves ? `$${(latest.reserves / 1000).toFixed(2)}T` : 'N/A', icon: Shield, colorClass: 'text-cyan-400', quality: 'reserves' },
+    { label: asset.label, value: latest.spx?.toLocaleString() || 'N/A', icon: TrendingUp, colorClass: 'text-amber-400', quality: 'spx' },
+    { label: 'Sunspots', value: latest.sunspots?.toString() || 'N/A', icon: Sun, colorClass: 'text-orange-400', quality: 'sunspots' },
   ];
 
+  // Funding and market stress series (see /api/analyze `stressSeries`);
+  // charts skip the legs of spreads and group the rest by units
+  const stressSeries = data.stressSeries || [];
+  const spreadLegs = new Set(stressSeries.flatMap(s => s.from || []));
+  const stressGroups = stressSeries
+    .map((s, i) => ({ ...s, color: STRESS_COLORS[i % STRESS_COLORS.length] }))
+    .filter(s => !spreadLegs.has(s.id))
+    .reduce((groups, s) => {
+      const group = groups.find(g => g.units === s.units);
+      if (group) group.series.push(s);
+      else groups.push({ units: s.units, series: [s] });
+      return groups;
+    }, []);
+
+  // User-defined derived series (see /api/analyze `derivedSeries`), one chart each
+  const derivedSeries = (data.derivedSeries || [])
+    .filter(s => !s.builtin)
+    .map((s, i) => ({ ...s, color: STRESS_COLORS[i % STRESS_COLORS.length] }));
+
+  // Data quality findings per card (see /api/analyze `dataQuality`)
+  const qualitySeries = data.dataQuality?.series || {};
+
   // Chart X-axis formatter based on time range
   const formatXAxis = (dateStr) => {
     if (!dateStr) return '';
@@ -234,13 +437,24 @@ const FLRTrackerLive = () => {
             </div>
             <div>
               <h1 className="text-base sm:text-lg font-semibold tracking-tight">Fractal Liquidity Regime Tracker</h1>
-              <p className="text-xs text-slate-500 font-mono">{dateRange?.start} to {dateRange?.end} • {data.recordCount} days</p>
+              <p className="text-xs text-slate-500 font-mono">{dateRange?.start} to {dateRange?.end} • {data.recordCount} days{data.asOf ? <span className="text-amber-400"> • as known on {data.asOf}</span> : ''}</p>
+              <p className="text-xs text-slate-500 font-mono">
+                {asset.url
+                  ? <a href={asset.url} target="_blank" rel="noopener noreferrer" className="text-cyan-400 hover:underline">{asset.label}</a>
+                  : <span className="text-cyan-400">{asset.label}</span>}
+                {' • '}{asset.source}{asset.publisher && asset.kind !== 'file' ? ` • ${asset.publisher}` : ''}
+              </p>
             </div>
           </div>
           
           <div className="flex items-center gap-2 sm:gap-3 w-full sm:w-auto justify-end flex-wrap">
-            <button onClick={() => setShowSources(true)} className="p-2 rounded-lg bg-emerald-900/30 hover:bg-emerald-800/30 border border-emerald-700 transition-colors" title="Data Sources">
-              <CheckCircle2 className="w-4 h-4 text-emerald-400" />
+            <select value={config.asset} onChange={(e) => { setAssetDraft(e.target.value); setConfig(prev => ({ ...prev, asset: e.target.value })); }} className="bg-slate-800/50 border border-slate-700 rounded-lg px-2 py-1.5 text-xs font-mono text-white" title="Market Asset">
+              {assetOptions.map(a => (
+                <option key={a.key} value={a.key}>{a.label}</option>
+              ))}
+            </select>
+            <button onClick={() => setShowSources(true)} className={`p-2 rounded-lg border transition-colors ${sourcesDown.length ? 'bg-amber-900/30 hover:bg-amber-800/30 border-amber-700' : 'bg-emerald-900/30 hover:bg-emerald-800/30 border-emerald-700'}`} title={sourcesDown.length ? `Data Sources (${sourcesDown.join(', ')} down)` : 'Data Sources'}>
+              {sourcesDown.length ? <AlertCircle className="w-4 h-4 text-amber-400" /> : <CheckCircle2 className="w-4 h-4 text-emerald-400" />}
             </button>
             <button onClick={() => setShowSettings(true)} className="p-2 rounded-lg bg-slate-800/50 hover:bg-slate-700/50 border border-slate-700 transition-colors" title="Settings">
               <Sliders className="w-4 h-4 text-slate-400" />
@@ -248,6 +462,9 @@ const FLRTrackerLive = () => {
             <button onClick={() => setShowHelp(true)} className="p-2 rounded-lg bg-slate-800/50 hover:bg-slate-700/50 border border-slate-700 transition-colors" title="Help">
               <HelpCircle className="w-4 h-4 text-slate-400" />
             </button>
+            <a href={`/api/analyze?${analysisParams}&format=csv`} download className="p-2 rounded-lg bg-slate-800/50 hover:bg-slate-700/50 border border-slate-700 transition-colors" title="Download CSV">
+              <Download className="w-4 h-4 text-slate-400" />
+            </a>
             <button onClick={loadData} className="p-2 rounded-lg bg-slate-800/50 hover:bg-slate-700/50 border border-slate-700 transition-colors" title="Refresh">
               <RefreshCw className="w-4 h-4 text-slate-400" />
             </button>
@@ -272,7 +489,12 @@ const FLRTrackerLive = () => {
                     <span className="text-slate-500 hidden sm:inline">•</span>
                     <span className={`font-mono text-sm ${regimeColors.text}`}>{regime.signal}</span>
                   </div>
-                  <p className="text-xs text-slate-500 mt-0.5">Composite regime score (0-100)</p>
+                  <p className="text-xs text-slate-500 mt-0.5">Composite regime score (0-100){data.scoring ? ` • ${data.scoring.name} profile` : ''}</p>
+                  {csd.indicatorAgreement && (
+                    <p className="text-xs text-slate-500 font-mono">
+                      {csd.indicatorAgreement.warning}/{csd.indicatorAgreement.total} early-warning indicators trending toward a transition
+                    </p>
+                  )}
                 </div>
               </div>
               
@@ -288,6 +510,11 @@ const FLRTrackerLive = () => {
                   <p className={`font-mono text-sm ${csd.kendallTau > 0.3 ? 'text-rose-400' : csd.kendallTau > 0 ? 'text-amber-400' : 'text-emerald-400'}`}>
                     {csd.kendallTau.toFixed(3)}
                   </p>
+                  {csd.kendallTauPValue != null && (
+                    <p className={`font-mono text-[10px] ${csd.kendallTauPValue < 0.05 ? 'text-rose-300' : 'text-slate-500'}`} title={`${csd.surrogates} ${csd.surrogateMethod} surrogates • ${csd.kendallTauPercentile}th percentile`}>
+                      p={csd.kendallTauPValue.toFixed(3)}
+                    </p>
+                  )}
                 </div>
                 <div className="text-center">
                   <p className="text-xs text-slate-500 mb-1">LPPL</p>
@@ -298,6 +525,11 @@ const FLRTrackerLive = () => {
                 <div className="text-center">
                   <p className="text-xs text-slate-500 mb-1">Net Liq</p>
                   <p className="font-mono text-sm text-slate-300">${(latest.netLiquidity / 1000).toFixed(2)}T</p>
+                  {data.liquidityRegime?.zScore != null && (
+                    <p className={`text-[10px] font-mono ${data.liquidityRegime.current === 'draining' ? 'text-rose-400' : 'text-emerald-400'}`}>
+                      z {data.liquidityRegime.zScore.toFixed(2)}
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
@@ -306,17 +538,50 @@ const FLRTrackerLive = () => {
 
         {/* Metric Cards */}
         <div className="grid grid-cols-3 sm:grid-cols-3 lg:grid-cols-6 gap-2 sm:gap-3 mb-4 sm:mb-6">
-          {metricCards.map((metric, i) => (
-            <div key={i} className="p-2 sm:p-3 rounded-lg sm:rounded-xl bg-slate-900/50 border border-slate-800 hover:border-slate-700 transition-colors">
-              <div className="flex items-center gap-1.5 sm:gap-2 mb-1 sm:mb-2">
-                <metric.icon className={`w-3 h-3 sm:w-4 sm:h-4 ${metric.colorClass}`} />
-                <span className="text-[10px] sm:text-xs text-slate-500 truncate">{metric.label}</span>
+          {metricCards.map((metric, i) => {
+            const quality = qualitySeries[metric.quality];
+            const warning = quality?.status === 'warning';
+            return (
+              <div key={i} className={`p-2 sm:p-3 rounded-lg sm:rounded-xl bg-slate-900/50 border transition-colors ${warning ? 'border-amber-700/70 hover:border-amber-600' : 'border-slate-800 hover:border-slate-700'}`}>
+                <div className="flex items-center gap-1.5 sm:gap-2 mb-1 sm:mb-2">
+                  <metric.icon className={`w-3 h-3 sm:w-4 sm:h-4 ${metric.colorClass}`} />
+                  <span className="text-[10px] sm:text-xs text-slate-500 truncate">{metric.label}</span>
+                  {warning && (
+                    <span className="ml-auto shrink-0" title={quality.issues.join('\n')}>
+                      <AlertCircle className="w-3 h-3 sm:w-4 sm:h-4 text-amber-400" />
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm sm:text-lg font-mono font-medium">{metric.value}</p>
               </div>
-              <p className="text-sm sm:text-lg font-mono font-medium">{metric.value}</p>
-            </div>
-          ))}
+            );
+          })}
         </div>
 
+        {/* Stress Cards */}
+        {stressSeries.length > 0 && (
+          <div className="grid grid-cols-3 sm:grid-cols-4 lg:grid-cols-7 gap-2 sm:gap-3 mb-4 sm:mb-6">
+            {stressSeries.map(s => {
+              const quality = qualitySeries[s.key];
+              const warning = quality?.status === 'warning';
+              return (
+                <div key={s.key} className={`p-2 sm:p-3 rounded-lg sm:rounded-xl bg-slate-900/50 border transition-colors ${warning ? 'border-amber-700/70 hover:border-amber-600' : 'border-slate-800 hover:border-slate-700'}`}>
+                  <div className="flex items-center gap-1.5 sm:gap-2 mb-1 sm:mb-2">
+                    <Activity className="w-3 h-3 sm:w-4 sm:h-4 text-rose-400" />
+                    <span className="text-[10px] sm:text-xs text-slate-500 truncate" title={s.id}>{s.label}</span>
+                    {warning && (
+                      <span className="ml-auto shrink-0" title={quality.issues.join('\n')}>
+                        <AlertCircle className="w-3 h-3 sm:w-4 sm:h-4 text-amber-400" />
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm sm:text-lg font-mono font-medium">{formatStress(latest[s.key], s.units)}</p>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {/* TIME RANGE SELECTOR */}
         <div className="flex items-center justify-between mb-4">
           <div className="flex items-center gap-2">
@@ -330,16 +595,25 @@ const FLRTrackerLive = () => {
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6 mb-4 sm:mb-6">
           {/* Price & Trend */}
           <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4">
-            <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">S&P 500 • Price & Gaussian Trend</h3>
+            <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">{asset.label} • Price & Gaussian Trend{lppl.fittedCurve?.length > 0 && ' • LPPL Fit'}</h3>
             <div className="h-48 sm:h-64">
               <ResponsiveContainer width="100%" height="100%">
-                <ComposedChart data={filteredData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                <ComposedChart data={priceChartData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
                   <XAxis dataKey="date" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={formatXAxis} interval={getTickInterval()} />
-                  <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={['auto', 'auto']} tickFormatter={(val) => (val/1000).toFixed(1) + 'k'} width={35} />
+                  <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={['auto', 'auto']} tickFormatter={(val) => (Math.abs(val) >= 1000 ? (val/1000).toFixed(1) + 'k' : val.toFixed(Math.abs(val) < 10 ? 2 : 0))} width={35} />
                   <Tooltip content={<CustomTooltip />} />
-                  <Area type="monotone" dataKey="spx" fill="url(#priceGradient)" stroke="#06b6d4" strokeWidth={1.5} name="S&P 500" />
-                  <Line type="monotone" dataKey="trend" stroke="#f59e0b" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Trend" />
+                  {marketRegimeSpans.map(span => (
+                    <ReferenceArea key={`${span.value}-${span.start}`} x1={span.start} x2={span.end} fill={MARKET_REGIME_COLORS[span.value]} fillOpacity={0.07} />
+                  ))}
+                  {tcBand && (
+                    <ReferenceArea x1={tcBand.start} x2={tcBand.end} fill="#f43f5e" fillOpacity={0.12} label={{ value: 'tc', fill: '#f43f5e', fontSize: 9, position: 'insideTop' }} />
+                  )}
+                  <Area type="monotone" dataKey="spx" fill="url(#priceGradient)" stroke="#06b6d4" strokeWidth={1.5} name={asset.label} />
+                  <Line type="monotone" dataKey="lpplFit" stroke="#f43f5e" strokeWidth={1.5} dot={false} name="LPPL Fit" />
+                  {target.key === 'spx' && (
+                    <Line type="monotone" dataKey="trend" stroke="#f59e0b" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Trend" />
+                  )}
                   <Brush dataKey="date" height={20} stroke="#334155" fill="#1e293b" tickFormatter={formatXAxis} />
                   <defs>
                     <linearGradient id="priceGradient" x1="0" y1="0" x2="0" y2="1">
@@ -350,11 +624,44 @@ const FLRTrackerLive = () => {
                 </ComposedChart>
               </ResponsiveContainer>
             </div>
+            {data.marketRegime && (
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-2 text-[10px] sm:text-xs font-mono text-slate-500">
+                <span>HMM regime:</span>
+                {data.marketRegime.states.map(state => (
+                  <span key={state.label} className="flex items-center gap-1" title={`${state.volatility}% vol • ${state.meanReturn}% ann. return • ~${state.expectedDuration}d`}>
+                    <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: MARKET_REGIME_COLORS[state.label] }} />
+                    <span className={state.label === data.marketRegime.current ? 'text-slate-200' : ''}>
+                      {state.label}{state.label === data.marketRegime.current && ` ${Math.round(data.marketRegime.probabilities[state.label] * 100)}%`}
+                    </span>
+                  </span>
+                ))}
+              </div>
+            )}
           </div>
 
+          {/* CSD Target & Trend (when not analysing the asset's prices) */}
+          {target.key !== 'spx' && (
+            <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4">
+              <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">CSD Target • {target.label} & Gaussian Trend</h3>
+              <div className="h-48 sm:h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={filteredData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                    <XAxis dataKey="date" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={formatXAxis} interval={getTickInterval()} />
+                    <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={['auto', 'auto']} width={45} />
+                    <Tooltip content={<CustomTooltip />} />
+                    <Line type="monotone" dataKey="targetValue" stroke="#06b6d4" strokeWidth={1.5} dot={false} name={target.label} connectNulls />
+                    <Line type="monotone" dataKey="trend" stroke="#f59e0b" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Trend" connectNulls />
+                    <Brush dataKey="date" height={20} stroke="#334155" fill="#1e293b" tickFormatter={formatXAxis} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+
           {/* AR(1) */}
           <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4">
-            <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">Critical Slowing Down • AR(1)</h3>
+            <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">Critical Slowing Down • AR(1) • {target.label}</h3>
             <div className="h-48 sm:h-64">
               <ResponsiveContainer width="100%" height="100%">
                 <ComposedChart data={filteredData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
@@ -379,7 +686,14 @@ const FLRTrackerLive = () => {
 
           {/* Net Liquidity */}
           <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4">
-            <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">Net Liquidity • (BS - TGA - RRP)</h3>
+            <div className="flex items-center justify-between mb-3 sm:mb-4 gap-2">
+              <h3 className="text-xs sm:text-sm font-mono text-cyan-400">Net Liquidity • (BS - TGA - RRP)</h3>
+              {data.liquidityRegime?.current && (
+                <span className={`text-[10px] sm:text-xs font-mono px-2 py-0.5 rounded ${data.liquidityRegime.current === 'draining' ? 'bg-rose-500/20 text-rose-400' : 'bg-emerald-500/20 text-emerald-400'}`}>
+                  {data.liquidityRegime.current.toUpperCase()} {Math.round((data.liquidityRegime.current === 'draining' ? data.liquidityRegime.drainProbability : 1 - data.liquidityRegime.drainProbability) * 100)}%
+                </span>
+              )}
+            </div>
             <div className="h-48 sm:h-64">
               <ResponsiveContainer width="100%" height="100%">
                 <ComposedChart data={filteredData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
@@ -387,6 +701,9 @@ const FLRTrackerLive = () => {
                   <XAxis dataKey="date" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={formatXAxis} interval={getTickInterval()} />
                   <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={['auto', 'auto']} tickFormatter={(val) => `${(val/1000).toFixed(1)}T`} width={35} />
                   <Tooltip content={<CustomTooltip />} />
+                  {drainingSpans.map(span => (
+                    <ReferenceArea key={span.start} x1={span.start} x2={span.end} fill="#f43f5e" fillOpacity={0.08} />
+                  ))}
                   <Area type="monotone" dataKey="netLiquidity" fill="url(#liquidityGradient)" stroke="#8b5cf6" strokeWidth={1.5} name="Net Liquidity ($B)" />
                   <Brush dataKey="date" height={20} stroke="#334155" fill="#1e293b" tickFormatter={formatXAxis} />
                   <defs>
@@ -424,6 +741,87 @@ const FLRTrackerLive = () => {
           </div>
         </div>
 
+        {/* Registered Indicators */}
+        {extraIndicators.length > 0 && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6 mb-4 sm:mb-6">
+            {extraIndicators.map(ind => (
+              <div key={ind.key} className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4">
+                <div className="flex items-center justify-between mb-3 sm:mb-4">
+                  <h3 className="text-xs sm:text-sm font-mono text-cyan-400">Early Warning • {ind.label}</h3>
+                  {ind.kendallTau != null && (
+                    <span className="text-[10px] sm:text-xs font-mono text-slate-500">τ {ind.kendallTau.toFixed(3)}</span>
+                  )}
+                </div>
+                <div className="h-48 sm:h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={filteredData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                      <XAxis dataKey="date" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={formatXAxis} interval={getTickInterval()} />
+                      <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={['auto', 'auto']} width={35} />
+                      <Tooltip content={<CustomTooltip />} />
+                      <Line type="monotone" dataKey={ind.key} stroke={ind.color} strokeWidth={1.5} dot={false} name={ind.label} connectNulls />
+                      <Brush dataKey="date" height={20} stroke="#334155" fill="#1e293b" tickFormatter={formatXAxis} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Funding & Market Stress */}
+        {stressGroups.length > 0 && (
+          <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4 mb-4 sm:mb-6">
+            <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">Funding & Market Stress • Yield Curve, Credit, VIX, SOFR-IORB</h3>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-3 sm:gap-4">
+              {stressGroups.map(group => (
+                <div key={group.units || 'other'}>
+                  <p className="text-xs text-slate-500 mb-1 font-mono">{group.series.map(s => s.label).join(' • ')}{group.units && ` (${group.units})`}</p>
+                  <div className="h-40 sm:h-48">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={filteredData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                        <XAxis dataKey="date" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={formatXAxis} interval={getTickInterval()} />
+                        <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={['auto', 'auto']} width={35} />
+                        <Tooltip content={<CustomTooltip />} />
+                        {(group.units === '%' || group.units === 'bp') && <ReferenceLine y={0} stroke="#64748b" strokeDasharray="2 4" />}
+                        {group.series.map(s => (
+                          <Line key={s.key} type="monotone" dataKey={s.key} stroke={s.color} strokeWidth={1.5} dot={false} name={s.label} connectNulls />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Derived Series */}
+        {derivedSeries.length > 0 && (
+          <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4 mb-4 sm:mb-6">
+            <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">Derived Series</h3>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-3 sm:gap-4">
+              {derivedSeries.map(s => (
+                <div key={s.key}>
+                  <p className="text-xs text-slate-500 mb-1 font-mono truncate" title={s.expression}>{s.label}{s.units && ` (${s.units})`} = {s.expression}</p>
+                  <div className="h-40 sm:h-48">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={filteredData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                        <XAxis dataKey="date" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={formatXAxis} interval={getTickInterval()} />
+                        <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={['auto', 'auto']} width={40} />
+                        <Tooltip content={<CustomTooltip />} />
+                        <Line type="monotone" dataKey={s.key} stroke={s.color} strokeWidth={1.5} dot={false} name={s.label} connectNulls />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* LPPL Panel */}
         <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4 mb-4 sm:mb-6">
           <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">LPPL Bubble Detection</h3>
@@ -435,12 +833,22 @@ const FLRTrackerLive = () => {
               </p>
             </div>
             <div>
-              <p className="text-xs text-slate-500 mb-1">Confidence</p>
-              <p className="font-mono text-white">{lppl.confidence}%</p>
+              <p className="text-xs text-slate-500 mb-1">DS Confidence</p>
+              <p className="font-mono text-white">
+                {lppl.confidence}%
+                {lppl.windows > 0 && (
+                  <span className="text-xs text-slate-500"> ({lppl.qualifying}/{lppl.windows})</span>
+                )}
+              </p>
             </div>
             <div>
               <p className="text-xs text-slate-500 mb-1">Days to tc</p>
-              <p className="font-mono text-white">{lppl.tcDays ?? 'N/A'}</p>
+              <p className="font-mono text-white">
+                {lppl.tcDays ?? 'N/A'}
+                {lppl.tcDays != null && lppl.standardErrors?.tcDays != null && (
+                  <span className="text-xs text-slate-500"> ± {lppl.standardErrors.tcDays}</span>
+                )}
+              </p>
             </div>
             <div>
               <p className="text-xs text-slate-500 mb-1">R² Fit</p>
@@ -448,12 +856,216 @@ const FLRTrackerLive = () => {
             </div>
             <div>
               <p className="text-xs text-slate-500 mb-1">ω (frequency)</p>
-              <p className="font-mono text-white">{lppl.omega ?? 'N/A'}</p>
+              <p className="font-mono text-white">
+                {lppl.omega ?? 'N/A'}
+                {lppl.omega != null && lppl.standardErrors?.omega != null && (
+                  <span className="text-xs text-slate-500"> ± {lppl.standardErrors.omega}</span>
+                )}
+              </p>
             </div>
           </div>
+          {lppl.tcDistribution && (
+            <p className="text-xs text-slate-400 font-mono mt-3">
+              tc across qualifying windows: {lppl.tcDistribution.p10}–{lppl.tcDistribution.p90} days (median {lppl.tcDistribution.median})
+            </p>
+          )}
           <p className="text-xs text-slate-500 mt-3">{lppl.interpretation}</p>
+
+          {/* LPPL Confidence History */}
+          <h4 className="text-xs font-mono text-slate-400 mt-4 mb-2">DS Confidence History (%)</h4>
+          <div className="h-40 sm:h-48">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={filteredData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                <XAxis dataKey="date" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={formatXAxis} interval={getTickInterval()} />
+                <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={[0, 100]} ticks={[0, 30, 50, 100]} width={25} />
+                <Tooltip content={<CustomTooltip />} />
+                <ReferenceLine y={30} stroke="#f43f5e" strokeDasharray="3 3" />
+                {lpplBubbleSpans.map(span => (
+                  <ReferenceArea key={span.start} x1={span.start} x2={span.end} fill="#f43f5e" fillOpacity={0.1} />
+                ))}
+                {asset.key === 'SP500' && PAST_CORRECTIONS.filter(c => filteredData.some(d => d.date === c.date)).map(c => (
+                  <ReferenceLine key={c.date} x={c.date} stroke="#64748b" strokeDasharray="2 4" label={{ value: c.label, fill: '#64748b', fontSize: 9, position: 'insideTopRight' }} />
+                ))}
+                <Area type="stepAfter" dataKey="lpplConfidence" fill="url(#lpplGradient)" stroke="#f43f5e" strokeWidth={1.5} name="LPPL Confidence" connectNulls />
+                <Brush dataKey="date" height={20} stroke="#334155" fill="#1e293b" tickFormatter={formatXAxis} />
+                <defs>
+                  <linearGradient id="lpplGradient" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="0%" stopColor="#f43f5e" stopOpacity={0.3} />
+                    <stop offset="100%" stopColor="#f43f5e" stopOpacity={0} />
+                  </linearGradient>
+                </defs>
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
         </div>
 
+        {/* Solar Cycle */}
+        {solarCycle?.current && (
+          <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4 mb-4 sm:mb-6">
+            <h3 className="text-xs sm:text-sm font-mono text-cyan-400 mb-3 sm:mb-4">
+              Solar Cycle {solarCycle.current.number} • Monthly & 13-Month Smoothed Sunspots{solarCycle.forecast?.length > 0 && ' • NOAA Forecast'}
+            </h3>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-3 sm:mb-4">
+              <div>
+                <p className="text-xs text-slate-500 mb-1">Cycle Start (minimum)</p>
+                <p className="font-mono text-white">{solarCycle.current.start}</p>
+              </div>
+              <div>
+                <p className="text-xs text-slate-500 mb-1">Phase</p>
+                <p className="font-mono text-white">
+                  {solarCycle.current.phase}%
+                  <span className="text-xs text-slate-500"> ({solarCycle.current.stage})</span>
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-slate-500 mb-1">{solarCycle.current.maximum ? 'Maximum' : 'Predicted Maximum'}</p>
+                <p className="font-mono text-white">
+                  {solarCycle.current.maximum
+                    ? `${solarCycle.current.maximum.month} (${solarCycle.current.maximum.value})`
+                    : `${solarCycle.current.predictedMaximum.month}${solarCycle.current.predictedMaximum.value != null ? ` (${solarCycle.current.predictedMaximum.value})` : ''}`}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-slate-500 mb-1">NOAA Forecast Peak</p>
+                <p className="font-mono text-white">
+                  {solarCycle.forecastPeak ? `${solarCycle.forecastPeak.month} (${solarCycle.forecastPeak.value})` : 'N/A'}
+                </p>
+              </div>
+            </div>
+            <div className="h-48 sm:h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={solarChartData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                  <XAxis dataKey="month" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={m => m.slice(0, 4)} minTickGap={30} />
+                  <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={[0, 'auto']} width={35} />
+                  <Tooltip content={<CustomTooltip />} />
+                  {solarCycle.cycles.filter(c => solarChartData.some(d => d.month === c.start)).map(c => (
+                    <ReferenceLine key={c.start} x={c.start} stroke="#64748b" strokeDasharray="2 4" label={{ value: `C${c.number}`, fill: '#64748b', fontSize: 9, position: 'insideTopRight' }} />
+                  ))}
+                  {solarCycle.current.predictedMaximum && (
+                    <ReferenceLine x={solarCycle.current.predictedMaximum.month} stroke="#f59e0b" strokeDasharray="3 3" label={{ value: 'Max?', fill: '#f59e0b', fontSize: 9, position: 'insideTopLeft' }} />
+                  )}
+                  <Area type="monotone" dataKey="forecastRange" fill="#f59e0b" fillOpacity={0.12} stroke="none" name="NOAA Range" connectNulls />
+                  <Line type="monotone" dataKey="mean" stroke="#64748b" strokeWidth={1} dot={false} name="Monthly Mean" connectNulls />
+                  <Line type="monotone" dataKey="smoothed" stroke="#fb923c" strokeWidth={2} dot={false} name="13-Month Smoothed" connectNulls />
+                  <Line type="monotone" dataKey="predicted" stroke="#f59e0b" strokeWidth={1.5} strokeDasharray="5 3" dot={false} name="NOAA Predicted" connectNulls />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+
+        {/* Lead-Lag Relationships */}
+        {(relationships || relationshipsError) && (
+          <div className="bg-slate-900/50 border border-slate-800 rounded-xl p-3 sm:p-4 mb-4 sm:mb-6">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-3 sm:mb-4">
+              <h3 className="text-xs sm:text-sm font-mono text-cyan-400">
+                Lead-Lag • Cross-Correlation & Granger Causality
+              </h3>
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="flex items-center gap-1 bg-slate-800/50 rounded-lg p-1">
+                  {(relationships?.pairs || []).map(pair => (
+                    <button
+                      key={`${pair.x}-${pair.y}`}
+                      onClick={() => setRelationPair(pair)}
+                      className={`px-2 py-1 text-xs font-mono rounded transition-colors ${
+                        relationPair.x === pair.x && relationPair.y === pair.y
+                          ? 'bg-cyan-600 text-white'
+                          : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                      }`}
+                    >
+                      {pair.x} → {pair.y}
+                    </button>
+                  ))}
+                </div>
+                {['x', 'y'].map(axis => (
+                  <select
+                    key={axis}
+                    value={relationPair[axis]}
+                    onChange={(e) => setRelationPair(prev => ({ ...prev, [axis]: e.target.value }))}
+                    className="bg-slate-800 border border-slate-700 rounded-lg px-2 py-1 text-xs text-white"
+                  >
+                    {(relationships?.series || []).map(s => (
+                      <option key={s.key} value={s.key}>{axis === 'x' ? 'Leader' : 'Follower'}: {s.label}</option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+            </div>
+            {relationshipsError && (
+              <p className="text-xs text-rose-400 mb-3">{relationshipsError}</p>
+            )}
+            {relationships && (
+              <>
+                <p className="text-xs text-slate-500 mb-3">
+                  {relationships.x.label} ({relationships.x.transform}) vs {relationships.y.label} ({relationships.y.transform}) •
+                  {' '}{relationships.period.observations} {relationships.config.frequency === 'daily' ? 'days' : 'weeks'} from {relationships.period.start}
+                  {(relationships.config.x !== relationPair.x || relationships.config.y !== relationPair.y) && ' • updating…'}
+                </p>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 sm:gap-4 mb-3 sm:mb-4">
+                  <div>
+                    <p className="text-xs text-slate-500 mb-1">Peak Correlation</p>
+                    <p className="font-mono text-white">
+                      {relationships.crossCorrelation.peak?.correlation ?? 'N/A'}
+                      <span className="text-xs text-slate-500"> (lag {relationships.crossCorrelation.peak?.lag})</span>
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-slate-500 mb-1">Same-Period Correlation</p>
+                    <p className="font-mono text-white">{relationships.crossCorrelation.contemporaneous ?? 'N/A'}</p>
+                  </div>
+                  {[
+                    { test: relationships.granger.forward, label: `Granger ${relationships.x.key} → ${relationships.y.key}` },
+                    { test: relationships.granger.reverse, label: `Granger ${relationships.y.key} → ${relationships.x.key}` }
+                  ].map(({ test, label }) => (
+                    <div key={label}>
+                      <p className="text-xs text-slate-500 mb-1">{label}</p>
+                      {test ? (
+                        <p className={`font-mono ${test.bootstrapPValue !== null && test.bootstrapPValue < 0.05 ? 'text-emerald-400' : 'text-white'}`}>
+                          F {test.fStatistic}
+                          <span className="text-xs text-slate-500"> (p {test.bootstrapPValue ?? test.pValue})</span>
+                        </p>
+                      ) : (
+                        <p className="font-mono text-slate-500">N/A</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-3 sm:gap-4">
+                  <div className="h-48 sm:h-56">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <ComposedChart data={relationships.crossCorrelation.lags} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                        <XAxis dataKey="lag" tick={{ fill: '#64748b', fontSize: 9 }} minTickGap={10} />
+                        <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={[-1, 1]} width={35} />
+                        <Tooltip content={<CustomTooltip />} />
+                        <ReferenceLine y={0} stroke="#64748b" />
+                        <ReferenceLine y={relationships.crossCorrelation.band} stroke="#f59e0b" strokeDasharray="3 3" />
+                        <ReferenceLine y={-relationships.crossCorrelation.band} stroke="#f59e0b" strokeDasharray="3 3" />
+                        <ReferenceLine x={0} stroke="#64748b" strokeDasharray="2 4" />
+                        <Bar dataKey="correlation" fill="#22d3ee" name="Correlation" />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="h-48 sm:h-56">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={relationships.rollingCorrelation.series} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" opacity={0.3} />
+                        <XAxis dataKey="date" tick={{ fill: '#64748b', fontSize: 9 }} tickFormatter={d => d.slice(0, 4)} minTickGap={30} />
+                        <YAxis tick={{ fill: '#64748b', fontSize: 9 }} domain={[-1, 1]} width={35} />
+                        <Tooltip content={<CustomTooltip />} />
+                        <ReferenceLine y={0} stroke="#64748b" />
+                        <Line type="monotone" dataKey="correlation" stroke="#a78bfa" strokeWidth={1.5} dot={false} name={`Rolling ${relationships.rollingCorrelation.window}-Period Correlation`} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
         {/* Footer */}
         <footer className="text-center text-xs text-slate-600 font-mono space-y-1">
           <p>FLR Tracker v2.3 • Live Data from FRED & NOAA • Not Financial Advice</p>
@@ -482,14 +1094,46 @@ const FLRTrackerLive = () => {
               <div>
                 <h3 className="font-semibold text-cyan-400 mb-1">Kendall's Tau (τ)</h3>
                 <p>Trend in AR(1). Positive = rising (warning). Negative = recovering.</p>
+                <p className="text-xs text-slate-500 mt-1">p-value from surrogate series with the same autocorrelation but no trend (Dakos et al. 2012). p &lt; 0.05 = unlikely to be noise.</p>
+              </div>
+              <div>
+                <h3 className="font-semibold text-cyan-400 mb-1">Supplementary Indicators</h3>
+                <p>Skewness, kurtosis, coefficient of variation, return rate, DFA exponent and low-frequency power ratio. Each chart shows its τ trend; a signal is more trustworthy when most indicators agree.</p>
               </div>
               <div>
                 <h3 className="font-semibold text-cyan-400 mb-1">LPPL Bubble Detection</h3>
                 <p>Fits Log-Periodic Power Law to detect super-exponential growth. High confidence + near tc = danger.</p>
+                <p className="text-xs text-slate-500 mt-1">Grid search refined by Levenberg-Marquardt (Filimonov-Sornette form); ± values are standard errors.</p>
+                <p className="text-xs text-slate-500 mt-1">DS Confidence = share of fit windows (125–750 days back) that pass the DS LPPLS filters.</p>
+              </div>
+              <div>
+                <h3 className="font-semibold text-cyan-400 mb-1">Market Regimes</h3>
+                <p>A hidden Markov model on daily returns of the selected asset (S&P 500 by default) and weekly net-liquidity changes. Bands behind the price chart show its most likely regime path, calm to stressed by volatility.</p>
+              </div>
+              <div>
+                <h3 className="font-semibold text-cyan-400 mb-1">Solar Cycle</h3>
+                <p>Daily sunspot numbers, averaged by month and smoothed over 13 months. Cycle minima are detected in the smoothed series; phase is the time since the last minimum as a share of the mean cycle length.</p>
+                <p className="text-xs text-slate-500 mt-1">The dashed line and shaded band are NOAA's predicted cycle and its range.</p>
+              </div>
+              <div>
+                <h3 className="font-semibold text-cyan-400 mb-1">Funding & Market Stress</h3>
+                <p>Yield curve spreads (inverted = below zero), high-yield credit spread, VIX and SOFR minus the Fed's interest on reserves (SOFR above IORB = reserves getting scarce).</p>
+                <p className="text-xs text-slate-500 mt-1">They enter the regime score only in the "stress" profile or with their own weights.</p>
+              </div>
+              <div>
+                <h3 className="font-semibold text-cyan-400 mb-1">Derived Series</h3>
+                <p>Your own series from arithmetic on the others, e.g. <span className="font-mono">ratio=SP500 / netLiquidity</span>. They are charted, offered as CSD targets and lead-lag series, and included in the CSV download.</p>
+                <p className="text-xs text-slate-500 mt-1">Upper-case names are FRED series in FRED's units; functions: abs, log, exp, sqrt, min, max, lag, diff, pctChange, mean, std.</p>
+              </div>
+              <div>
+                <h3 className="font-semibold text-cyan-400 mb-1">Lead-Lag</h3>
+                <p>Correlation of the leader with the follower shifted by each lag (positive lag = leader moves first), and their rolling one-year correlation. Liquidity series are compared as weekly changes and the asset's prices as weekly log returns.</p>
+                <p className="text-xs text-slate-500 mt-1">Dashed lines are the approximate 95% noise band. Granger F-tests ask whether one series' past improves a forecast of the other; green = block-bootstrap p &lt; 0.05.</p>
               </div>
               <div>
                 <h3 className="font-semibold text-cyan-400 mb-1">Net Liquidity</h3>
                 <p>Fed Balance Sheet − TGA − RRP. Rising = supportive. Declining = headwinds.</p>
+                <p className="text-xs text-slate-500 mt-1">Scored against its own history (z-score, percentile or 4/13/26-week change). Shaded spans are weeks a two-state HMM labels as draining.</p>
               </div>
             </div>
           </div>
@@ -505,6 +1149,45 @@ const FLRTrackerLive = () => {
               <button onClick={() => setShowSettings(false)} className="p-1 hover:bg-slate-800 rounded"><X className="w-5 h-5" /></button>
             </div>
             <div className="space-y-4">
+              <div>
+                <label className="text-sm text-slate-400 mb-2 block">Market Asset</label>
+                <input type="text" value={assetDraft} onChange={(e) => setAssetDraft(e.target.value)} spellCheck={false} placeholder="SP500, NASDAQCOM, DEXUSEU or file:name" className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm font-mono text-white" />
+                <p className="text-xs text-slate-500 mt-1">Any FRED daily series ID, or file:name for assets/name.csv on the server. Applied with the other settings.</p>
+              </div>
+              <div>
+                <label className="text-sm text-slate-400 mb-2 block">CSD Target Series</label>
+                <select value={config.target} onChange={(e) => setConfig(prev => ({ ...prev, target: e.target.value }))} className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white">
+                  {(data.availableTargets || [{ key: 'spx', label: asset.label }]).map(t => (
+                    <option key={t.key} value={t.key}>{t.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-sm text-slate-400 mb-2 block">Regime Scoring Profile</label>
+                <select value={config.profile} onChange={(e) => setConfig(prev => ({ ...prev, profile: e.target.value }))} className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white">
+                  {(data.availableProfiles || ['default']).map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-sm text-slate-400 mb-2 block">Liquidity Score Measure</label>
+                <select value={config.liquidityMeasure} onChange={(e) => setConfig(prev => ({ ...prev, liquidityMeasure: e.target.value }))} className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white">
+                  {(data.availableLiquidityMeasures || ['zScore']).map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-sm text-slate-400 mb-2 block">Point-in-Time Date (as of)</label>
+                <input type="date" value={config.asOf} max={new Date().toISOString().split('T')[0]} onChange={(e) => setConfig(prev => ({ ...prev, asOf: e.target.value }))} className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white" />
+                <p className="text-xs text-slate-500 mt-1">Uses the data as it was published on this date (ALFRED vintages). Leave empty for the latest revisions.</p>
+              </div>
+              <div>
+                <label className="text-sm text-slate-400 mb-2 block">Derived Series</label>
+                <textarea value={derivedDraft} onChange={(e) => setDerivedDraft(e.target.value)} rows={3} spellCheck={false} placeholder="ratio=SP500 / netLiquidity; momentum=pctChange(netLiquidity, 63)" className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-xs font-mono text-white" />
+                <p className="text-xs text-slate-500 mt-1">name=expression pairs separated by semicolons. Applied with the other settings.</p>
+              </div>
               <div>
                 <label className="text-sm text-slate-400 mb-2 block">Detrend Bandwidth: {config.detrendBandwidth}</label>
                 <input type="range" min="20" max="100" value={config.detrendBandwidth} onChange={(e) => setConfig(prev => ({ ...prev, detrendBandwidth: parseInt(e.target.value) }))} className="w-full accent-cyan-500" />
@@ -518,7 +1201,7 @@ const FLRTrackerLive = () => {
                 <input type="range" min="30" max="200" step="10" value={config.tauLookback} onChange={(e) => setConfig(prev => ({ ...prev, tauLookback: parseInt(e.target.value) }))} className="w-full accent-cyan-500" />
               </div>
             </div>
-            <button onClick={() => { setShowSettings(false); loadData(); }} className="mt-6 w-full py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg font-medium transition-colors">
+            <button onClick={() => { setShowSettings(false); const derived = derivedDraft.trim(); const nextAsset = assetDraft.trim() || 'SP500'; if (derived !== config.derived || nextAsset !== config.asset) setConfig(prev => ({ ...prev, derived, asset: nextAsset })); else loadData(); }} className="mt-6 w-full py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg font-medium transition-colors">
               Apply & Recalculate
             </button>
           </div>
@@ -538,6 +1221,25 @@ const FLRTrackerLive = () => {
             </div>
             
             <p className="text-sm text-slate-400 mb-4">All data from official U.S. government sources. 10 years of history (2015-present).</p>
+            {sourcesDown.length > 0 && (
+              <p className="text-sm text-amber-400 mb-4">Upstream unavailable for {sourcesDown.join(', ')}; showing the last stored data.</p>
+            )}
+            {data.dataQuality?.status === 'warning' && (
+              <div className="p-3 mb-4 bg-amber-900/20 border border-amber-800/60 rounded-lg">
+                <p className="text-sm font-medium text-amber-400 mb-1">Data quality warnings</p>
+                <ul className="text-xs text-slate-400 space-y-0.5">
+                  {Object.values(data.dataQuality.series).filter(s => s.status === 'warning').map(s => (
+                    <li key={s.id}>{s.label}: {s.issues.join('; ')}</li>
+                  ))}
+                  {data.dataQuality.droppedDays.count > 0 && (
+                    <li>{data.dataQuality.droppedDays.count} day(s) dropped from the join, last {data.dataQuality.droppedDays.last}</li>
+                  )}
+                  {data.dataQuality.missingBusinessDays.count > 0 && (
+                    <li>Missing business days: {data.dataQuality.missingBusinessDays.recent.join(', ')}</li>
+                  )}
+                </ul>
+              </div>
+            )}
             
             <div className="space-y-3">
               {sources.liquidity && Object.entries(sources.liquidity).map(([key, source]) => (
@@ -545,6 +1247,7 @@ const FLRTrackerLive = () => {
                   <div>
                     <p className="font-medium text-white text-sm">{source.name}</p>
                     <p className="text-xs text-slate-500">{source.frequency}</p>
+                    <SourceHealthLine health={sourceHealth[source.name]} />
                   </div>
                   <a href={source.url} target="_blank" rel="noopener noreferrer" className="p-1.5 bg-cyan-900/30 hover:bg-cyan-800/30 rounded text-cyan-400">
                     <ExternalLink className="w-4 h-4" />
@@ -556,23 +1259,40 @@ const FLRTrackerLive = () => {
                 <div className="p-3 bg-slate-800/50 rounded-lg flex items-center justify-between">
                   <div>
                     <p className="font-medium text-white text-sm">{sources.market.name}</p>
-                    <p className="text-xs text-slate-500">{sources.market.frequency}</p>
+                    <p className="text-xs text-slate-500">{sources.market.label} • {sources.market.frequency}{sources.market.publisher ? ` • ${sources.market.publisher}` : ''}</p>
+                    <SourceHealthLine health={sourceHealth[sources.market.name]} />
                   </div>
-                  <a href={sources.market.url} target="_blank" rel="noopener noreferrer" className="p-1.5 bg-cyan-900/30 hover:bg-cyan-800/30 rounded text-cyan-400">
+                  {sources.market.url && <a href={sources.market.url} target="_blank" rel="noopener noreferrer" className="p-1.5 bg-cyan-900/30 hover:bg-cyan-800/30 rounded text-cyan-400">
                     <ExternalLink className="w-4 h-4" />
-                  </a>
+                  </a>}
                 </div>
               )}
+
+              {sources.stress && Object.entries(sources.stress).map(([key, source]) => (
+                <div key={key} className="p-3 bg-slate-800/50 rounded-lg flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-white text-sm">{source.name}</p>
+                    <p className="text-xs text-slate-500">{source.label} • {source.frequency}</p>
+                    <SourceHealthLine health={sourceHealth[source.name]} />
+                  </div>
+                  <a href={source.url} target="_blank" rel="noopener noreferrer" className="p-1.5 bg-cyan-900/30 hover:bg-cyan-800/30 rounded text-cyan-400">
+                    <ExternalLink className="w-4 h-4" />
+                  </a>
+                </div>
+              ))}
               
               {sources.solar && (
                 <div className="p-3 bg-slate-800/50 rounded-lg flex items-center justify-between">
                   <div>
-                    <p className="font-medium text-white text-sm">{sources.solar.name}</p>
+                    <p className="font-medium text-white text-sm">{sources.solar.label || sources.solar.name}</p>
                     <p className="text-xs text-slate-500">{sources.solar.frequency}</p>
+                    <SourceHealthLine health={sourceHealth[sources.solar.name]} />
                   </div>
-                  <a href={sources.solar.url} target="_blank" rel="noopener noreferrer" className="p-1.5 bg-cyan-900/30 hover:bg-cyan-800/30 rounded text-cyan-400">
-                    <ExternalLink className="w-4 h-4" />
-                  </a>
+                  {sources.solar.url && (
+                    <a href={sources.solar.url} target="_blank" rel="noopener noreferrer" className="p-1.5 bg-cyan-900/30 hover:bg-cyan-800/30 rounded text-cyan-400">
+                      <ExternalLink className="w-4 h-4" />
+                    </a>
+                  )}
                 </div>
               )}
             </div>